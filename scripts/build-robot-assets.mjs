@@ -0,0 +1,540 @@
+// Builds the runtime robot assets from g1.urdf and its STL meshes.
+// Usage: node scripts/build-robot-assets.mjs [--visual-error 0.0001]
+//          [--max-hulls 8] [--max-empty 0.3]
+//
+// Writes into public/models/assets/:
+//   visual/<mesh>.glb   simplified to within --visual-error (m) of the STL,
+//                       indexed, quantized (KHR_mesh_quantization) and
+//                       meshopt-compressed (EXT_meshopt_compression) visuals
+//   collision.json      convex hulls per link, in the link frame
+//   manifest.json       URDF mesh path → visual GLB, plus the collision file
+//
+// One hull per link where it fits the link well; otherwise the link is split
+// (approximate convex decomposition) until each hull is at most --max-empty
+// empty space, measured on a voxelization of the mesh. The STLs are kept as
+// the source of truth and as the runtime's fallback.
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { JSDOM } from 'jsdom'
+import * as THREE from 'three'
+import URDFLoader from 'urdf-loader'
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js'
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js'
+import { mergeVertices, toCreasedNormals } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+import { MeshoptEncoder, MeshoptSimplifier } from 'meshoptimizer'
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+const MODELS_DIR = path.join(ROOT, 'public/models')
+const OUT_DIR = path.join(MODELS_DIR, 'assets')
+
+// Normals are smoothed across edges sharper than this, as flat-shaded STLs
+// looked before; everything else is shaded smooth
+const CREASE_ANGLE = Math.PI / 6
+// Voxels along a link's longest side, for measuring how well hulls fit
+const VOXEL_RES = 32
+// Hulls covering fewer voxels than this, or thinner than two voxels, are too
+// small to judge at that resolution, and kept
+const MIN_HULL_VOXELS = 12
+const MAX_SPLIT_DEPTH = 4
+// A split must shrink the hull volume at least this much to be kept
+const MIN_SPLIT_GAIN = 0.1
+// Rapier builds each hull from these points; more only cost contact time
+const MAX_HULL_VERTS = 48
+// Hull vertices are written to this many decimals of a metre
+const HULL_DECIMALS = 5
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`)
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback
+}
+
+// ── URDF ──────────────────────────────────────────────────────────────────
+
+// Every visual mesh, by link, with its transform into the link frame
+function loadVisuals() {
+  const { window } = new JSDOM('')
+  globalThis.DOMParser = window.DOMParser
+  globalThis.Document = window.Document
+  globalThis.Element = window.Element
+
+  const stl = new STLLoader()
+  const loader = new URDFLoader()
+  loader.loadMeshCb = (meshPath, _mgr, onLoad) => {
+    const data = fs.readFileSync(path.join(MODELS_DIR, meshPath))
+    const geometry = stl.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength))
+    const mesh = new THREE.Mesh(geometry)
+    mesh.userData.meshPath = meshPath
+    mesh.userData.bytes = data.byteLength
+    onLoad(mesh)
+  }
+  const robot = loader.parse(fs.readFileSync(path.join(MODELS_DIR, 'g1.urdf'), 'utf8'))
+  robot.updateMatrixWorld(true)
+
+  const links = {}
+  for (const [name, link] of Object.entries(robot.links)) {
+    const inv = link.matrixWorld.clone().invert()
+    const meshes = []
+    const visit = (o) => {
+      for (const child of o.children) {
+        if (child.isURDFJoint) continue
+        if (child.isMesh && child.userData.meshPath) {
+          meshes.push({ path: child.userData.meshPath, bytes: child.userData.bytes, geometry: child.geometry, toLink: child.matrixWorld.clone().premultiply(inv) })
+        }
+        visit(child)
+      }
+    }
+    visit(link)
+    if (meshes.length) links[name] = meshes
+  }
+  return links
+}
+
+// ── Visual GLB ────────────────────────────────────────────────────────────
+
+const padTo4 = (n) => (n + 3) & ~3
+
+// Drops triangles the eye cannot tell apart: the CAD exports tessellate
+// fillets and fingertips far finer than the headset resolves
+function simplifyVisual(geometry, error) {
+  const indexed = mergeVertices(geometry.clone().deleteAttribute('normal'), 1e-6)
+  const positions = new Float32Array(indexed.getAttribute('position').array)
+  const [indices] = MeshoptSimplifier.simplify(new Uint32Array(indexed.getIndex().array), positions, 3, 0, error, ['ErrorAbsolute'])
+  const out = new Float32Array(indices.length * 3)
+  for (let i = 0; i < indices.length; i++) out.set(positions.subarray(indices[i] * 3, indices[i] * 3 + 3), i * 3)
+  return new THREE.BufferGeometry().setAttribute('position', new THREE.BufferAttribute(out, 3))
+}
+
+// Quantized, deduplicated vertex and index data for one mesh: positions as
+// int16 around the bounds centre (a node transform scales them back), normals
+// as int8. Vertices equal after quantization are merged.
+function quantizeMesh(geometry) {
+  const creased = toCreasedNormals(geometry, CREASE_ANGLE)
+  const pos = creased.getAttribute('position')
+  const nrm = creased.getAttribute('normal')
+  creased.computeBoundingBox()
+  const center = creased.boundingBox.getCenter(new THREE.Vector3())
+  const size = creased.boundingBox.getSize(new THREE.Vector3())
+  const half = Math.max(size.x, size.y, size.z) / 2 || 1
+
+  const keys = new Map()
+  const positions = []
+  const normals = []
+  const indices = new Uint32Array(pos.count)
+  const q16 = (v, c) => Math.round(((v - c) / half) * 32767)
+  const q8 = (v) => Math.round(v * 127)
+  for (let i = 0; i < pos.count; i++) {
+    const p = [q16(pos.getX(i), center.x), q16(pos.getY(i), center.y), q16(pos.getZ(i), center.z)]
+    const n = [q8(nrm.getX(i)), q8(nrm.getY(i)), q8(nrm.getZ(i))]
+    const key = `${p} ${n}`
+    let index = keys.get(key)
+    if (index === undefined) {
+      index = positions.length / 3
+      keys.set(key, index)
+      positions.push(...p)
+      normals.push(...n)
+    }
+    indices[i] = index
+  }
+
+  // Vertex cache and fetch order, which also helps the meshopt codecs
+  const [remap, count] = MeshoptEncoder.reorderMesh(indices, true, false)
+  const posBuf = new Int16Array(count * 4)
+  const nrmBuf = new Int8Array(count * 4)
+  for (let old = 0; old < remap.length; old++) {
+    const v = remap[old]
+    if (v === 0xFFFFFFFF) continue
+    for (let k = 0; k < 3; k++) {
+      posBuf[v * 4 + k] = positions[old * 3 + k]
+      nrmBuf[v * 4 + k] = normals[old * 3 + k]
+    }
+  }
+  return { posBuf, nrmBuf, indices, count, center, half }
+}
+
+function encodeMeshoptGLB(geometry, error) {
+  const { posBuf, nrmBuf, indices, count, center, half } = quantizeMesh(simplifyVisual(geometry, error))
+  const use16 = count < 65536
+  const indexBuf = use16 ? new Uint16Array(indices) : indices
+  const indexSize = use16 ? 2 : 4
+
+  const min = [Infinity, Infinity, Infinity]
+  const max = [-Infinity, -Infinity, -Infinity]
+  for (let i = 0; i < count; i++) {
+    for (let k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], posBuf[i * 4 + k])
+      max[k] = Math.max(max[k], posBuf[i * 4 + k])
+    }
+  }
+
+  // Each view: compressed into buffer 0 (the GLB's BIN chunk), with its
+  // decoded layout in the data-less fallback buffer 1
+  const views = [
+    { data: new Uint8Array(posBuf.buffer), count, stride: 8, mode: 'ATTRIBUTES' },
+    { data: new Uint8Array(nrmBuf.buffer), count, stride: 4, mode: 'ATTRIBUTES' },
+    { data: new Uint8Array(indexBuf.buffer), count: indices.length, stride: indexSize, mode: 'TRIANGLES' },
+  ]
+  const chunks = []
+  let compressedLength = 0
+  let fallbackLength = 0
+  const bufferViews = views.map(({ data, count: n, stride, mode }) => {
+    const encoded = MeshoptEncoder.encodeGltfBuffer(data, n, stride, mode)
+    const view = {
+      buffer: 1,
+      byteOffset: fallbackLength,
+      byteLength: data.byteLength,
+      ...(mode === 'ATTRIBUTES' ? { byteStride: stride } : {}),
+      extensions: {
+        EXT_meshopt_compression: { buffer: 0, byteOffset: compressedLength, byteLength: encoded.byteLength, byteStride: stride, count: n, mode },
+      },
+    }
+    chunks.push({ offset: compressedLength, encoded })
+    compressedLength = padTo4(compressedLength + encoded.byteLength)
+    fallbackLength = padTo4(fallbackLength + data.byteLength)
+    return view
+  })
+
+  const bin = Buffer.alloc(compressedLength)
+  for (const { offset, encoded } of chunks) bin.set(encoded, offset)
+
+  const gltf = {
+    asset: { version: '2.0', generator: 'i-am-robot build-robot-assets' },
+    extensionsUsed: ['EXT_meshopt_compression', 'KHR_mesh_quantization'],
+    extensionsRequired: ['EXT_meshopt_compression', 'KHR_mesh_quantization'],
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, translation: center.toArray(), scale: [half, half, half] }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, material: 0 }] }],
+    materials: [{ pbrMetallicRoughness: { baseColorFactor: [0.29, 0.29, 0.43, 1], metallicFactor: 0.25, roughnessFactor: 0.4 } }],
+    accessors: [
+      { bufferView: 0, componentType: 5122, normalized: true, count, type: 'VEC3', min, max },
+      { bufferView: 1, componentType: 5120, normalized: true, count, type: 'VEC3' },
+      { bufferView: 2, componentType: use16 ? 5123 : 5125, count: indices.length, type: 'SCALAR' },
+    ],
+    bufferViews,
+    buffers: [
+      { byteLength: compressedLength },
+      { byteLength: fallbackLength, extensions: { EXT_meshopt_compression: { fallback: true } } },
+    ],
+  }
+
+  const json = Buffer.from(JSON.stringify(gltf))
+  const jsonLength = padTo4(json.length)
+  const glb = Buffer.alloc(12 + 8 + jsonLength + 8 + compressedLength, 0)
+  let o = 0
+  o = glb.writeUInt32LE(0x46546C67, o)
+  o = glb.writeUInt32LE(2, o)
+  o = glb.writeUInt32LE(glb.length, o)
+  o = glb.writeUInt32LE(jsonLength, o)
+  o = glb.writeUInt32LE(0x4E4F534A, o)
+  json.copy(glb, o)
+  glb.fill(0x20, o + json.length, o + jsonLength)
+  o += jsonLength
+  o = glb.writeUInt32LE(compressedLength, o)
+  o = glb.writeUInt32LE(0x004E4942, o)
+  bin.copy(glb, o)
+  return { glb, triangles: indices.length / 3, vertices: count }
+}
+
+// ── Collision hulls ───────────────────────────────────────────────────────
+
+// Triangle soup of a link's meshes in the link frame, 9 numbers per triangle
+function linkTriangles(meshes) {
+  const out = []
+  const v = new THREE.Vector3()
+  for (const { geometry, toLink } of meshes) {
+    const pos = geometry.getAttribute('position')
+    const index = geometry.getIndex()
+    const n = index ? index.count : pos.count
+    for (let i = 0; i < n; i++) {
+      v.fromBufferAttribute(pos, index ? index.getX(i) : i).applyMatrix4(toLink)
+      out.push(v.x, v.y, v.z)
+    }
+  }
+  return out
+}
+
+function bounds(tris) {
+  const box = new THREE.Box3()
+  for (let i = 0; i < tris.length; i += 3) box.expandByPoint(new THREE.Vector3(tris[i], tris[i + 1], tris[i + 2]))
+  return box
+}
+
+/**
+ * Solid voxels of a closed mesh: for each column along X, the ray's sorted
+ * crossings pair up into inside spans. Columns with an odd crossing count
+ * (holes in the mesh) are left empty.
+ */
+function voxelize(tris, box) {
+  const size = box.getSize(new THREE.Vector3())
+  const cell = Math.max(size.x, size.y, size.z) / VOXEL_RES || 1e-3
+  const dims = [0, 1, 2].map(k => Math.max(1, Math.ceil(size.getComponent(k) / cell)))
+  const [nx, ny, nz] = dims
+  const solid = new Uint8Array(nx * ny * nz)
+  const columns = Array.from({ length: ny * nz }, () => [])
+
+  for (let t = 0; t < tris.length; t += 9) {
+    const ys = [tris[t + 1], tris[t + 4], tris[t + 7]]
+    const zs = [tris[t + 2], tris[t + 5], tris[t + 8]]
+    const j0 = Math.max(0, Math.floor((Math.min(...ys) - box.min.y) / cell - 0.5))
+    const j1 = Math.min(ny - 1, Math.ceil((Math.max(...ys) - box.min.y) / cell - 0.5))
+    const k0 = Math.max(0, Math.floor((Math.min(...zs) - box.min.z) / cell - 0.5))
+    const k1 = Math.min(nz - 1, Math.ceil((Math.max(...zs) - box.min.z) / cell - 0.5))
+    for (let k = k0; k <= k1; k++) for (let j = j0; j <= j1; j++) columns[k * ny + j].push(t)
+  }
+
+  // Rays are nudged off the cell centres so they never run along an edge
+  const nudge = cell * 1e-3 * Math.SQRT2
+  for (let k = 0; k < nz; k++) {
+    for (let j = 0; j < ny; j++) {
+      const y = box.min.y + (j + 0.5) * cell + nudge
+      const z = box.min.z + (k + 0.5) * cell + nudge * Math.SQRT2
+      const xs = []
+      for (const t of columns[k * ny + j]) {
+        const [ay, az, by, bz, cy, cz] = [tris[t + 1], tris[t + 2], tris[t + 4], tris[t + 5], tris[t + 7], tris[t + 8]]
+        const d = (by - ay) * (cz - az) - (cy - ay) * (bz - az)
+        if (Math.abs(d) < 1e-18) continue
+        const u = ((y - ay) * (cz - az) - (cy - ay) * (z - az)) / d
+        const v = ((by - ay) * (z - az) - (y - ay) * (bz - az)) / d
+        if (u < 0 || v < 0 || u + v > 1) continue
+        xs.push(tris[t] + u * (tris[t + 3] - tris[t]) + v * (tris[t + 6] - tris[t]))
+      }
+      if (xs.length % 2) continue
+      xs.sort((a, b) => a - b)
+      for (let s = 0; s < xs.length; s += 2) {
+        const i0 = Math.max(0, Math.ceil((xs[s] - box.min.x) / cell - 0.5))
+        const i1 = Math.min(nx - 1, Math.floor((xs[s + 1] - box.min.x) / cell - 0.5))
+        for (let i = i0; i <= i1; i++) solid[(k * ny + j) * nx + i] = 1
+      }
+    }
+  }
+  return { box, cell, dims, solid }
+}
+
+// Voxels whose centres lie in the hull, and how many of those are solid
+function hullFill(hull, voxels) {
+  const { box, cell, dims: [nx, ny, nz], solid } = voxels
+  const hb = new THREE.Box3()
+  for (const v of hull.vertices) hb.expandByPoint(v.point)
+  const p = new THREE.Vector3()
+  const range = (k, n) => [
+    Math.max(0, Math.floor((hb.min.getComponent(k) - box.min.getComponent(k)) / cell)),
+    Math.min(n - 1, Math.floor((hb.max.getComponent(k) - box.min.getComponent(k)) / cell)),
+  ]
+  const [[i0, i1], [j0, j1], [k0, k1]] = [range(0, nx), range(1, ny), range(2, nz)]
+  let inside = 0
+  let filled = 0
+  for (let k = k0; k <= k1; k++) {
+    for (let j = j0; j <= j1; j++) {
+      for (let i = i0; i <= i1; i++) {
+        p.set(box.min.x + (i + 0.5) * cell, box.min.y + (j + 0.5) * cell, box.min.z + (k + 0.5) * cell)
+        if (!hull.containsPoint(p)) continue
+        inside++
+        filled += solid[(k * ny + j) * nx + i]
+      }
+    }
+  }
+  return { inside, filled }
+}
+
+function hullOf(points) {
+  if (points.length < 4) return null
+  try {
+    const hull = new ConvexHull().setFromPoints(points)
+    return hull.faces.length ? hull : null
+  } catch {
+    return null
+  }
+}
+
+function triPoints(tris) {
+  const out = []
+  for (let i = 0; i < tris.length; i += 3) out.push(new THREE.Vector3(tris[i], tris[i + 1], tris[i + 2]))
+  return out
+}
+
+function hullVolume(hull) {
+  const o = hull.vertices[0].point
+  let volume = 0
+  const a = new THREE.Vector3()
+  const b = new THREE.Vector3()
+  const c = new THREE.Vector3()
+  for (const face of hull.faces) {
+    const e0 = face.edge
+    for (let e = e0.next; e.next !== e0; e = e.next) {
+      a.subVectors(e.head().point, e0.head().point)
+      b.subVectors(e.next.head().point, e0.head().point)
+      volume += Math.abs(a.cross(b).dot(c.subVectors(e0.head().point, o))) / 6
+    }
+  }
+  return volume
+}
+
+// Splits a triangle soup by the plane x[axis] = value into the parts on
+// either side, cutting straddling triangles (Sutherland–Hodgman)
+function clipTriangles(tris, axis, value) {
+  const below = []
+  const above = []
+  const emit = (out, poly) => {
+    for (let i = 1; i + 1 < poly.length; i++) out.push(...poly[0], ...poly[i], ...poly[i + 1])
+  }
+  for (let t = 0; t < tris.length; t += 9) {
+    const pts = [0, 1, 2].map(i => [tris[t + i * 3], tris[t + i * 3 + 1], tris[t + i * 3 + 2]])
+    const d = pts.map(p => p[axis] - value)
+    if (d.every(x => x <= 0)) { below.push(...tris.slice(t, t + 9)); continue }
+    if (d.every(x => x >= 0)) { above.push(...tris.slice(t, t + 9)); continue }
+    const lo = []
+    const hi = []
+    for (let i = 0; i < 3; i++) {
+      const j = (i + 1) % 3
+      if (d[i] <= 0) lo.push(pts[i])
+      if (d[i] >= 0) hi.push(pts[i])
+      if ((d[i] < 0 && d[j] > 0) || (d[i] > 0 && d[j] < 0)) {
+        const s = d[i] / (d[i] - d[j])
+        const cut = pts[i].map((c, k) => c + (pts[j][k] - c) * s)
+        lo.push(cut)
+        hi.push(cut)
+      }
+    }
+    emit(below, lo)
+    emit(above, hi)
+  }
+  return [below, above]
+}
+
+/**
+ * Approximate convex decomposition: a part whose hull is more than maxEmpty
+ * empty space is cut in two across its longest side, at whichever of three
+ * positions leaves the smaller total hull volume, until the hulls fit or
+ * maxHulls is reached. Splits the emptiest part first; a cut that hardly
+ * shrinks the hulls (a thin curved shell, say) is not made.
+ */
+function decompose(tris, { maxHulls, maxEmpty }) {
+  const voxels = voxelize(tris, bounds(tris))
+  const measure = (partTris, depth) => {
+    const hull = hullOf(triPoints(partTris))
+    if (!hull) return null
+    const { inside, filled } = hullFill(hull, voxels)
+    const size = bounds(partTris).getSize(new THREE.Vector3())
+    const judged = inside >= MIN_HULL_VOXELS && Math.min(size.x, size.y, size.z) >= 2 * voxels.cell
+    return { tris: partTris, hull, volume: hullVolume(hull), empty: judged ? 1 - filled / inside : 0, depth }
+  }
+
+  const whole = measure(tris, 0)
+  if (!whole) return []
+  const parts = [whole]
+  while (parts.length < maxHulls) {
+    const candidates = parts.filter(p => p.empty > maxEmpty && p.depth < MAX_SPLIT_DEPTH)
+    if (!candidates.length) break
+    const part = candidates.reduce((a, b) => (b.empty > a.empty ? b : a))
+
+    const box = bounds(part.tris)
+    const size = box.getSize(new THREE.Vector3())
+    const axis = size.x >= size.y && size.x >= size.z ? 0 : size.y >= size.z ? 1 : 2
+    let best = null
+    for (const f of [0.25, 0.5, 0.75]) {
+      const value = box.min.getComponent(axis) + size.getComponent(axis) * f
+      const halves = clipTriangles(part.tris, axis, value).map(h => measure(h, part.depth + 1)).filter(Boolean)
+      if (halves.length < 2) continue
+      const volume = halves.reduce((s, h) => s + h.volume, 0)
+      if (!best || volume < best.volume) best = { halves, volume }
+    }
+    if (!best || best.volume > part.volume * (1 - MIN_SPLIT_GAIN)) {
+      part.depth = MAX_SPLIT_DEPTH
+      continue
+    }
+    parts.splice(parts.indexOf(part), 1, ...best.halves)
+  }
+  return parts
+}
+
+// At most MAX_HULL_VERTS of the hull's vertices: the extremes along each
+// axis, then repeatedly the vertex furthest outside the hull built so far
+function simplifyHull(hull) {
+  const points = hull.vertices.map(v => v.point)
+  if (points.length <= MAX_HULL_VERTS) return points
+  const chosen = new Set()
+  for (let k = 0; k < 3; k++) {
+    let lo = points[0]
+    let hi = points[0]
+    for (const p of points) {
+      if (p.getComponent(k) < lo.getComponent(k)) lo = p
+      if (p.getComponent(k) > hi.getComponent(k)) hi = p
+    }
+    chosen.add(lo).add(hi)
+  }
+  while (chosen.size < MAX_HULL_VERTS) {
+    const current = hullOf([...chosen])
+    if (!current) break
+    let far = null
+    let farDist = 1e-6
+    for (const p of points) {
+      if (chosen.has(p)) continue
+      let d = -Infinity
+      for (const face of current.faces) d = Math.max(d, face.distanceToPoint(p))
+      if (d > farDist) { far = p; farDist = d }
+    }
+    if (!far) break
+    chosen.add(far)
+  }
+  return [...chosen]
+}
+
+const round = (v) => +v.toFixed(HULL_DECIMALS)
+
+// ── Main ──────────────────────────────────────────────────────────────────
+
+async function main() {
+  await MeshoptEncoder.ready
+  await MeshoptSimplifier.ready
+  const maxHulls = parseInt(arg('max-hulls', '8'), 10)
+  const maxEmpty = parseFloat(arg('max-empty', '0.3'))
+  const visualError = parseFloat(arg('visual-error', '0.0001'))
+  const links = loadVisuals()
+
+  fs.mkdirSync(path.join(OUT_DIR, 'visual'), { recursive: true })
+  const manifest = { version: 1, urdf: 'g1.urdf', visual: {}, collision: null }
+
+  console.log('Visual meshes:')
+  let stlBytes = 0
+  let glbBytes = 0
+  const written = new Set()
+  for (const meshes of Object.values(links)) {
+    for (const { path: meshPath, bytes, geometry } of meshes) {
+      if (written.has(meshPath)) continue
+      written.add(meshPath)
+      const { glb, triangles, vertices } = encodeMeshoptGLB(geometry, visualError)
+      const uri = `visual/${path.basename(meshPath).replace(/\.stl$/i, '.glb')}`
+      fs.writeFileSync(path.join(OUT_DIR, uri), glb)
+      manifest.visual[meshPath] = { uri, bytes: glb.length, triangles, vertices }
+      stlBytes += bytes
+      glbBytes += glb.length
+      console.log(`  ${meshPath}: ${(bytes / 1024).toFixed(0)}K → ${(glb.length / 1024).toFixed(0)}K`)
+    }
+  }
+
+  console.log('\nCollision hulls:')
+  const collision = { precision: 1 / 10 ** HULL_DECIMALS, links: {} }
+  let hullCount = 0
+  for (const [name, meshes] of Object.entries(links)) {
+    const parts = decompose(linkTriangles(meshes), { maxHulls, maxEmpty })
+    if (!parts.length) continue
+    collision.links[name] = parts.map(p => simplifyHull(p.hull).flatMap(v => [round(v.x), round(v.y), round(v.z)]))
+    hullCount += parts.length
+    const worst = Math.max(...parts.map(p => p.empty))
+    console.log(`  ${name}: ${parts.length} hull${parts.length > 1 ? 's' : ''}, emptiest ${(worst * 100).toFixed(0)}%`)
+  }
+  const collisionJson = JSON.stringify(collision)
+  fs.writeFileSync(path.join(OUT_DIR, 'collision.json'), collisionJson)
+  manifest.collision = { uri: 'collision.json', bytes: collisionJson.length, links: Object.keys(collision.links).length, hulls: hullCount }
+  fs.writeFileSync(path.join(OUT_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n')
+
+  console.log(`\nVisual: ${(stlBytes / 1024 / 1024).toFixed(1)}MB STL → ${(glbBytes / 1024 / 1024).toFixed(1)}MB GLB`)
+  console.log(`Collision: ${hullCount} hulls over ${manifest.collision.links} links, ${(collisionJson.length / 1024).toFixed(0)}K`)
+}
+
+main().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
@@ -0,0 +1,219 @@
+// Compares the arm IK solvers in src/systems/IKSolvers.js on wrist trajectories.
+// Usage: node scripts/ik-benchmark.mjs [episode.json ...] [--solvers ccd,dls]
+//
+// Episodes are the JSON written by the recorder / ingest server; the logged
+// wrist targets (sample.action[side].wrist) are solved with the robot root at
+// the logged base pose. Without episode files a synthetic trajectory is used:
+// smooth joint-space motion (reachable by construction) with excursions
+// pushed past the edge of the workspace.
+//
+// Every solver is warm-started from its own previous solution, as in the app.
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { JSDOM } from 'jsdom'
+import * as THREE from 'three'
+import URDFLoader from 'urdf-loader'
+import { IK_SOLVERS } from '../src/systems/IKSolvers.js'
+import { ROBOT_BASE_QUAT, applyLimitOverrides } from '../src/systems/RobotModel.js'
+import { ARM_CHAIN, HAND_LINK } from '../src/constants/kinematics.js'
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+// A per-frame joint change above this (rad) counts as a flip/jump
+const JUMP_RAD = 0.5
+const SYNTHETIC_FPS = 30
+const SYNTHETIC_SECONDS = 20
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`)
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback
+}
+
+function positionalArgs() {
+  const out = []
+  for (let i = 2; i < process.argv.length; i++) {
+    if (process.argv[i].startsWith('--')) i++
+    else out.push(process.argv[i])
+  }
+  return out
+}
+
+function loadRobot() {
+  const { window } = new JSDOM('')
+  globalThis.DOMParser = window.DOMParser
+  globalThis.Document = window.Document
+  globalThis.Element = window.Element
+
+  const loader = new URDFLoader()
+  // Only kinematics matter here
+  loader.loadMeshCb = (_path, _mgr, onLoad) => onLoad(new THREE.Group())
+  const robot = loader.parse(fs.readFileSync(path.join(ROOT, 'public/models/g1.urdf'), 'utf8'))
+
+  robot.quaternion.copy(ROBOT_BASE_QUAT)
+  applyLimitOverrides(robot)
+
+  const rig = new THREE.Group()
+  rig.position.y = 0.75
+  rig.add(robot)
+  rig.updateMatrixWorld(true)
+  return { robot, rig }
+}
+
+function zeroArms(robot) {
+  for (const side of ['left', 'right']) {
+    for (const n of ARM_CHAIN[side]) robot.joints[n].setJointValue(0)
+  }
+}
+
+// Frames of { base, left, right }, each a [x, y, z, qx, qy, qz, qw] pose or null
+function episodeFrames(file) {
+  const episode = JSON.parse(fs.readFileSync(file, 'utf8'))
+  return episode.samples.map((s) => ({
+    base: s.base,
+    left: s.action?.left?.wrist ?? null,
+    right: s.action?.right?.wrist ?? null,
+  }))
+}
+
+// Forward kinematics of a smooth joint-space sweep. Every few seconds the hand
+// target is pushed outward from the shoulder, beyond what the arm can reach.
+function syntheticFrames(robot, rig) {
+  const frames = []
+  const n = SYNTHETIC_FPS * SYNTHETIC_SECONDS
+  const shoulder = new THREE.Vector3()
+  const pos = new THREE.Vector3()
+  const quat = new THREE.Quaternion()
+
+  for (let f = 0; f < n; f++) {
+    const t = f / SYNTHETIC_FPS
+    const frame = { base: null }
+    for (const side of ['left', 'right']) {
+      const chain = ARM_CHAIN[side].map((name) => robot.joints[name])
+      const phase = side === 'left' ? 0 : 1.3
+      chain.forEach((j, i) => {
+        const { lower, upper } = j.limit
+        const mid = (lower + upper) / 2
+        const amp = (upper - lower) * 0.35
+        // Lissajous per joint: a figure-8 in the shoulder, slower drift distally
+        j.setJointValue(mid + amp * Math.sin(t * (0.6 + 0.13 * i) + phase + i) * Math.cos(t * 0.21 * (i + 1)))
+      })
+      rig.updateMatrixWorld(true)
+      robot.links[HAND_LINK[side]].getWorldPosition(pos)
+      robot.links[HAND_LINK[side]].getWorldQuaternion(quat)
+
+      const reach = Math.max(0, Math.sin((t / SYNTHETIC_SECONDS) * Math.PI * 6)) ** 4
+      if (reach > 0) {
+        chain[0].getWorldPosition(shoulder)
+        pos.sub(shoulder).multiplyScalar(1 + 0.35 * reach).add(shoulder)
+      }
+      frame[side] = [...pos.toArray(), ...quat.toArray()]
+    }
+    frames.push(frame)
+  }
+  zeroArms(robot)
+  return frames
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))]
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0
+}
+
+function run(solverName, robot, rig, frames) {
+  const { solve, iterations } = IK_SOLVERS[solverName]
+  const target = new THREE.Vector3()
+  const targetQuat = new THREE.Quaternion()
+  const pos = new THREE.Vector3()
+  const quat = new THREE.Quaternion()
+  const posErr = []
+  const rotErr = []
+  const vel = []
+  const acc = []
+  let jumps = 0
+  let ms = 0
+  let solves = 0
+
+  zeroArms(robot)
+  for (const side of ['left', 'right']) {
+    const chain = ARM_CHAIN[side].map((name) => robot.joints[name])
+    const end = robot.links[HAND_LINK[side]]
+    let prev = null
+    let prevDelta = null
+
+    for (const frame of frames) {
+      const wrist = frame[side]
+      if (!wrist) { prev = prevDelta = null; continue }
+      if (frame.base) {
+        rig.position.fromArray(frame.base, 0)
+        rig.quaternion.fromArray(frame.base, 3)
+      }
+      rig.updateMatrixWorld(true)
+      target.fromArray(wrist, 0)
+      targetQuat.fromArray(wrist, 3)
+
+      const t0 = performance.now()
+      solve(chain, end, target, targetQuat, iterations)
+      ms += performance.now() - t0
+      solves++
+
+      end.getWorldPosition(pos)
+      end.getWorldQuaternion(quat)
+      posErr.push(pos.distanceTo(target) * 1000)
+      rotErr.push(THREE.MathUtils.radToDeg(quat.angleTo(targetQuat)))
+
+      const q = chain.map((j) => j.angle || 0)
+      if (prev) {
+        const delta = q.map((v, i) => v - prev[i])
+        const step = Math.max(...delta.map(Math.abs))
+        vel.push(step)
+        if (step > JUMP_RAD) jumps++
+        if (prevDelta) acc.push(Math.max(...delta.map((d, i) => Math.abs(d - prevDelta[i]))))
+        prevDelta = delta
+      }
+      prev = q
+    }
+  }
+
+  posErr.sort((a, b) => a - b)
+  rotErr.sort((a, b) => a - b)
+  return {
+    solver: solverName,
+    'pos mean mm': mean(posErr).toFixed(1),
+    'pos p95 mm': percentile(posErr, 0.95).toFixed(1),
+    'pos max mm': (posErr[posErr.length - 1] ?? 0).toFixed(1),
+    'rot mean °': mean(rotErr).toFixed(1),
+    'rot p95 °': percentile(rotErr, 0.95).toFixed(1),
+    '|Δq| mean': mean(vel).toFixed(4),
+    '|Δ²q| mean': mean(acc).toFixed(4),
+    jumps,
+    'ms/solve': (ms / Math.max(1, solves)).toFixed(3),
+  }
+}
+
+function main() {
+  const names = arg('solvers', Object.keys(IK_SOLVERS).join(',')).split(',')
+  const unknown = names.filter((n) => !IK_SOLVERS[n])
+  if (unknown.length) {
+    console.error(`Unknown solver(s): ${unknown.join(', ')} (have ${Object.keys(IK_SOLVERS).join(', ')})`)
+    process.exitCode = 2
+    return
+  }
+
+  const { robot, rig } = loadRobot()
+  const files = positionalArgs()
+  const sets = files.length
+    ? files.map((f) => ({ label: path.basename(path.dirname(path.resolve(f))) + '/' + path.basename(f), frames: episodeFrames(f) }))
+    : [{ label: `synthetic (${SYNTHETIC_SECONDS} s @ ${SYNTHETIC_FPS} Hz)`, frames: syntheticFrames(robot, rig) }]
+
+  for (const { label, frames } of sets) {
+    console.log(`\n${label}: ${frames.length} frames`)
+    console.table(names.map((n) => run(n, robot, rig, frames)))
+  }
+}
+
+main()
@@ -0,0 +1,62 @@
+// Headset stand-in for testing scripts/ingest-server.mjs.
+// Records a synthetic episode with the app's Recorder and streams it through EpisodeUploader.
+// Usage: node scripts/ingest-client.mjs [--url ws://localhost:8765] [--seconds 10] [--drop-every 4]
+//
+// --drop-every N terminates the socket after every N chunks to exercise ack/resume.
+
+import WebSocket from 'ws'
+import { Recorder } from '../src/systems/Recorder.js'
+import { EpisodeUploader, MemoryOutbox } from '../src/systems/EpisodeUploader.js'
+import { RECORDED_JOINTS } from '../src/constants/kinematics.js'
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`)
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback
+}
+
+function syntheticRobot() {
+  const joints = {}
+  for (const name of RECORDED_JOINTS) {
+    joints[name] = { jointType: 'revolute', limit: { lower: -1, upper: 1 }, angle: 0 }
+  }
+  return { robotName: 'g1', joints }
+}
+
+async function main() {
+  const url = arg('url', 'ws://localhost:8765')
+  const seconds = parseFloat(arg('seconds', '10'))
+  const dropEvery = parseInt(arg('drop-every', '0'), 10)
+
+  const recorder = new Recorder({ rate: 30 })
+  const uploader = new EpisodeUploader({ url, chunkSize: 30, WebSocketImpl: WebSocket, outbox: new MemoryOutbox() })
+  await uploader.open()
+  uploader.attach(recorder)
+
+  let acked = 0
+  if (dropEvery > 0) {
+    const handle = uploader.handleMessage.bind(uploader)
+    uploader.handleMessage = (msg) => {
+      handle(msg)
+      if (msg.type === 'ack' && ++acked % dropEvery === 0) {
+        console.log(`  dropping connection after ack ${msg.seq}`)
+        uploader.socket?.terminate()
+      }
+    }
+  }
+
+  const robot = syntheticRobot()
+  recorder.start({ task: 'ingest self-test' }, 0)
+  for (let now = 0; now <= seconds * 1000; now += 1000 / 72) {
+    if (!recorder.due(now)) continue
+    RECORDED_JOINTS.forEach((name, i) => { robot.joints[name].angle = Math.sin(now / 1000 + i) })
+    recorder.capture(now, { robot, commands: {} })
+  }
+  const episode = recorder.stop()
+  console.log(`Recorded ${episode.id}: ${episode.samples.length} samples`)
+
+  await uploader.drained()
+  console.log(`Uploaded ${episode.id} to ${url}`)
+  uploader.close()
+}
+
+main().catch((e) => { console.error(e); process.exitCode = 1 })
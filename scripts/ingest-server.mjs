@@ -0,0 +1,117 @@
+// Receives episode chunks from src/systems/EpisodeUploader.js and writes them to disk.
+// Usage: node scripts/ingest-server.mjs [--port 8765] [--dir recordings]
+//
+// Layout: <dir>/<session>/<episode>/header.json
+//                                   chunks/000000.json …
+//                                   episode.json        (assembled once all chunks arrived)
+//
+// Every chunk is written atomically before it is acknowledged, and `begin`
+// replies with the chunks already on disk, so clients resume partial uploads.
+// `discard` deletes an episode the operator threw away mid-recording.
+
+import { WebSocketServer } from 'ws'
+import fs from 'fs'
+import path from 'path'
+
+const ID_RE = /^[\w-]+$/
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`)
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback
+}
+
+function writeAtomic(file, data) {
+  const tmp = file + '.tmp'
+  fs.writeFileSync(tmp, data)
+  fs.renameSync(tmp, file)
+}
+
+function episodeDir(root, msg) {
+  if (!ID_RE.test(msg.session ?? '') || !ID_RE.test(msg.episode ?? '')) {
+    throw new Error('invalid session or episode id')
+  }
+  const dir = path.join(root, msg.session, msg.episode)
+  fs.mkdirSync(path.join(dir, 'chunks'), { recursive: true })
+  return dir
+}
+
+function storedChunks(dir) {
+  return fs.readdirSync(path.join(dir, 'chunks'))
+    .filter(f => /^\d+\.json$/.test(f))
+    .map(f => parseInt(f, 10))
+    .sort((a, b) => a - b)
+}
+
+function assemble(dir, header, total) {
+  const samples = []
+  for (let seq = 0; seq < total; seq++) {
+    const chunk = JSON.parse(fs.readFileSync(path.join(dir, 'chunks', `${String(seq).padStart(6, '0')}.json`), 'utf8'))
+    samples.push(...chunk.samples)
+  }
+  writeAtomic(path.join(dir, 'episode.json'), JSON.stringify({ ...header, samples }))
+  return samples.length
+}
+
+function handleMessage(root, msg) {
+  const dir = episodeDir(root, msg)
+
+  switch (msg.type) {
+    case 'begin':
+      writeAtomic(path.join(dir, 'header.json'), JSON.stringify(msg.header, null, 2))
+      return { type: 'resume', episode: msg.episode, have: storedChunks(dir) }
+
+    case 'chunk': {
+      if (!Number.isInteger(msg.seq) || msg.seq < 0 || !Array.isArray(msg.samples)) {
+        throw new Error('malformed chunk')
+      }
+      const file = path.join(dir, 'chunks', `${String(msg.seq).padStart(6, '0')}.json`)
+      if (!fs.existsSync(file)) writeAtomic(file, JSON.stringify({ seq: msg.seq, samples: msg.samples }))
+      return { type: 'ack', episode: msg.episode, seq: msg.seq }
+    }
+
+    case 'end': {
+      const have = new Set(storedChunks(dir))
+      const missing = []
+      for (let seq = 0; seq < msg.chunks; seq++) if (!have.has(seq)) missing.push(seq)
+      if (missing.length) return { type: 'missing', episode: msg.episode, seqs: missing }
+
+      writeAtomic(path.join(dir, 'header.json'), JSON.stringify(msg.header, null, 2))
+      const n = assemble(dir, msg.header, msg.chunks)
+      console.log(`  ✓ ${msg.session}/${msg.episode}: ${msg.chunks} chunks, ${n} samples`)
+      return { type: 'complete', episode: msg.episode }
+    }
+
+    case 'discard':
+      fs.rmSync(dir, { recursive: true, force: true })
+      console.log(`  ✗ ${msg.session}/${msg.episode}: discarded`)
+      return { type: 'discarded', episode: msg.episode }
+
+    default:
+      throw new Error(`unknown message type ${msg.type}`)
+  }
+}
+
+function main() {
+  const port = parseInt(arg('port', '8765'), 10)
+  const root = path.resolve(arg('dir', 'recordings'))
+  fs.mkdirSync(root, { recursive: true })
+
+  const wss = new WebSocketServer({ port })
+  wss.on('connection', (ws, req) => {
+    console.log(`Client connected: ${req.socket.remoteAddress}`)
+    ws.on('message', (data) => {
+      let reply
+      try {
+        reply = handleMessage(root, JSON.parse(data.toString()))
+      } catch (e) {
+        reply = { type: 'error', message: e.message }
+      }
+      ws.send(JSON.stringify(reply))
+    })
+    ws.on('close', () => console.log('Client disconnected'))
+  })
+
+  console.log(`Ingest server on ws://0.0.0.0:${port}, writing to ${root}`)
+}
+
+main()
@@ -0,0 +1,146 @@
+// Re-renders a recorded episode through the robot's head/wrist cameras, once
+// per domain-randomization seed (lighting, materials, background).
+// Usage: node scripts/render-episode.mjs <episode.json> [--out renders] [--seeds 0,1,2]
+//          [--size 320x240] [--stride 1] [--cameras head,left_wrist,right_wrist]
+//          [--meshes manifest|glb|stl] [--video] [--chrome /path/to/chrome]
+//
+// Runs render.html in headless Chrome with SwiftShader (software WebGL, no GPU
+// needed) behind the Vite dev server. Writes
+//   <out>/seed_<n>/<camera>/000000.png ...
+//   <out>/seed_<n>/manifest.json      sampled parameters, intrinsics, frame → sample index
+// and with --video also <out>/seed_<n>/<camera>.mp4 (needs ffmpeg on PATH).
+//
+// Chrome is not downloaded with the dependencies: the installed stable Chrome
+// is used, or the executable given with --chrome or PUPPETEER_EXECUTABLE_PATH.
+// Without one, `npx @puppeteer/browsers install chrome-headless-shell@stable`
+// fetches a headless build and prints its path.
+
+import fs from 'fs'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import { createServer } from 'vite'
+import puppeteer from 'puppeteer-core'
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+const MESHES_DIR = path.join(ROOT, 'public/models/meshes')
+const DEFAULT_RATE = 30
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`)
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback
+}
+
+function chromeOptions() {
+  const executablePath = arg('chrome', process.env.PUPPETEER_EXECUTABLE_PATH)
+  return executablePath ? { executablePath } : { channel: 'chrome' }
+}
+
+function positionalArgs() {
+  const out = []
+  for (let i = 2; i < process.argv.length; i++) {
+    if (process.argv[i] === '--video') continue
+    if (process.argv[i].startsWith('--')) i++
+    else out.push(process.argv[i])
+  }
+  return out
+}
+
+// The asset manifest (npm run assets) loads fastest, then the GLBs from
+// scripts/convert-stl-to-glb.mjs, then the raw STLs
+function defaultMeshFormat() {
+  if (fs.existsSync(path.join(MESHES_DIR, '..', 'assets', 'manifest.json'))) return 'manifest'
+  return fs.readdirSync(MESHES_DIR).some((f) => f.endsWith('.glb')) ? 'glb' : 'stl'
+}
+
+function hasFfmpeg() {
+  return spawnSync('ffmpeg', ['-version'], { stdio: 'ignore' }).status === 0
+}
+
+function encodeVideo(dir, fps, file) {
+  const r = spawnSync('ffmpeg', [
+    '-y', '-loglevel', 'error', '-framerate', String(fps), '-i', path.join(dir, '%06d.png'),
+    '-c:v', 'libx264', '-pix_fmt', 'yuv420p', file,
+  ], { stdio: 'inherit' })
+  if (r.status !== 0) console.warn(`ffmpeg failed for ${file}`)
+}
+
+async function main() {
+  const [file] = positionalArgs()
+  if (!file) {
+    console.error('Usage: node scripts/render-episode.mjs <episode.json> [--out renders] [--seeds 0,1,2] [--size 320x240] [--stride 1] [--cameras ...] [--meshes manifest|glb|stl] [--video] [--chrome path]')
+    process.exitCode = 2
+    return
+  }
+  const episode = JSON.parse(fs.readFileSync(file, 'utf8'))
+  const out = path.resolve(arg('out', 'renders'))
+  const seeds = arg('seeds', '0').split(',').map(Number)
+  const [width, height] = arg('size', '320x240').split('x').map(Number)
+  const stride = Math.max(1, Number(arg('stride', 1)))
+  const cameras = arg('cameras', 'head,left_wrist,right_wrist').split(',')
+  const meshFormat = arg('meshes', defaultMeshFormat())
+  const video = process.argv.includes('--video')
+  if (video && !hasFfmpeg()) console.warn('ffmpeg not found: writing PNG sequences only')
+  const fps = (episode.rate ?? DEFAULT_RATE) / stride
+
+  const server = await createServer({ root: ROOT, configFile: path.join(ROOT, 'vite.config.js'), logLevel: 'warn' })
+  let browser = null
+  try {
+    await server.listen()
+    const url = new URL('render.html', server.resolvedUrls.local[0]).href
+    browser = await puppeteer.launch({
+      ...chromeOptions(),
+      headless: true,
+      acceptInsecureCerts: true,
+      args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--no-sandbox'],
+    })
+    const page = await browser.newPage()
+    page.on('pageerror', (e) => console.error('page:', e.message))
+    page.on('console', (m) => { if (m.type() === 'error') console.error('page:', m.text()) })
+    await page.goto(url)
+    await page.waitForFunction(() => window.renderTool, { timeout: 60000 })
+
+    const { frames, intrinsics } = await page.evaluate(
+      (ep, opts) => window.renderTool.load(ep, opts),
+      episode, { width, height, cameras, meshFormat },
+    )
+    const indices = []
+    for (let i = 0; i < frames; i += stride) indices.push(i)
+    console.log(`${path.basename(file)}: ${frames} samples, rendering ${indices.length} × ${cameras.length} cameras × ${seeds.length} seed(s) at ${width}×${height}`)
+
+    for (const seed of seeds) {
+      const dir = path.join(out, `seed_${seed}`)
+      for (const cam of cameras) fs.mkdirSync(path.join(dir, cam), { recursive: true })
+      const randomization = await page.evaluate((s) => window.renderTool.setSeed(s), seed)
+
+      const t0 = Date.now()
+      for (const [n, i] of indices.entries()) {
+        const images = await page.evaluate((f) => window.renderTool.render(f), i)
+        for (const cam of cameras) {
+          const png = Buffer.from(images[cam].slice(images[cam].indexOf(',') + 1), 'base64')
+          fs.writeFileSync(path.join(dir, cam, String(n).padStart(6, '0') + '.png'), png)
+        }
+      }
+      fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+        episode: path.basename(file),
+        meshes: meshFormat,
+        fps,
+        cameras: Object.fromEntries(cameras.map((c) => [c, intrinsics])),
+        randomization,
+        samples: indices,
+      }, null, 2))
+      if (video && hasFfmpeg()) {
+        for (const cam of cameras) encodeVideo(path.join(dir, cam), fps, path.join(dir, `${cam}.mp4`))
+      }
+      console.log(`  seed ${seed}: ${dir} (${((Date.now() - t0) / 1000).toFixed(1)} s)`)
+    }
+  } finally {
+    await browser?.close()
+    await server.close()
+  }
+}
+
+main().catch((e) => {
+  console.error(e)
+  process.exitCode = 1
+})
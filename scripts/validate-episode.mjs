@@ -0,0 +1,205 @@
+// Validates a dataset zip produced by src/systems/EpisodeExporter.js
+// Usage: node scripts/validate-episode.mjs <dataset.zip> [...more.zip]
+
+import fs from 'fs'
+import path from 'path'
+
+const REQUIRED_COLUMNS = [
+  'observation.state', 'action', 'timestamp', 'frame_index', 'episode_index', 'index', 'task_index',
+]
+const REQUIRED_INFO = [
+  'codebase_version', 'robot_type', 'fps', 'total_episodes', 'total_frames',
+  'features', 'urdf_joint_order', 'joint_limits', 'objects', 'lighting',
+]
+const DTYPE_BYTES = { '<f4': 4, '<i8': 8, '|u1': 1 }
+
+function readZip(buf) {
+  const entries = new Map()
+  let eocd = buf.length - 22
+  while (eocd >= 0 && buf.readUInt32LE(eocd) !== 0x06054B50) eocd--
+  if (eocd < 0) throw new Error('not a zip archive')
+
+  const count = buf.readUInt16LE(eocd + 10)
+  let p = buf.readUInt32LE(eocd + 16)
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(p) !== 0x02014B50) throw new Error('corrupt central directory')
+    const method = buf.readUInt16LE(p + 10)
+    const size = buf.readUInt32LE(p + 20)
+    const nameLen = buf.readUInt16LE(p + 28)
+    const extraLen = buf.readUInt16LE(p + 30)
+    const commentLen = buf.readUInt16LE(p + 32)
+    const localOff = buf.readUInt32LE(p + 42)
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen)
+    if (method !== 0) throw new Error(`${name}: compressed entries are not supported`)
+
+    const localNameLen = buf.readUInt16LE(localOff + 26)
+    const localExtraLen = buf.readUInt16LE(localOff + 28)
+    const start = localOff + 30 + localNameLen + localExtraLen
+    entries.set(name, buf.subarray(start, start + size))
+    p += 46 + nameLen + extraLen + commentLen
+  }
+  return entries
+}
+
+function readNpy(buf, name) {
+  if (buf[0] !== 0x93 || buf.toString('latin1', 1, 6) !== 'NUMPY') throw new Error(`${name}: bad npy magic`)
+  const headerLen = buf.readUInt16LE(8)
+  const header = buf.toString('latin1', 10, 10 + headerLen)
+  const descr = /'descr':\s*'([^']+)'/.exec(header)?.[1]
+  const shape = /'shape':\s*\(([^)]*)\)/.exec(header)?.[1]
+    .split(',').map(s => s.trim()).filter(Boolean).map(Number)
+  if (!descr || !shape) throw new Error(`${name}: unreadable npy header`)
+  if ((10 + headerLen) % 16 !== 0) throw new Error(`${name}: header not aligned`)
+
+  const bytes = DTYPE_BYTES[descr]
+  if (!bytes) throw new Error(`${name}: unsupported dtype ${descr}`)
+  const body = buf.subarray(10 + headerLen)
+  const expected = shape.reduce((a, b) => a * b, 1) * bytes
+  if (body.length !== expected) throw new Error(`${name}: ${body.length} bytes, expected ${expected}`)
+  return { descr, shape, body }
+}
+
+function column(body, descr, i) {
+  if (descr === '<f4') return body.readFloatLE(i * 4)
+  if (descr === '<i8') return Number(body.readBigInt64LE(i * 8))
+  return body[i]
+}
+
+function validateEpisode(entries, file, info, errors) {
+  const npz = readZip(entries.get(file))
+  const cols = {}
+  for (const [name, buf] of npz) cols[name.replace(/\.npy$/, '')] = readNpy(buf, `${file}:${name}`)
+
+  const before = errors.length
+  for (const c of REQUIRED_COLUMNS) if (!cols[c]) errors.push(`${file}: missing column ${c}`)
+  if (errors.length > before) return 0
+
+  const n = cols.timestamp.shape[0]
+  for (const [name, c] of Object.entries(cols)) {
+    if (c.shape[0] !== n) errors.push(`${file}: ${name} has ${c.shape[0]} rows, expected ${n}`)
+    const feature = info.features?.[name]
+    if (feature && c.shape.length > 1 && c.shape[1] !== feature.shape[0]) {
+      errors.push(`${file}: ${name} width ${c.shape[1]} does not match header ${feature.shape[0]}`)
+    }
+  }
+
+  let prev = -Infinity
+  const epIdx = column(cols.episode_index.body, cols.episode_index.descr, 0)
+  for (let i = 0; i < n; i++) {
+    const t = column(cols.timestamp.body, cols.timestamp.descr, i)
+    if (!(t > prev)) { errors.push(`${file}: timestamp not strictly increasing at row ${i}`); break }
+    prev = t
+    if (column(cols.frame_index.body, cols.frame_index.descr, i) !== i) {
+      errors.push(`${file}: frame_index out of sequence at row ${i}`); break
+    }
+    if (column(cols.episode_index.body, cols.episode_index.descr, i) !== epIdx) {
+      errors.push(`${file}: episode_index changes within episode at row ${i}`); break
+    }
+  }
+
+  // Tracking flags are 0/1 and fault masks only use bits named in the header
+  const valid = cols['observation.tracking_valid']
+  if (valid && valid.body.some(v => v > 1)) errors.push(`${file}: observation.tracking_valid is not 0/1`)
+  const faults = cols['observation.tracking_faults']
+  const bits = (1 << (info.tracking_faults?.length ?? 0)) - 1
+  if (faults && faults.body.some(v => v & ~bits)) errors.push(`${file}: observation.tracking_faults has bits outside tracking_faults`)
+
+  const state = cols['observation.state']
+  for (let i = 0; i < state.body.length / 4; i++) {
+    if (!Number.isFinite(state.body.readFloatLE(i * 4))) { errors.push(`${file}: non-finite observation.state`); break }
+  }
+  return n
+}
+
+// Raw hand stream (info.hand_input_path): rows in time order, each tied to a
+// sample of the episode
+function validateHandInput(entries, file, samples, errors) {
+  const npz = readZip(entries.get(file))
+  const cols = {}
+  for (const [name, buf] of npz) cols[name.replace(/\.npy$/, '')] = readNpy(buf, `${file}:${name}`)
+  const before = errors.length
+  for (const c of ['timestamp', 'frame_index', 'left', 'right']) if (!cols[c]) errors.push(`${file}: missing column ${c}`)
+  if (errors.length > before) return
+
+  const n = cols.timestamp.shape[0]
+  for (const [name, c] of Object.entries(cols)) {
+    if (c.shape[0] !== n) errors.push(`${file}: ${name} has ${c.shape[0]} rows, expected ${n}`)
+  }
+  let prev = -Infinity
+  for (let i = 0; i < n; i++) {
+    const t = column(cols.timestamp.body, cols.timestamp.descr, i)
+    if (!(t >= prev)) { errors.push(`${file}: timestamp decreasing at row ${i}`); break }
+    prev = t
+    const frame = column(cols.frame_index.body, cols.frame_index.descr, i)
+    if (frame < 0 || frame >= samples) { errors.push(`${file}: frame_index ${frame} outside the episode at row ${i}`); break }
+  }
+}
+
+function episodePath(template, index, chunkSize) {
+  return template
+    .replace('{episode_chunk:03d}', String(Math.floor(index / chunkSize)).padStart(3, '0'))
+    .replace('{episode_index:06d}', String(index).padStart(6, '0'))
+}
+
+function validate(zipPath) {
+  const errors = []
+  const entries = readZip(fs.readFileSync(zipPath))
+
+  for (const f of ['meta/info.json', 'meta/episodes.jsonl', 'meta/tasks.jsonl']) {
+    if (!entries.has(f)) errors.push(`missing ${f}`)
+  }
+  if (errors.length) return { errors, frames: 0, episodes: 0 }
+
+  const info = JSON.parse(entries.get('meta/info.json').toString('utf8'))
+  for (const k of REQUIRED_INFO) if (info[k] === undefined) errors.push(`info.json: missing ${k}`)
+
+  const stateNames = info.features?.['observation.state']?.names ?? []
+  for (const name of stateNames) {
+    if (!info.urdf_joint_order?.includes(name)) errors.push(`info.json: state joint ${name} not in urdf_joint_order`)
+    const lim = info.joint_limits?.[name]
+    if (!lim || !(lim.lower <= lim.upper)) errors.push(`info.json: bad joint limit for ${name}`)
+  }
+
+  const episodes = entries.get('meta/episodes.jsonl').toString('utf8').trim().split('\n').map(l => JSON.parse(l))
+  const taskCount = entries.get('meta/tasks.jsonl').toString('utf8').trim().split('\n').length
+  if (taskCount !== info.total_tasks) errors.push(`tasks.jsonl has ${taskCount} tasks, header says ${info.total_tasks}`)
+
+  let frames = 0
+  for (const ep of episodes) {
+    const file = episodePath(info.data_path, ep.episode_index, info.chunks_size)
+    if (!entries.has(file)) { errors.push(`missing ${file}`); continue }
+    const n = validateEpisode(entries, file, info, errors)
+    if (n !== ep.length) errors.push(`${file}: ${n} rows, episodes.jsonl says ${ep.length}`)
+    frames += n
+
+    if (!info.hand_input_path) continue
+    const hands = episodePath(info.hand_input_path, ep.episode_index, info.chunks_size)
+    if (!entries.has(hands)) errors.push(`missing ${hands}`)
+    else validateHandInput(entries, hands, n, errors)
+  }
+  if (frames !== info.total_frames) errors.push(`${frames} frames, header says ${info.total_frames}`)
+
+  return { errors, frames, episodes: episodes.length }
+}
+
+function main() {
+  const files = process.argv.slice(2)
+  if (files.length === 0) {
+    console.error('Usage: node scripts/validate-episode.mjs <dataset.zip> [...more.zip]')
+    process.exitCode = 2
+    return
+  }
+
+  for (const file of files) {
+    const { errors, frames, episodes } = validate(file)
+    if (errors.length) {
+      console.log(`✗ ${path.basename(file)}`)
+      for (const e of errors) console.log(`  ${e}`)
+      process.exitCode = 1
+    } else {
+      console.log(`✓ ${path.basename(file)} (${episodes} episodes, ${frames} frames)`)
+    }
+  }
+}
+
+main()
@@ -1,18 +1,285 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { Canvas } from '@react-three/fiber'
 import { createXRStore, XR } from '@react-three/xr'
 import * as THREE from 'three'
 import { Scene } from './components/Scene.jsx'
+import { Recorder } from './systems/Recorder.js'
+import { downloadEpisodes } from './systems/EpisodeExporter.js'
+import { EpisodeUploader } from './systems/EpisodeUploader.js'
+import { EpisodePlayer, REPLAY_SPEEDS } from './systems/EpisodePlayer.js'
+import { getScenario, listScenarios } from './scenarios/index.js'
+import { IK_SOLVERS, DEFAULT_IK_SOLVER, UPPER_BODY_IK } from './systems/IKSolvers.js'
+import { TrackingMonitor } from './systems/TrackingMonitor.js'
+import { GestureRecognizer } from './systems/GestureRecognizer.js'
+import { SceneReset } from './systems/SceneReset.js'
+import { RetargetCalibration, loadProfile, saveProfile } from './systems/RetargetCalibration.js'
+import { RETARGET_MODES, DEFAULT_RETARGET_MODE } from './systems/HandRetargeting.js'
+import { FrameProfiler } from './systems/FrameProfiler.js'
+import { SimulationClient } from './systems/SimulationClient.js'
+import { HandInputTap } from './systems/HandInputTap.js'
+import { INPUT_MODES, DEFAULT_INPUT_MODE } from './systems/ControllerTeleop.js'
+
+const params = new URLSearchParams(location.search)
+
+// Operator input (see ControllerTeleop): ?input=controllers teleoperates with
+// Quest controllers (grip pose → wrist, trigger/grip → pinch/power grasp,
+// haptics on contact) for when hand tracking suffers from occlusion or light
+const inputMode = INPUT_MODES[params.get('input')] ? params.get('input') : DEFAULT_INPUT_MODE
 
 const xrStore = createXRStore({
   hand: { model: false },
-  controller: false,
+  controller: inputMode === 'controllers',
   foveation: 1,
   frameRate: 'high',
 })
 
+const recorder = new Recorder({ rate: 30 })
+const player = new EpisodePlayer()
+const tracking = new TrackingMonitor()
+
+// Raw hand joints and input-source metadata every XR frame, logged with each
+// episode (see Recorder.attachInput) and open to any other subscriber
+const handInput = new HandInputTap()
+
+// Object layouts come from a seeded PRNG (see SceneReset): ?seed=<n> starts the
+// session at a fixed seed and each reset moves to the next one, so operators
+// can be compared on identical scenes; without it, or with a value that is
+// not a number, seeds are random
+function seedParam() {
+  if (!params.has('seed')) return undefined
+  const seed = parseInt(params.get('seed'), 10)
+  if (Number.isFinite(seed)) return seed
+  console.warn(`Ignoring ?seed=${params.get('seed')}: not a number, using random seeds`)
+  return undefined
+}
+const resets = new SceneReset({ seed: seedParam() })
+
+// Arm servo model (see JointController): ?servo=pd simulates the PD loop,
+// otherwise joints are only velocity/effort limited
+const servo = params.get('servo') === 'pd' ? 'pd' : 'limited'
+
+// Arm IK solver (see IKSolvers): ?ik=dls for damped least squares
+const ik = IK_SOLVERS[params.get('ik')] ? params.get('ik') : DEFAULT_IK_SOLVER
+// ?waist=1: whole-upper-body mode, the waist joins both arms in one DLS solve (overrides ?ik)
+const upperBody = params.get('waist') === '1'
+
+// Head and wrist robot cameras (see RobotCameras): ?camrate=<Hz> sets the
+// offscreen render rate (0 turns them off), ?camframes=1 writes downscaled
+// frames into recorded episodes
+const camRate = parseFloat(params.get('camrate') ?? '10')
+const cameras = camRate > 0 ? { rate: camRate, recordFrames: params.get('camframes') === '1' } : null
+
+// ?contactsound=1: a spatial tick where a finger first touches an object (see ContactFeedback)
+const contactSound = params.get('contactsound') === '1'
+
+// Hand retargeting is calibrated per operator (see RetargetCalibration):
+// ?operator=<id> picks whose profile is loaded, stored and referenced by episodes
+const operator = params.get('operator') || 'default'
+const calibration = new RetargetCalibration({ operator })
+// Finger retargeting mode (see RETARGET_MODES), switchable in VR:
+// ?retarget=vector starts with fingertip vector matching for precise pinches
+const initialRetarget = RETARGET_MODES[params.get('retarget')] ? params.get('retarget') : DEFAULT_RETARGET_MODE
+
+// Per-subsystem frame timings, shown in VR and written into episodes (see
+// FrameProfiler). Dropped frames step quality down unless ?adaptive=0
+const profiler = new FrameProfiler({ adaptive: params.get('adaptive') !== '0' })
+
+// ?sim=worker: retargeting, IK and physics run in a Web Worker on a fixed
+// clock (see SimulationClient), so contact dynamics no longer depend on the
+// frame rate; the render thread only posts hand poses and shows the state
+const sim = params.get('sim') === 'worker' ? new SimulationClient() : null
+
+// Session commands by hand gesture (see GestureRecognizer), on the left hand
+// by default: ?gestures=right moves them to the right hand, ?gestures=0 turns them off
+const gestureParam = params.get('gestures')
+const gestures = gestureParam === '0' ? null : new GestureRecognizer({ hand: gestureParam === 'right' ? 'right' : 'left' })
+
+// Streaming to scripts/ingest-server.mjs: on by default with the dev server
+// (proxied at /ingest), or point ?ingest=wss://host:port at any server.
+function ingestUrl() {
+  const param = new URLSearchParams(location.search).get('ingest')
+  if (param) return param
+  if (!import.meta.env.DEV) return null
+  return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ingest`
+}
+
+function bindReplayControls(getLastEpisode, status) {
+  const $ = (id) => document.getElementById(id)
+  const bar = $('replay-bar')
+  const scrub = $('replay-scrub')
+  const speed = $('replay-speed')
+  const toggle = $('replay-toggle')
+  const frame = $('replay-frame')
+  const file = $('replay-file')
+  if (!bar || !scrub || !speed || !toggle || !frame || !file) return () => {}
+
+  speed.innerHTML = REPLAY_SPEEDS.map(s => `<option value="${s}">${s}×</option>`).join('')
+  speed.value = String(player.speed)
+
+  const load = (episode) => {
+    try {
+      player.load(episode)
+    } catch (e) {
+      if (status) status.textContent = e.message
+    }
+  }
+
+  const handlers = {
+    'replay-btn': () => { const ep = getLastEpisode(); if (ep) load(ep) },
+    'replay-load': () => file.click(),
+    'replay-prev': () => player.step(-1),
+    'replay-next': () => player.step(1),
+    'replay-toggle': () => player.toggle(),
+    'replay-close': () => player.unload(),
+    'replay-verify': () => {
+      const report = player.verify()
+      if (!report || !status) return
+      const fmt = (r) => `${r.checked - r.failed}/${r.checked} (max ${r.maxError.toExponential(1)})`
+      status.textContent = `${report.passed ? 'Verify passed' : 'Verify FAILED'} · IK ${fmt(report.ik)} · hands ${fmt(report.retarget)}`
+      if (!report.passed) console.warn('Replay verification failed:', report)
+    },
+  }
+
+  const onFile = async () => {
+    const f = file.files?.[0]
+    file.value = ''
+    if (!f) return
+    try {
+      load(JSON.parse(await f.text()))
+    } catch (e) {
+      if (status) status.textContent = `Could not load ${f.name}`
+      console.error('Episode load failed:', e)
+    }
+  }
+  const onScrub = () => player.seek(Number(scrub.value))
+  const onSpeed = () => player.setSpeed(Number(speed.value))
+
+  const sync = () => {
+    bar.style.display = player.active ? 'flex' : 'none'
+    if (!player.active) return
+    scrub.max = String(player.frameCount - 1)
+    scrub.value = String(player.frame)
+    toggle.textContent = player.playing ? 'Pause' : 'Play'
+    frame.textContent = `${player.frame + 1} / ${player.frameCount}`
+    speed.value = String(player.speed)
+  }
+
+  for (const [id, fn] of Object.entries(handlers)) $(id)?.addEventListener('click', fn)
+  file.addEventListener('change', onFile)
+  scrub.addEventListener('input', onScrub)
+  speed.addEventListener('change', onSpeed)
+  const unsubscribe = player.subscribe(sync)
+  sync()
+
+  return () => {
+    for (const [id, fn] of Object.entries(handlers)) $(id)?.removeEventListener('click', fn)
+    file.removeEventListener('change', onFile)
+    scrub.removeEventListener('input', onScrub)
+    speed.removeEventListener('change', onSpeed)
+    unsubscribe()
+  }
+}
+
 export default function App() {
   const [vrMode, setVrMode] = useState('unlocked')
+  const [scenario, setScenario] = useState(() => getScenario(new URLSearchParams(location.search).get('scenario')).id)
+  const [notice, setNotice] = useState('')
+  const [handProfile, setHandProfile] = useState(() => loadProfile(operator))
+  const [retarget, setRetarget] = useState(initialRetarget)
+  const episodes = useRef([])
+  const vrModeRef = useRef(vrMode)
+  vrModeRef.current = vrMode
+
+  // Shown on the HTML overlay and on the in-VR session panel
+  const notify = (text) => {
+    const status = document.getElementById('status')
+    if (status) status.textContent = text
+    setNotice(text)
+  }
+
+  const selectScenario = (id) => {
+    if (id === scenario) return true
+    if (recorder.recording) {
+      notify('Stop recording before switching scenario')
+      return false
+    }
+    if (player.active) player.unload()
+    setScenario(getScenario(id).id)
+    notify(`Scenario: ${getScenario(id).title}`)
+    return true
+  }
+
+  // Episode commands shared by the HTML overlay, the in-VR panels and gestures
+  // (gesture commands are keyed by their GESTURES name)
+  const session = {
+    get saved() { return episodes.current.length },
+    toggle_recording: () => {
+      if (recorder.recording) {
+        recorder.annotate({ timing: profiler.endEpisode(), ...(sim && { simulation: sim.endEpisode() }) })
+        const episode = recorder.stop()
+        notify(`Episode ${episode.id}: ${episode.samples.length} samples`)
+      } else {
+        if (calibration.active) calibration.cancel()
+        recorder.start({
+          vrMode: vrModeRef.current,
+          input: inputMode,
+          servo,
+          ik: upperBody ? UPPER_BODY_IK.name : ik,
+          // The profile the hands were retargeted with; ranges null = defaults
+          retargeting: {
+            operator,
+            calibratedAt: handProfile?.calibratedAt ?? null,
+            ranges: handProfile?.ranges ?? null,
+          },
+          // Wrist targets, head, base and XR joints are in the XR reference
+          // space; the worker simulates objects in the world group's frame
+          frames: { poses: 'xr_reference', objects: sim ? 'world_group' : 'xr_reference' },
+        })
+        profiler.startEpisode(recorder.startTime)
+        sim?.startEpisode()
+        notify(`Recording at ${recorder.rate} Hz`)
+      }
+    },
+    discard: () => {
+      profiler.endEpisode()
+      sim?.endEpisode()
+      const episode = recorder.discard()
+      if (episode) notify(`Episode ${episode.id} discarded`)
+    },
+    reset_scene: () => {
+      if (recorder.recording) {
+        notify('Stop recording before resetting the scene')
+        return
+      }
+      if (player.active) player.unload()
+      notify(`Scene reset · seed ${resets.reset()}`)
+    },
+    next_scenario: () => {
+      const all = listScenarios()
+      selectScenario(all[(all.findIndex(s => s.id === scenario) + 1) % all.length].id)
+    },
+    // Recorded per sample, so it may change mid-episode
+    cycle_retargeting: () => {
+      const modes = Object.keys(RETARGET_MODES)
+      const next = modes[(modes.indexOf(retarget) + 1) % modes.length]
+      setRetarget(next)
+      notify(`Hands: ${RETARGET_MODES[next]}`)
+    },
+    calibrate_hands: () => {
+      if (calibration.active) {
+        calibration.cancel()
+        notify('Calibration cancelled')
+      } else if (recorder.recording) {
+        notify('Stop recording before calibrating')
+      } else if (inputMode === 'controllers') {
+        notify('Calibration needs hand tracking')
+      } else {
+        calibration.start()
+      }
+    },
+  }
+  const sessionRef = useRef(session)
+  sessionRef.current = session
 
   useEffect(() => {
     const lockedBtn = document.getElementById('enter-vr-locked')
@@ -53,6 +320,98 @@ export default function App() {
     }
   }, [])
 
+  useEffect(() => {
+    const select = document.getElementById('scenario-select')
+    if (!select) return
+    select.innerHTML = listScenarios().map(s => `<option value="${s.id}">${s.title}</option>`).join('')
+    select.value = scenario
+    const onChange = () => { if (!selectScenario(select.value)) select.value = scenario }
+    select.addEventListener('change', onChange)
+    return () => select.removeEventListener('change', onChange)
+  }, [scenario])
+
+  useEffect(() => {
+    const status = document.getElementById('status')
+    return bindReplayControls(() => episodes.current[episodes.current.length - 1], status)
+  }, [])
+
+  useEffect(() => {
+    const url = ingestUrl()
+    const badge = document.getElementById('upload-status')
+    if (!url) return
+
+    const uploader = new EpisodeUploader({ url })
+    uploader.onStatus = ({ connected, queued }) => {
+      if (badge) badge.textContent = `${connected ? 'Streaming' : 'Offline'} · ${queued} queued`
+    }
+    const detach = uploader.attach(recorder)
+    uploader.open().catch(e => console.error('Uploader failed to start:', e))
+    return () => { detach(); uploader.close() }
+  }, [])
+
+  useEffect(() => recorder.attachInput(handInput), [])
+
+  // Registered before the overlay's listener below, so it sees the new count
+  useEffect(() => recorder.subscribe((e) => {
+    if (e.type === 'stop' && e.episode.samples.length > 0) episodes.current.push(e.episode)
+  }), [])
+
+  useEffect(() => gestures?.subscribe(name => sessionRef.current[name]()), [])
+
+  useEffect(() => profiler.subscribe(({ quality, adaptive, reason }) => {
+    notify(adaptive ? `Quality: ${quality.name} (${reason})` : 'Adaptive quality off')
+  }), [])
+
+  useEffect(() => calibration.subscribe(({ phase, profile }) => {
+    if (phase !== 'done') return
+    saveProfile(profile)
+    setHandProfile(profile)
+    const unfitted = [...new Set([...profile.unfitted.left, ...profile.unfitted.right])]
+    notify(unfitted.length
+      ? `Hands calibrated for ${operator}; defaults kept for ${unfitted.join(', ')}`
+      : `Hands calibrated for ${operator}`)
+  }), [])
+
+  useEffect(() => {
+    const recordBtn = document.getElementById('record-btn')
+    const exportBtn = document.getElementById('export-btn')
+    const resetBtn = document.getElementById('reset-btn')
+    const status = document.getElementById('status')
+    if (!recordBtn || !exportBtn) return
+
+    const sync = () => {
+      recordBtn.textContent = recorder.recording ? 'Stop' : 'Record'
+      recordBtn.classList.toggle('recording', recorder.recording)
+      exportBtn.disabled = episodes.current.length === 0
+      if (resetBtn) resetBtn.disabled = recorder.recording
+    }
+    const toggle = () => sessionRef.current.toggle_recording()
+    const reset = () => sessionRef.current.reset_scene()
+
+    const exportAll = () => {
+      if (episodes.current.length === 0) return
+      try {
+        downloadEpisodes(episodes.current, `session_${episodes.current[0].id}.zip`)
+        if (status) status.textContent = `Exported ${episodes.current.length} episodes`
+      } catch (e) {
+        console.error('Export failed:', e)
+        if (status) status.textContent = 'Export failed'
+      }
+    }
+
+    sync()
+    const unsubscribe = recorder.subscribe((e) => { if (e.type !== 'sample') sync() })
+    recordBtn.addEventListener('click', toggle)
+    exportBtn.addEventListener('click', exportAll)
+    resetBtn?.addEventListener('click', reset)
+    return () => {
+      unsubscribe()
+      recordBtn.removeEventListener('click', toggle)
+      exportBtn.removeEventListener('click', exportAll)
+      resetBtn?.removeEventListener('click', reset)
+    }
+  }, [])
+
   return (
     <Canvas
       style={{ position: 'fixed', inset: 0 }}
@@ -71,7 +430,30 @@ export default function App() {
     >
       <color attach="background" args={['#607080']} />
       <XR store={xrStore}>
-        <Scene vrMode={vrMode} />
+        <Scene
+          vrMode={vrMode}
+          servo={servo}
+          ik={ik}
+          upperBody={upperBody}
+          cameras={cameras}
+          contactSound={contactSound}
+          retarget={retarget}
+          inputMode={inputMode}
+          scenario={scenario}
+          onSelectScenario={selectScenario}
+          session={session}
+          notice={notice}
+          recorder={recorder}
+          player={player}
+          tracking={tracking}
+          gestures={gestures}
+          resets={resets}
+          calibration={calibration}
+          handProfile={handProfile}
+          profiler={profiler}
+          sim={sim}
+          handInput={handInput}
+        />
       </XR>
     </Canvas>
   )
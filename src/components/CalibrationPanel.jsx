@@ -0,0 +1,68 @@
+import { useEffect, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { CALIBRATION_POSES } from '../systems/RetargetCalibration.js'
+import { RETARGET_MODES } from '../systems/HandRetargeting.js'
+import { WorldButton, WorldLabel } from './WorldUI.jsx'
+
+const PANEL_W = 0.3
+const ROW_H = 0.04
+const BUTTON_W = 0.14
+const BAR_H = 0.008
+
+function profileText(operator, profile) {
+  if (!profile) return `${operator} · default hand ranges`
+  return `${operator} · calibrated ${profile.calibratedAt.slice(0, 10)}`
+}
+
+/**
+ * In-world RetargetCalibration wizard: the pose to make, which step of
+ * CALIBRATION_POSES it is, and a bar that fills while the pose is settled
+ * into (dim) and then measured (bright). Idle, it shows the operator's
+ * current profile. The second button cycles RETARGET_MODES.
+ */
+export function CalibrationPanel({ calibration, profile, retarget, onToggle, onCycleRetarget, position = [-0.55, 1.62, -0.45], rotation = [0, Math.PI / 4, 0] }) {
+  const [status, setStatus] = useState(calibration.status)
+  const barRef = useRef()
+
+  useEffect(() => calibration.subscribe(setStatus), [calibration])
+
+  useFrame(() => {
+    const bar = barRef.current
+    if (!bar) return
+    const { active, phase, progress } = calibration.status
+    bar.visible = active
+    if (!active) return
+    bar.scale.x = Math.max(0.001, progress)
+    bar.position.x = -PANEL_W / 2 + (PANEL_W * progress) / 2
+    bar.material.opacity = phase === 'measure' ? 1 : 0.35
+  })
+
+  const title = status.active
+    ? `${status.step + 1}/${CALIBRATION_POSES.length} · ${status.prompt}`
+    : profileText(calibration.operator, profile)
+
+  const col = (BUTTON_W + 0.01) / 2
+
+  return (
+    <group position={position} rotation={rotation}>
+      <WorldLabel text={title} position={[0, ROW_H, 0]} width={PANEL_W} height={0.025} color={status.active ? '#00d4ff' : '#ffffff'} />
+      <mesh ref={barRef} position={[-PANEL_W / 2, ROW_H * 0.45, 0]} visible={false} raycast={() => null}>
+        <planeGeometry args={[PANEL_W, BAR_H]} />
+        <meshBasicMaterial color="#00d4ff" toneMapped={false} transparent />
+      </mesh>
+      <WorldButton
+        label={status.active ? 'Cancel calibration' : 'Calibrate hands'}
+        position={[-col, -ROW_H * 0.2, 0]}
+        width={BUTTON_W}
+        active={status.active}
+        onClick={onToggle}
+      />
+      <WorldButton
+        label={`Hands: ${RETARGET_MODES[retarget] ?? retarget}`}
+        position={[col, -ROW_H * 0.2, 0]}
+        width={BUTTON_W}
+        onClick={onCycleRetarget}
+      />
+    </group>
+  )
+}
@@ -0,0 +1,167 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+
+// Force (N) shown as full red; the fingers stop squeezing at 15 N (URDFRobot)
+const FULL_SCALE_FORCE = 15
+// Below this a link counts as not touching (N)
+const TOUCH_FORCE = 0.2
+// A link's force rising through TICK_FORCE (N) ticks, at most once per TICK_GAP (s)
+const TICK_FORCE = 0.5
+const TICK_GAP = 0.15
+const TICK_VOICES = 4
+const POINT_RADIUS = 0.004
+const MAX_POINTS = 64
+
+const _color = new THREE.Color()
+const _pos = new THREE.Vector3()
+const _m = new THREE.Matrix4()
+
+// Meshes of the link itself, not of links further down the chain
+function ownMeshes(link) {
+  const out = []
+  const visit = (o) => {
+    for (const child of o.children) {
+      if (child.isURDFJoint) continue
+      if (child.isMesh && child.material?.emissive) out.push(child)
+      visit(child)
+    }
+  }
+  visit(link)
+  return out
+}
+
+// Green at first touch through yellow to red at FULL_SCALE_FORCE
+function forceColor(force, target) {
+  const t = Math.min(1, force / FULL_SCALE_FORCE)
+  return target.setHSL(0.33 * (1 - t), 1, 0.3)
+}
+
+// 30 ms decaying 1.8 kHz click
+function tickBuffer(context) {
+  const n = Math.round(context.sampleRate * 0.03)
+  const buffer = context.createBuffer(1, n, context.sampleRate)
+  const data = buffer.getChannelData(0)
+  for (let i = 0; i < n; i++) {
+    const t = i / context.sampleRate
+    data[i] = Math.sin(2 * Math.PI * 1800 * t) * Math.exp(-t * 180)
+  }
+  return buffer
+}
+
+function useTickVoices(enabled) {
+  const { camera } = useThree()
+  const [voices, setVoices] = useState(null)
+
+  useEffect(() => {
+    if (!enabled) return
+    const listener = new THREE.AudioListener()
+    camera.add(listener)
+    const buffer = tickBuffer(listener.context)
+    const pool = Array.from({ length: TICK_VOICES }, () => {
+      const audio = new THREE.PositionalAudio(listener)
+      audio.setBuffer(buffer)
+      audio.setRefDistance(0.3)
+      return audio
+    })
+    setVoices({ listener, pool, next: 0 })
+    return () => {
+      for (const a of pool) if (a.isPlaying) a.stop()
+      camera.remove(listener)
+      setVoices(null)
+    }
+  }, [enabled, camera])
+
+  return voices
+}
+
+/**
+ * Stand-in for touch, since hand tracking has no haptics. Driven by the hand
+ * contacts PhysicsManager.measureContacts() collects after every step:
+ *   - each Dex3 link glows by its contact force, green through red
+ *   - contact points are drawn as dots on the object surface
+ *   - with sound, a short spatial tick plays where a link first touches
+ * Links not touching fall back to the arm's blocked tint, if any.
+ */
+export function ContactFeedback({ robot, physicsRef, blockedRef, blockedTint, sound = false }) {
+  const points = useRef()
+  const voiceGroup = useRef()
+  const voices = useTickVoices(sound)
+
+  // link name → { side, meshes, force, lastTick }
+  const links = useMemo(() => {
+    const out = new Map()
+    for (const [name, link] of Object.entries(robot?.links ?? {})) {
+      const side = name.startsWith('left_hand_') ? 'left' : name.startsWith('right_hand_') ? 'right' : null
+      if (side) out.set(name, { side, meshes: ownMeshes(link), force: 0, lastTick: -Infinity })
+    }
+    return out
+  }, [robot])
+
+  useEffect(() => {
+    const group = voiceGroup.current
+    if (!voices || !group) return
+    for (const a of voices.pool) group.add(a)
+    return () => { for (const a of voices.pool) group.remove(a) }
+  }, [voices])
+
+  useFrame((frame) => {
+    const pm = physicsRef.current
+    if (!robot || !pm) return
+    const now = frame.clock.elapsedTime
+    const contacts = pm.contactPoints
+
+    for (const [name, l] of links) {
+      const force = pm.linkForces[name] ?? 0
+      const rising = force >= TICK_FORCE && l.force < TICK_FORCE
+      l.force = force
+
+      const color = force >= TOUCH_FORCE
+        ? forceColor(force, _color).getHex()
+        : blockedRef.current[l.side] ? blockedTint : 0x000000
+      // Compared against the material, since tintArm also writes these
+      for (const m of l.meshes) if (m.material.emissive.getHex() !== color) m.material.emissive.setHex(color)
+
+      const at = rising && voices && now - l.lastTick > TICK_GAP && contacts.find(c => c.link === name)
+      if (at) {
+        l.lastTick = now
+        playTick(voices, voiceGroup.current, _pos.set(at.x, at.y, at.z), Math.min(1, force / 5))
+      }
+    }
+
+    const mesh = points.current
+    if (!mesh) return
+    const n = Math.min(contacts.length, MAX_POINTS)
+    const parent = mesh.parent
+    for (let i = 0; i < n; i++) {
+      const c = contacts[i]
+      _pos.set(c.x, c.y, c.z)
+      if (parent) parent.worldToLocal(_pos)
+      mesh.setMatrixAt(i, _m.makeTranslation(_pos.x, _pos.y, _pos.z))
+      mesh.setColorAt(i, forceColor(c.force, _color))
+    }
+    mesh.count = n
+    mesh.instanceMatrix.needsUpdate = true
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true
+  })
+
+  return (
+    <>
+      <instancedMesh ref={points} args={[null, null, MAX_POINTS]} count={0} raycast={() => null} frustumCulled={false}>
+        <sphereGeometry args={[POINT_RADIUS, 8, 6]} />
+        <meshBasicMaterial toneMapped={false} depthTest={false} transparent opacity={0.9} />
+      </instancedMesh>
+      <group ref={voiceGroup} />
+    </>
+  )
+}
+
+function playTick(voices, group, world, volume) {
+  const audio = voices.pool[voices.next]
+  voices.next = (voices.next + 1) % voices.pool.length
+  if (voices.listener.context.state === 'suspended') voices.listener.context.resume()
+  if (audio.isPlaying) audio.stop()
+  audio.position.copy(group ? group.worldToLocal(world) : world)
+  audio.setVolume(volume)
+  audio.play()
+}
@@ -0,0 +1,53 @@
+import { useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { HAND_LINK } from '../constants/kinematics.js'
+import { WorldLabel } from './WorldUI.jsx'
+
+const REFRESH_S = 0.2
+const LABEL_OFFSET = 0.09
+
+const _palm = new THREE.Vector3()
+
+function format(forces) {
+  return forces.some(f => f > 0.05)
+    ? `T ${forces[0].toFixed(1)}  M ${forces[1].toFixed(1)}  I ${forces[2].toFixed(1)} N`
+    : ''
+}
+
+/**
+ * Per-fingertip contact force above each hand (thumb, middle, index).
+ * Hidden while the hand touches nothing; text refreshes at 5 Hz.
+ */
+export function ContactReadout({ robot, physicsRef }) {
+  const groups = { left: useRef(), right: useRef() }
+  const [text, setText] = useState({ left: '', right: '' })
+  const since = useRef(0)
+
+  useFrame((_state, delta) => {
+    const pm = physicsRef.current
+    if (!robot || !pm) return
+
+    for (const side of ['left', 'right']) {
+      const g = groups[side].current
+      const palm = robot.links?.[HAND_LINK[side]]
+      if (!g || !palm) continue
+      palm.getWorldPosition(_palm)
+      _palm.y += LABEL_OFFSET
+      if (g.parent) g.parent.worldToLocal(_palm)
+      g.position.copy(_palm)
+    }
+
+    since.current += delta
+    if (since.current < REFRESH_S) return
+    since.current = 0
+    const next = { left: format(pm.fingertipForces.left), right: format(pm.fingertipForces.right) }
+    if (next.left !== text.left || next.right !== text.right) setText(next)
+  })
+
+  return ['left', 'right'].map(side => (
+    <group key={side} ref={groups[side]} visible={text[side] !== ''}>
+      <WorldLabel text={text[side] || ' '} position={[0, 0, 0]} width={0.14} height={0.02} color="#ffaa00" />
+    </group>
+  ))
+}
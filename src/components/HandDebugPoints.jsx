@@ -1,69 +1,57 @@
-import { useRef } from 'react'
-import { useFrame, useThree } from '@react-three/fiber'
+import { useEffect, useRef } from 'react'
 import * as THREE from 'three'
 import { XR_JOINT_NAMES } from '../constants/kinematics.js'
+import { HAND_JOINT_STRIDE } from '../systems/HandInputTap.js'
 
-const VISIBLE_JOINTS = 15 // wrist(1) + thumb(4) + index(5) + middle(5), skip ring & pinky
-const RADIUS = 0.006
-const WRIST_SCALE = 2.5
+const JOINT_COUNT = XR_JOINT_NAMES.length
+// Used where the runtime reports no joint radius (m)
+const DEFAULT_RADIUS = 0.006
 
 const _dummy = new THREE.Object3D()
 const _hidden = new THREE.Matrix4().makeScale(0, 0, 0)
 
+function place(mesh, buf) {
+  for (let i = 0; i < JOINT_COUNT; i++) {
+    const o = i * HAND_JOINT_STRIDE
+    if (!buf || Number.isNaN(buf[o])) {
+      mesh.setMatrixAt(i, _hidden)
+      continue
+    }
+    _dummy.position.fromArray(buf, o)
+    _dummy.quaternion.fromArray(buf, o + 3)
+    _dummy.scale.setScalar(buf[o + 7] || DEFAULT_RADIUS)
+    _dummy.updateMatrix()
+    mesh.setMatrixAt(i, _dummy.matrix)
+  }
+  mesh.instanceMatrix.needsUpdate = true
+}
+
 /**
- * Renders small colored spheres at XR hand joint positions.
- * Cyan = left hand, orange = right hand, larger sphere on wrist.
+ * Renders a sphere at every XR hand joint from a HandInputTap, sized by the
+ * joint radius the runtime reports. Cyan = left hand, orange = right hand.
  * Must be placed OUTSIDE worldRef so positions stay in XR world space.
  */
-export function HandDebugPoints() {
-  const { gl } = useThree()
+export function HandDebugPoints({ handInput }) {
   const leftRef = useRef()
   const rightRef = useRef()
 
-  useFrame((_, __, xrFrame) => {
-    if (!xrFrame) return
-    const session = gl.xr.getSession()
-    const refSpace = gl.xr.getReferenceSpace()
-    if (!session || !refSpace) return
-
-    for (const mesh of [leftRef.current, rightRef.current]) {
-      if (!mesh) continue
-      for (let i = 0; i < VISIBLE_JOINTS; i++) mesh.setMatrixAt(i, _hidden)
-      mesh.instanceMatrix.needsUpdate = true
-    }
-
-    for (const source of session.inputSources) {
-      if (!source.hand) continue
-      const mesh = source.handedness === 'left' ? leftRef.current
-                 : source.handedness === 'right' ? rightRef.current
-                 : null
-      if (!mesh) continue
+  useEffect(() => {
+    for (const mesh of [leftRef.current, rightRef.current]) if (mesh) place(mesh, null)
+  }, [])
 
-      for (let i = 0; i < VISIBLE_JOINTS; i++) {
-        const space = source.hand.get(XR_JOINT_NAMES[i])
-        if (!space) continue
-        const pose = xrFrame.getJointPose(space, refSpace)
-        if (!pose) continue
-
-        const p = pose.transform.position
-        _dummy.position.set(p.x, p.y, p.z)
-        const s = XR_JOINT_NAMES[i] === 'wrist' ? WRIST_SCALE : 1
-        _dummy.scale.set(s, s, s)
-        _dummy.updateMatrix()
-        mesh.setMatrixAt(i, _dummy.matrix)
-      }
-      mesh.instanceMatrix.needsUpdate = true
-    }
-  })
+  useEffect(() => handInput?.subscribe((frame) => {
+    if (leftRef.current) place(leftRef.current, frame.left)
+    if (rightRef.current) place(rightRef.current, frame.right)
+  }), [handInput])
 
   return (
     <>
-      <instancedMesh ref={leftRef} args={[undefined, undefined, VISIBLE_JOINTS]} frustumCulled={false}>
-        <sphereGeometry args={[RADIUS, 8, 8]} />
+      <instancedMesh ref={leftRef} args={[undefined, undefined, JOINT_COUNT]} frustumCulled={false}>
+        <sphereGeometry args={[1, 8, 8]} />
         <meshBasicMaterial color="#00ddff" transparent opacity={0.7} depthTest={false} />
       </instancedMesh>
-      <instancedMesh ref={rightRef} args={[undefined, undefined, VISIBLE_JOINTS]} frustumCulled={false}>
-        <sphereGeometry args={[RADIUS, 8, 8]} />
+      <instancedMesh ref={rightRef} args={[undefined, undefined, JOINT_COUNT]} frustumCulled={false}>
+        <sphereGeometry args={[1, 8, 8]} />
         <meshBasicMaterial color="#ff8844" transparent opacity={0.7} depthTest={false} />
       </instancedMesh>
     </>
@@ -0,0 +1,102 @@
+import { useEffect, useRef, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { PROFILE_SECTIONS, DEFAULT_HZ, REPORT_S } from '../systems/FrameProfiler.js'
+import { WorldButton, WorldLabel } from './WorldUI.jsx'
+
+const PANEL_W = 0.24
+const ROW_H = 0.017
+const BUTTON_W = 0.11
+const REFRESH_S = 0.5
+// rAF on a desktop monitor, when there is no XR session
+const DESKTOP_HZ = 60
+
+function headerText(s) {
+  return `${Math.round(s.hz)} Hz · ${s.frameMs.toFixed(1)} / ${s.budgetMs.toFixed(1)} ms · ${s.dropped} dropped (${REPORT_S} s)`
+}
+
+function headerColor(s) {
+  if (s.dropped === 0) return '#00ff88'
+  return s.dropped < 10 ? '#ffaa00' : '#ff4444'
+}
+
+function sectionText(label, { mean, max }) {
+  return `${label}  ${mean.toFixed(2)} ms · max ${max.toFixed(1)}`
+}
+
+function simText(s) {
+  return `Worker ${s.physicsHz}/${s.controlHz} Hz  control ${s.controlMs.toFixed(2)} · physics ${s.physicsMs.toFixed(2)} ms · ${s.skipped} skipped`
+}
+
+/**
+ * In-world FrameProfiler readout: frame time against the refresh budget,
+ * dropped frames, and the mean and worst time of each PROFILE_SECTIONS
+ * entry over the last few seconds. Drives the profiler too: closes each
+ * frame and times gl.render, so it must be mounted for profiling to run.
+ * The button toggles adaptive quality and shows the current level. With a
+ * SimulationClient in sim, a last row shows the worker's time per control
+ * period and the physics steps it had to skip.
+ */
+export function PerformancePanel({ profiler, sim, position = [0.55, 1.72, -0.5], rotation = [0, -Math.PI / 4, 0] }) {
+  const { gl } = useThree()
+  const [stats, setStats] = useState(() => profiler.stats())
+  const [simStats, setSimStats] = useState(() => sim?.stats())
+  const since = useRef(0)
+
+  useEffect(() => {
+    const render = gl.render
+    gl.render = function (...args) {
+      profiler.begin('render')
+      render.apply(this, args)
+      profiler.end('render')
+    }
+    return () => { gl.render = render }
+  }, [gl, profiler])
+
+  useEffect(() => profiler.subscribe(() => setStats(profiler.stats())), [profiler])
+
+  useFrame((_state, delta) => {
+    const session = gl.xr.isPresenting ? gl.xr.getSession() : null
+    profiler.frame(delta, session ? session.frameRate ?? DEFAULT_HZ : DESKTOP_HZ)
+    since.current += delta
+    if (since.current < REFRESH_S) return
+    since.current = 0
+    setStats(profiler.stats())
+    if (sim) setSimStats(sim.stats())
+  })
+
+  const rows = Object.entries(PROFILE_SECTIONS)
+  const buttonY = -ROW_H * (rows.length + (sim ? 1 : 0)) - 0.015
+
+  return (
+    <group position={position} rotation={rotation}>
+      <WorldLabel text={headerText(stats)} position={[0, ROW_H * 1.5, 0]} width={PANEL_W} height={0.02} color={headerColor(stats)} />
+      {rows.map(([key, label], i) => (
+        <WorldLabel
+          key={key}
+          text={sectionText(label, stats.sections[key])}
+          position={[0, -ROW_H * i, 0]}
+          width={PANEL_W}
+          height={ROW_H * 0.9}
+          color={stats.sections[key].max > stats.budgetMs / 2 ? '#ffaa00' : '#ffffffcc'}
+        />
+      ))}
+      {simStats && (
+        <WorldLabel
+          text={simText(simStats)}
+          position={[0, -ROW_H * rows.length, 0]}
+          width={PANEL_W}
+          height={ROW_H * 0.9}
+          color={simStats.physicsMs + simStats.controlMs > 1000 / simStats.controlHz / 2 ? '#ffaa00' : '#ffffffcc'}
+        />
+      )}
+      <WorldButton
+        label={stats.adaptive ? `Adaptive: ${stats.quality}` : 'Adaptive: off'}
+        position={[0, buttonY, 0]}
+        width={BUTTON_W}
+        height={0.025}
+        active={stats.adaptive && stats.quality !== 'full'}
+        onClick={() => profiler.setAdaptive(!profiler.adaptive)}
+      />
+    </group>
+  )
+}
@@ -0,0 +1,61 @@
+import { useEffect, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { REPLAY_SPEEDS } from '../systems/EpisodePlayer.js'
+import { WorldButton, WorldLabel } from './WorldUI.jsx'
+
+const BAR_W = 0.36
+const BAR_H = 0.012
+
+/**
+ * In-world replay transport: step, play/pause, speed and a clickable scrub bar.
+ * Rendered only while the player has an episode loaded.
+ */
+export function ReplayPanel({ player, position = [0, 1.3, -0.75] }) {
+  const [, setVersion] = useState(0)
+  const fillRef = useRef()
+
+  useEffect(() => player.subscribe(() => setVersion(v => v + 1)), [player])
+
+  useFrame(() => {
+    if (!fillRef.current || !player.active) return
+    const f = player.duration > 0 ? player.time / player.duration : 0
+    fillRef.current.scale.x = Math.max(0.001, f)
+    fillRef.current.position.x = -BAR_W / 2 + (BAR_W * f) / 2
+  })
+
+  if (!player.active) return null
+
+  const nextSpeed = () => {
+    const i = REPLAY_SPEEDS.indexOf(player.speed)
+    player.setSpeed(REPLAY_SPEEDS[(i + 1) % REPLAY_SPEEDS.length])
+  }
+
+  const scrub = (e) => {
+    e.stopPropagation()
+    if (e.uv) player.seek(e.uv.x * (player.frameCount - 1))
+  }
+
+  return (
+    <group position={position}>
+      <WorldLabel
+        text={`Replay ${player.episode.id} · ${player.frame + 1}/${player.frameCount}`}
+        position={[0, 0.07, 0]}
+        width={BAR_W}
+      />
+
+      <mesh position={[0, 0.035, 0]} onClick={scrub}>
+        <planeGeometry args={[BAR_W, BAR_H]} />
+        <meshBasicMaterial color="#333344" toneMapped={false} />
+      </mesh>
+      <mesh ref={fillRef} position={[-BAR_W / 2, 0.035, 0.001]} raycast={() => null}>
+        <planeGeometry args={[BAR_W, BAR_H]} />
+        <meshBasicMaterial color="#00d4ff" toneMapped={false} />
+      </mesh>
+
+      <WorldButton label="◀|" position={[-0.12, 0, 0]} onClick={() => player.step(-1)} />
+      <WorldButton label={player.playing ? 'Pause' : 'Play'} position={[-0.04, 0, 0]} active={player.playing} onClick={() => player.toggle()} />
+      <WorldButton label="|▶" position={[0.04, 0, 0]} onClick={() => player.step(1)} />
+      <WorldButton label={`${player.speed}×`} position={[0.12, 0, 0]} onClick={nextSpeed} />
+    </group>
+  )
+}
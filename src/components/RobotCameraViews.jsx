@@ -0,0 +1,80 @@
+import { useEffect, useRef, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { RobotCameras, D435 } from '../systems/RobotCameras.js'
+import { WorldLabel } from './WorldUI.jsx'
+
+const HEAD_W = 0.24
+const HEAD_H = HEAD_W * D435.height / D435.width
+const WRIST_W = 0.115
+const WRIST_H = WRIST_W * D435.height / D435.width
+// Vertical room between the rows for the wrist labels
+const ROW_GAP = 0.03
+
+function View({ texture, label, position, width, height }) {
+  return (
+    <group position={position}>
+      <mesh raycast={() => null}>
+        <planeGeometry args={[width, height]} />
+        <meshBasicMaterial map={texture} toneMapped={false} />
+      </mesh>
+      <WorldLabel text={label} position={[0, height / 2 + 0.01, 0]} width={0.1} height={0.016} />
+    </group>
+  )
+}
+
+/**
+ * Renders the head (d435_link) and wrist cameras offscreen at `rate` Hz and
+ * shows them as an in-world picture-in-picture panel, so operators see what a
+ * policy trained on the episode will see. With recordFrames, downscaled frames
+ * are handed to the recorder through camerasRef.current.takeFrames().
+ * Adaptive quality (profiler.quality.cameraRate) can slow the rate down.
+ */
+export function RobotCameraViews({
+  robot, recorder, camerasRef, rate = 10, recordFrames = false, profiler,
+  position = [0.55, 1.3, -0.5], rotation = [0, -Math.PI / 4, 0],
+}) {
+  const { gl, scene } = useThree()
+  const [cams] = useState(() => new RobotCameras())
+  const panel = useRef()
+  const since = useRef(Infinity)
+
+  useEffect(() => {
+    camerasRef.current = cams
+    return () => {
+      camerasRef.current = null
+      cams.dispose()
+    }
+  }, [cams, camerasRef])
+
+  useEffect(() => {
+    if (!recorder || !recordFrames) return
+    return recorder.subscribe((e) => {
+      if (e.type === 'start') recorder.annotate({ cameras: cams.describe() })
+    })
+  }, [recorder, recordFrames, cams])
+
+  useFrame((_state, delta) => {
+    since.current += delta
+    if (!robot || since.current < 1 / (rate * (profiler?.quality.cameraRate ?? 1))) return
+    since.current = 0
+
+    // The preview must not show up in its own cameras
+    if (panel.current) panel.current.visible = false
+    if (cams.render(gl, scene, robot) && recordFrames && recorder?.recording) cams.captureFrames(gl)
+    if (panel.current) panel.current.visible = true
+  })
+
+  return (
+    <group ref={panel} position={position} rotation={rotation}>
+      <View texture={cams.targets.head.texture} label="head" position={[0, WRIST_H / 2 + ROW_GAP, 0]} width={HEAD_W} height={HEAD_H} />
+      <View
+        texture={cams.targets.left_wrist.texture} label="left wrist"
+        position={[-(HEAD_W - WRIST_W) / 2, -HEAD_H / 2, 0]} width={WRIST_W} height={WRIST_H}
+      />
+      <View
+        texture={cams.targets.right_wrist.texture} label="right wrist"
+        position={[(HEAD_W - WRIST_W) / 2, -HEAD_H / 2, 0]} width={WRIST_W} height={WRIST_H}
+      />
+    </group>
+  )
+}
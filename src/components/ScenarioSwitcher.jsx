@@ -0,0 +1,28 @@
+import { listScenarios } from '../scenarios/index.js'
+import { WorldButton, WorldLabel } from './WorldUI.jsx'
+
+const ROW_H = 0.045
+
+/**
+ * In-world scenario picker, one button per registered scenario.
+ * onSelect decides whether the switch is allowed (e.g. not while recording).
+ */
+export function ScenarioSwitcher({ current, onSelect, position = [-0.62, 1.05, -0.35], rotation = [0, Math.PI / 3, 0] }) {
+  const scenarios = listScenarios()
+
+  return (
+    <group position={position} rotation={rotation}>
+      <WorldLabel text="Scenario" position={[0, ROW_H, 0]} width={0.16} />
+      {scenarios.map((s, i) => (
+        <WorldButton
+          key={s.id}
+          label={s.title}
+          position={[0, -i * ROW_H, 0]}
+          width={0.16}
+          active={s.id === current}
+          onClick={() => onSelect?.(s.id)}
+        />
+      ))}
+    </group>
+  )
+}
@@ -1,8 +1,14 @@
 import { useRef } from 'react'
 import { Physics, RigidBody, CuboidCollider } from '@react-three/rapier'
 import { URDFRobot, TrackingHUD } from './URDFRobot.jsx'
-import { TestObjects } from './TestObjects.jsx'
 import { HandDebugPoints } from './HandDebugPoints.jsx'
+import { ReplayPanel } from './ReplayPanel.jsx'
+import { ScenarioSwitcher } from './ScenarioSwitcher.jsx'
+import { SessionPanel } from './SessionPanel.jsx'
+import { CalibrationPanel } from './CalibrationPanel.jsx'
+import { PerformancePanel } from './PerformancePanel.jsx'
+import { ScenarioRunner } from '../scenarios/ScenarioRunner.jsx'
+import { getScenario, DEFAULT_SCENARIO } from '../scenarios/index.js'
 
 function Environment() {
   return (
@@ -31,21 +37,46 @@ function PhysicsFloor() {
   )
 }
 
-export function Scene({ vrMode }) {
+/**
+ * The physics world is keyed by scenario, so switching rebuilds it from
+ * scratch: new bodies, new robot colliders and fresh control filters.
+ * resets.reset() restores the robot and objects in place instead.
+ *
+ * With a SimulationClient in sim the robot and objects are simulated in the
+ * worker; this world is paused and only holds the static props.
+ */
+export function Scene({
+  vrMode, servo, ik, upperBody, cameras, contactSound, retarget, inputMode, scenario = DEFAULT_SCENARIO, onSelectScenario,
+  session, notice, recorder, player, tracking, gestures, resets, calibration, handProfile, profiler, sim, handInput,
+}) {
   const worldRef = useRef()
+  const def = getScenario(scenario)
 
   return (
     <>
-      <Physics gravity={[0, -9.81, 0]}>
+      <Physics key={def.id} gravity={[0, -9.81, 0]} paused={!!sim}>
         <group ref={worldRef}>
           <Environment />
           <PhysicsFloor />
-          <URDFRobot vrMode={vrMode} worldRef={worldRef} />
-          <TestObjects />
+          <URDFRobot vrMode={vrMode} servo={servo} ik={ik} upperBody={upperBody} cameras={cameras} contactSound={contactSound} retarget={retarget} inputMode={inputMode} worldRef={worldRef} recorder={recorder} player={player} tracking={tracking} gestures={gestures} resets={resets} calibration={calibration} handProfile={handProfile} profiler={profiler} sim={sim} handInput={handInput} />
+          <ScenarioRunner scenario={def} recorder={recorder} resets={resets} sim={sim} />
+          <ReplayPanel player={player} />
+          <ScenarioSwitcher current={def.id} onSelect={onSelectScenario} />
+          {session && <SessionPanel recorder={recorder} session={session} gestures={gestures} notice={notice} />}
+          {session && calibration && (
+            <CalibrationPanel
+              calibration={calibration}
+              profile={handProfile}
+              retarget={retarget}
+              onToggle={() => session.calibrate_hands()}
+              onCycleRetarget={() => session.cycle_retargeting()}
+            />
+          )}
+          {profiler && <PerformancePanel profiler={profiler} sim={sim} />}
         </group>
       </Physics>
-      <HandDebugPoints />
-      <TrackingHUD />
+      <HandDebugPoints handInput={handInput} />
+      <TrackingHUD tracking={tracking} />
     </>
   )
 }
@@ -0,0 +1,81 @@
+import { useEffect, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { GESTURES } from '../systems/GestureRecognizer.js'
+import { WorldButton, WorldLabel } from './WorldUI.jsx'
+
+const PANEL_W = 0.3
+const BUTTON_W = 0.14
+const ROW_H = 0.045
+const BAR_H = 0.008
+
+function statusText(recorder, session, seconds) {
+  if (recorder.recording) return `● REC ${seconds} s · ${recorder.episode.samples.length} samples`
+  return `Idle · ${session.saved} saved`
+}
+
+/**
+ * In-world episode controls: record / stop & save, discard, reset scene and
+ * next scenario, as buttons and as GestureRecognizer commands. The bar under
+ * the buttons fills while a gesture is being held; notice is the outcome of
+ * the last command.
+ */
+export function SessionPanel({ recorder, session, gestures, notice, position = [-0.55, 1.4, -0.45], rotation = [0, Math.PI / 4, 0] }) {
+  const [, setVersion] = useState(0)
+  const [seconds, setSeconds] = useState(0)
+  const barRef = useRef()
+
+  useEffect(() => recorder.subscribe((e) => {
+    if (e.type !== 'sample') setVersion(v => v + 1)
+  }), [recorder])
+
+  useFrame(() => {
+    const s = recorder.recording ? Math.floor(recorder.episode.samples.length / recorder.episode.rate) : 0
+    if (s !== seconds) setSeconds(s)
+
+    const bar = barRef.current
+    const held = gestures?.progress
+    if (!bar) return
+    bar.visible = !!held
+    if (!held) return
+    bar.scale.x = Math.max(0.001, held.progress)
+    bar.position.x = -PANEL_W / 2 + (PANEL_W * held.progress) / 2
+  })
+
+  const col = (BUTTON_W + 0.01) / 2
+
+  return (
+    <group position={position} rotation={rotation}>
+      <WorldLabel
+        text={statusText(recorder, session, seconds)}
+        position={[0, ROW_H * 1.2, 0]}
+        width={PANEL_W}
+        color={recorder.recording ? '#ff4466' : '#ffffff'}
+      />
+      {notice && <WorldLabel text={notice} position={[0, ROW_H * 1.9, 0]} width={PANEL_W} height={0.02} color="#ffffffcc" />}
+      <WorldButton
+        label={recorder.recording ? 'Stop & save' : 'Record'}
+        position={[-col, ROW_H * 0.2, 0]}
+        width={BUTTON_W}
+        active={recorder.recording}
+        onClick={() => session.toggle_recording()}
+      />
+      <WorldButton label="Discard" position={[col, ROW_H * 0.2, 0]} width={BUTTON_W} onClick={() => session.discard()} />
+      <WorldButton label="Reset scene" position={[-col, -ROW_H * 0.8, 0]} width={BUTTON_W} onClick={() => session.reset_scene()} />
+      <WorldButton label="Next scenario" position={[col, -ROW_H * 0.8, 0]} width={BUTTON_W} onClick={() => session.next_scenario()} />
+
+      <mesh ref={barRef} position={[-PANEL_W / 2, -ROW_H * 1.4, 0]} visible={false} raycast={() => null}>
+        <planeGeometry args={[PANEL_W, BAR_H]} />
+        <meshBasicMaterial color="#00d4ff" toneMapped={false} />
+      </mesh>
+      {gestures && (
+        <WorldLabel
+          text={`${gestures.hand} palm up + pinch · ${Object.values(GESTURES).map(g => g.label).join(' · ')}`}
+          position={[0, -ROW_H * 1.8, 0]}
+          width={PANEL_W}
+          height={0.016}
+          color="#ffffff99"
+        />
+      )}
+    </group>
+  )
+}
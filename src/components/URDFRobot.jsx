@@ -2,129 +2,96 @@ import { useRef, useEffect, useState } from 'react'
 import { useFrame, useThree } from '@react-three/fiber'
 import { useRapier, useBeforePhysicsStep, useAfterPhysicsStep } from '@react-three/rapier'
 import * as THREE from 'three'
-import URDFLoader from 'urdf-loader'
-import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js'
-import { solveCCDIK } from '../systems/CCDIK.js'
-import { retargetHand, RetargetingFilter } from '../systems/HandRetargeting.js'
-import { ExponentialSmoother, QuaternionSmoother } from '../systems/ImpedanceControl.js'
-import { WeightedMovingFilter } from '../systems/WeightedMovingFilter.js'
+import { DEFAULT_RETARGET_MODE } from '../systems/HandRetargeting.js'
+import { ControlPipeline, emptyCommands } from '../systems/ControlPipeline.js'
 import { PhysicsManager } from '../systems/PhysicsManager.js'
-import { XR_JOINT_NAMES } from '../constants/kinematics.js'
-
-function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)) }
-
-const MAT_BODY = new THREE.MeshStandardMaterial({ color: 0x4a4a6e, roughness: 0.4, metalness: 0.25 })
-const MAT_ACCENT = new THREE.MeshStandardMaterial({ color: 0x6a6a9e, roughness: 0.35, metalness: 0.3 })
-
-const ROBOT_BASE_QUAT = new THREE.Quaternion()
-;(() => {
-  const qx = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2)
-  const qy = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2)
-  ROBOT_BASE_QUAT.multiplyQuaternions(qy, qx)
-})()
-
-const ARM_CHAIN = {
-  left: [
-    'left_shoulder_pitch_joint', 'left_shoulder_roll_joint', 'left_shoulder_yaw_joint',
-    'left_elbow_joint',
-    'left_wrist_roll_joint', 'left_wrist_pitch_joint', 'left_wrist_yaw_joint',
-  ],
-  right: [
-    'right_shoulder_pitch_joint', 'right_shoulder_roll_joint', 'right_shoulder_yaw_joint',
-    'right_elbow_joint',
-    'right_wrist_roll_joint', 'right_wrist_pitch_joint', 'right_wrist_yaw_joint',
-  ],
-}
-const HAND_LINK = { left: 'left_hand_palm_link', right: 'right_hand_palm_link' }
-
-const COLLISION_OVERRIDES = {
-  left_shoulder_roll_joint:   { lower: -0.2 },
-  right_shoulder_roll_joint:  { upper:  0.2 },
-  left_shoulder_pitch_joint:  { lower: -2.0, upper: 2.0 },
-  right_shoulder_pitch_joint: { lower: -2.0, upper: 2.0 },
-  left_shoulder_yaw_joint:    { lower: -1.5, upper: 1.5 },
-  right_shoulder_yaw_joint:   { lower: -1.5, upper: 1.5 },
-  left_elbow_joint:           { lower: 0.1 },
-  right_elbow_joint:          { lower: 0.1 },
-}
+import { loadRobotModel, applyLimitOverrides, ROBOT_BASE_QUAT } from '../systems/RobotModel.js'
+import { armReach } from '../systems/TrackingMonitor.js'
+import { DEFAULT_INPUT_MODE, ControllerHaptics, controllerWrist } from '../systems/ControllerTeleop.js'
+import { ARM_CHAIN } from '../constants/kinematics.js'
+import { ContactReadout } from './ContactReadout.jsx'
+import { ContactFeedback } from './ContactFeedback.jsx'
+import { RobotCameraViews } from './RobotCameraViews.jsx'
+import { WorldLabel } from './WorldUI.jsx'
 
 const EYE_LINK = 'mid360_link'
 const EYE_LINK_FALLBACK = 'head_link'
-const COLLISION_GRACE_FRAMES = 30
-
-// Frame correction: WebXR wrist has -Z=fingers, +Y=back-of-hand.
-// URDF palm has +X=fingers. Left palm faces -Y, right palm faces +Y
-// (confirmed by mirrored finger curl limits in the URDF).
-// Left:  Ry(π/2) aligns fingers (-Z→+X) and keeps Y axis.
-// Right: Rz(π)·Ry(π/2) also flips the palm normal axis.
-const XR_TO_URDF_L = new THREE.Quaternion().setFromAxisAngle(
-  new THREE.Vector3(0, 1, 0), Math.PI / 2
-)
-const XR_TO_URDF_R = new THREE.Quaternion().multiplyQuaternions(
-  new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.PI),
-  new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2),
-)
+// Emissive tint on an arm whose motion is being refused for self-collision
+const BLOCKED_TINT = 0x992200
+// Fingertip force (N) above which a hand counts as holding something, and
+// session gestures on it are ignored
+const GESTURE_BUSY_FORCE = 0.5
 
 const _eyeWorld = new THREE.Vector3()
-const _wristPos = new THREE.Vector3()
-const _wristQuat = new THREE.Quaternion()
-const _correctedQuat = new THREE.Quaternion()
-
+const _headPos = new THREE.Vector3()
+const _headQuat = new THREE.Quaternion()
+const _basePos = new THREE.Vector3()
+const _baseQuat = new THREE.Quaternion()
+const _shoulder = new THREE.Vector3()
+const _identity = new THREE.Matrix4()
+
+
+// Loaded once per page: switching scenarios remounts the physics world and
+// this component, but reuses the parsed robot.
+let robotPromise = null
+
+function loadRobot() {
+  if (!robotPromise) {
+    robotPromise = loadRobotModel(import.meta.env.BASE_URL + 'models/')
+      .catch((e) => { robotPromise = null; throw e })
+  }
+  return robotPromise
+}
 
-export function URDFRobot({ vrMode = 'unlocked', worldRef }) {
-  const { gl, camera } = useThree()
+/**
+ * The G1, driven by the operator's hands. The control loop (ControlPipeline)
+ * runs here once per frame against the scene's Rapier world, or, with a
+ * SimulationClient in sim, in the simulation worker at a fixed rate: this
+ * then only posts the tracked hands and shows the interpolated state.
+ * Hands are read through handInput (HandInputTap), which also feeds the raw
+ * joint stream to its subscribers. With inputMode 'controllers' the grip
+ * poses drive the wrists, trigger and grip close the fingers, and the
+ * controllers rumble on contact and self-collision.
+ */
+export function URDFRobot({ vrMode = 'unlocked', servo = 'limited', ik = 'ccd', upperBody = false, cameras = null, contactSound = false, retarget = DEFAULT_RETARGET_MODE, inputMode = DEFAULT_INPUT_MODE, worldRef, recorder, player, tracking, gestures, resets, calibration, handProfile, profiler, sim, handInput }) {
+  const { gl, camera, scene } = useThree()
   const { world, rapier } = useRapier()
   const groupRef = useRef()
   const [robot, setRobot] = useState(null)
   const calibrated = useRef(false)
   const modeRef = useRef(vrMode)
   modeRef.current = vrMode
-
-  const smoothL = useRef({ pos: new ExponentialSmoother(0.3), quat: new QuaternionSmoother(0.3) })
-  const smoothR = useRef({ pos: new ExponentialSmoother(0.3), quat: new QuaternionSmoother(0.3) })
-  const jointFilterL = useRef(new WeightedMovingFilter([0.4, 0.3, 0.2, 0.1], 7))
-  const jointFilterR = useRef(new WeightedMovingFilter([0.4, 0.3, 0.2, 0.1], 7))
-  const retargetL = useRef(new RetargetingFilter(0.4))
-  const retargetR = useRef(new RetargetingFilter(0.4))
+  const optionsRef = useRef(null)
+  optionsRef.current = { servo, ik, upperBody, retarget, profile: handProfile }
 
   const physicsRef = useRef(null)
-  const safeAngles = useRef({ left: new Float64Array(7), right: new Float64Array(7) })
-  const collision = useRef({ left: false, right: false })
-  const trackingFrames = useRef({ left: 0, right: 0 })
+  // Contact forces for the readouts: the PhysicsManager, or the worker's mirror of it
+  const contactsRef = useRef(null)
+  const pipeline = useRef(null)
+  const camerasRef = useRef(null)
+  const blocked = useRef({ left: false, right: false })
+  const commands = useRef({ left: emptyCommands(), right: emptyCommands(), body: null })
+  const replayBase = useRef(null)
+  const reach = useRef({ left: Infinity, right: Infinity })
+  const wristPool = useRef({ left: {}, right: {} })
+  const [haptics] = useState(() => new ControllerHaptics())
+
+  // The arm tint follows the control loop's self-collision refusals
+  const showBlocked = (next) => {
+    for (const side of ['left', 'right']) {
+      if (next[side] === blocked.current[side]) continue
+      blocked.current[side] = next[side]
+      tintArm(robot, side, next[side])
+    }
+  }
 
   // ── Load URDF ────────────────────────────────────────────────────────────
 
   useEffect(() => {
-    const loader = new URDFLoader()
-    const stlLoader = new STLLoader()
-    const base = import.meta.env.BASE_URL + 'models/'
-    let pending = 0
-    let parsed = null
     let cancelled = false
-
-    const tryFinalize = () => {
-      if (pending === 0 && parsed && !cancelled) setRobot(parsed)
-    }
-
-    loader.loadMeshCb = (path, _mgr, onLoad) => {
-      pending++
-      stlLoader.load(base + path, (geo) => {
-        geo.computeVertexNormals()
-        const accent = /contour|shoulder_roll|shoulder_pitch|waist|logo/.test(path)
-        const mesh = new THREE.Mesh(geo, (accent ? MAT_ACCENT : MAT_BODY).clone())
-        const g = new THREE.Group()
-        g.add(mesh)
-        onLoad(g)
-        pending--
-        tryFinalize()
-      }, undefined, () => { onLoad(new THREE.Group()); pending--; tryFinalize() })
-    }
-
-    fetch(base + 'g1.urdf')
-      .then(r => r.text())
-      .then(text => { parsed = loader.parse(text); tryFinalize() })
+    loadRobot()
+      .then(parsed => { if (!cancelled) setRobot(parsed) })
       .catch(e => console.error('URDF load failed:', e))
-
     return () => { cancelled = true }
   }, [])
 
@@ -134,6 +101,7 @@ export function URDFRobot({ vrMode = 'unlocked', worldRef }) {
     if (!robot || !groupRef.current) return
 
     robot.quaternion.copy(ROBOT_BASE_QUAT)
+    for (const j of Object.values(robot.joints ?? {})) j.setJointValue?.(0)
     groupRef.current.add(robot)
     groupRef.current.position.set(0, 0, 0)
 
@@ -145,29 +113,56 @@ export function URDFRobot({ vrMode = 'unlocked', worldRef }) {
     groupRef.current.position.y = 0.75
     groupRef.current.updateMatrixWorld(true)
 
-    for (const [name, ov] of Object.entries(COLLISION_OVERRIDES)) {
-      const j = robot.joints?.[name]
-      if (!j?.limit) continue
-      if (ov.lower !== undefined) j.limit.lower = Math.max(j.limit.lower, ov.lower)
-      if (ov.upper !== undefined) j.limit.upper = Math.min(j.limit.upper, ov.upper)
-    }
+    applyLimitOverrides(robot)
 
     groupRef.current.updateMatrixWorld(true)
-
-    if (world && rapier) {
-      const pm = new PhysicsManager(rapier, world)
-      pm.init(robot)
-      physicsRef.current = pm
+    reach.current = { left: armReach(robot, 'left'), right: armReach(robot, 'right') }
+
+    if (sim) {
+      sim.loadRobot(robot, { base: groupRef.current, options: optionsRef.current })
+      contactsRef.current = sim
+    } else {
+      pipeline.current = new ControlPipeline(robot, optionsRef.current)
+      if (world && rapier) {
+        const pm = new PhysicsManager(rapier, world)
+        pm.init(robot)
+        physicsRef.current = pm
+      }
+      contactsRef.current = physicsRef.current
     }
 
     calibrated.current = false
+    haptics.reset()
+    player?.attachRobot(robot)
 
     return () => {
+      player?.attachRobot(null)
+      player?.release(null)
       groupRef.current?.remove(robot)
       physicsRef.current?.dispose()
       physicsRef.current = null
+      pipeline.current = null
+      contactsRef.current = null
     }
-  }, [robot, world, rapier])
+  }, [robot, world, rapier, sim])
+
+  useEffect(() => {
+    (sim ?? pipeline.current)?.configure({ servo, ik, upperBody, retarget, profile: handProfile })
+  }, [sim, servo, ik, upperBody, retarget, handProfile])
+
+  // Scene reset: back to HOME_POSE with every filter and servo state cleared
+  useEffect(() => resets?.subscribe(() => {
+    if (!robot || player?.active) return
+    if (sim) {
+      sim.home()
+    } else {
+      pipeline.current?.home()
+      groupRef.current?.updateMatrixWorld(true)
+      physicsRef.current?.placeColliders(robot)
+    }
+    haptics.reset()
+    showBlocked({ left: false, right: false })
+  }), [resets, robot, player, sim])
 
   useEffect(() => {
     if (!robot?.links?.head_link) return
@@ -176,23 +171,56 @@ export function URDFRobot({ vrMode = 'unlocked', worldRef }) {
 
   // ── Physics sync ─────────────────────────────────────────────────────────
 
+  // The step itself is timed from the end of the sync to the after-step hook
   useBeforePhysicsStep(() => {
     if (!robot || !physicsRef.current) return
+    profiler?.begin('physics_sync')
     groupRef.current?.updateMatrixWorld(true)
     physicsRef.current.syncToPhysics(robot)
+    profiler?.end('physics_sync')
+    profiler?.begin('physics')
   })
 
-  useAfterPhysicsStep(() => {
-    if (!physicsRef.current) return
-    const c = physicsRef.current.checkCollisions()
-    collision.current.left = c.left
-    collision.current.right = c.right
+  useAfterPhysicsStep((w) => {
+    profiler?.end('physics')
+    physicsRef.current?.measureContacts(w.timestep)
   })
 
   // ── Main frame loop ──────────────────────────────────────────────────────
 
-  useFrame((_state, _delta, xrFrame) => {
+  useFrame((_state, delta, xrFrame) => {
+    const session = xrFrame ? gl.xr.getSession() : null
+    const refSpace = xrFrame ? gl.xr.getReferenceSpace() : null
+    // Read every frame, replay included, so the tap's subscribers never stall
+    profiler?.begin('input')
+    const input = session && refSpace ? handInput.read(xrFrame, session, refSpace) : null
+    profiler?.end('input')
     if (!robot || !groupRef.current) return
+    const bodies = sim ? sim.world : world
+
+    if (player?.active) {
+      if (!replayBase.current) {
+        replayBase.current = { position: groupRef.current.position.clone(), quaternion: groupRef.current.quaternion.clone() }
+        sim?.pause()
+      }
+      player.update(delta)
+      player.apply(robot, { base: groupRef.current, world: bodies, rapier })
+      return
+    }
+
+    if (replayBase.current) {
+      player?.release(bodies)
+      groupRef.current.position.copy(replayBase.current.position)
+      groupRef.current.quaternion.copy(replayBase.current.quaternion)
+      replayBase.current = null
+      if (sim) {
+        sim.reset()
+        sim.resume()
+      } else {
+        pipeline.current?.reset()
+      }
+      haptics.reset()
+    }
 
     const eyeLink = robot.links?.[EYE_LINK] || robot.links?.[EYE_LINK_FALLBACK]
 
@@ -205,45 +233,94 @@ export function URDFRobot({ vrMode = 'unlocked', worldRef }) {
       }
     }
 
-    if (!xrFrame) return
-    const session = gl.xr.getSession()
-    const refSpace = gl.xr.getReferenceSpace()
-    if (!session || !refSpace) return
-
-    for (const source of session.inputSources) {
-      if (!source.hand) continue
-      const side = source.handedness
-      if (side !== 'left' && side !== 'right') continue
-
-      const xrJoints = readXRJoints(xrFrame, source, refSpace)
-      if (!xrJoints['wrist']) continue
-
-      const frames = ++trackingFrames.current[side]
-
-      const correction = side === 'left' ? XR_TO_URDF_L : XR_TO_URDF_R
-      _correctedQuat.copy(xrJoints['wrist'].quaternion).multiply(correction)
-
-      const sm = side === 'left' ? smoothL.current : smoothR.current
-      _wristPos.copy(sm.pos.update(xrJoints['wrist'].position))
-      _wristQuat.copy(sm.quat.update(_correctedQuat))
-
-      const chain = ARM_CHAIN[side].map(n => robot.joints?.[n]).filter(Boolean)
-      const endLink = robot.links?.[HAND_LINK[side]]
-
-      if (chain.length > 0 && endLink) {
-        const filter = side === 'left' ? jointFilterL.current : jointFilterR.current
-        const colliding = collision.current[side] && frames > COLLISION_GRACE_FRAMES
+    // The worker's state, in the world group's frame
+    const frame = worldRef?.current?.matrixWorld ?? _identity
+    if (sim?.update(frame)) sim.applyTo(robot)
+
+    const quality = profiler?.quality
+    if (quality) physicsRef.current?.setDetail(quality.colliders)
+
+    const controllers = inputMode === 'controllers'
+    const { tracked, grasp } = controllers ? controllerInput(input, wristPool.current) : { tracked: input?.hands ?? null, grasp: null }
+    const held = { left: false, right: false }
+    const status = { left: null, right: null }
+    if (tracked) {
+      profiler?.begin('input')
+      // The calibration poses include a pinch, so gestures wait it out; both
+      // need finger joints, which controllers do not give
+      if (!controllers) calibration?.update(tracked)
+      if (gestures && !controllers) {
+        const forces = contactsRef.current?.fingertipForces[gestures.hand]
+        const busy = calibration?.active || !!forces?.some(f => f > GESTURE_BUSY_FORCE)
+        gestures.update(tracked[gestures.hand], performance.now(), { busy })
+      }
 
-        solveAndFilter(chain, endLink, _wristPos, _wristQuat, filter)
+      // A side with bad tracking holds its last commanded pose: no wrist
+      // target, no finger update, and no coasting on velocity
+      if (tracking) {
+        for (const side of ['left', 'right']) {
+          robot.joints?.[ARM_CHAIN[side][0]]?.getWorldPosition(_shoulder)
+          status[side] = tracking.check(side, tracked[side], { shoulder: _shoulder, reach: reach.current[side], minJoints: controllers ? 1 : undefined })
+          held[side] = !status[side].ok
+        }
       }
+      // The command hand holds too while it makes a gesture, so the palm-up
+      // pinch never reaches the arm or the recording
+      if (gestures?.active && !controllers) held[gestures.hand] = true
+      profiler?.end('input')
+    }
 
-      const raw = retargetHand(xrJoints)
-      const rt = side === 'left' ? retargetL.current : retargetR.current
-      applyFingerAngles(robot, side, rt.update(raw))
+    // Adaptive quality may cut the IK iterations; the count used is recorded
+    const ikScale = quality?.ik ?? 1
+    if (sim) {
+      sim.input(tracked, { held, frame, base: groupRef.current, ikScale, colliders: quality?.colliders, grasp })
+      const latest = sim.commands
+      commands.current = { left: { ...latest.left }, right: { ...latest.right }, body: latest.body }
+      showBlocked(sim.blocked)
+    } else if (pipeline.current) {
+      const pm = physicsRef.current
+      commands.current = pipeline.current.control(tracked, { held, forces: pm?.linkForces, ikScale, profiler, grasp })
+      showBlocked(pipeline.current.servo(performance.now(), pm, profiler))
+    }
+    if (controllers) haptics.update(input?.controllers, { fingertip: contactsRef.current?.fingertipForces, blocked: blocked.current })
+    for (const side of ['left', 'right']) {
+      const cmd = commands.current[side]
+      cmd.tracking = status[side]
+      if (held[side] || tracked?.[side]?.wrist) cmd.xr = tracked[side]
+    }
+
+    const now = performance.now()
+    if (recorder?.due(now)) {
+      profiler?.begin('record')
+      camera.getWorldPosition(_headPos)
+      camera.getWorldQuaternion(_headQuat)
+      groupRef.current.getWorldPosition(_basePos)
+      groupRef.current.getWorldQuaternion(_baseQuat)
+      recorder.capture(now, {
+        robot,
+        commands: commands.current,
+        head: { position: _headPos, quaternion: _headQuat },
+        base: { position: _basePos, quaternion: _baseQuat },
+        world: bodies,
+        scene,
+        contacts: contactsRef.current?.fingertipForces,
+        images: camerasRef.current?.takeFrames(),
+        timing: profiler?.takeSample(),
+      })
+      profiler?.end('record')
     }
   })
 
-  return <group ref={groupRef} />
+  return (
+    <>
+      <group ref={groupRef} />
+      <ContactReadout robot={robot} physicsRef={contactsRef} />
+      <ContactFeedback robot={robot} physicsRef={contactsRef} blockedRef={blocked} blockedTint={BLOCKED_TINT} sound={contactSound} />
+      {cameras && (
+        <RobotCameraViews robot={robot} recorder={recorder} camerasRef={camerasRef} rate={cameras.rate} recordFrames={cameras.recordFrames} profiler={profiler} />
+      )}
+    </>
+  )
 }
 
 // ── Helpers ────────────────────────────────────────────────────────────────
@@ -276,96 +353,66 @@ function lockViewToEye(camera, worldRef, eyeLink) {
   worldRef.current.position.z += camera.position.z - _eyeWorld.z
 }
 
-function readXRJoints(xrFrame, source, refSpace) {
-  const joints = {}
-  for (const name of XR_JOINT_NAMES) {
-    const space = source.hand.get(name)
-    if (!space) continue
-    const pose = xrFrame.getJointPose(space, refSpace)
-    if (!pose) continue
-    const p = pose.transform.position
-    const o = pose.transform.orientation
-    joints[name] = {
-      position: new THREE.Vector3(p.x, p.y, p.z),
-      quaternion: new THREE.Quaternion(o.x, o.y, o.z, o.w),
-    }
+// Controller mode: each held controller's grip pose stands in for a wrist,
+// and its trigger and grip values for the fingers
+function controllerInput(input, pool) {
+  if (!input) return { tracked: null, grasp: null }
+  const tracked = { left: null, right: null }
+  const grasp = { left: null, right: null }
+  for (const side of ['left', 'right']) {
+    const c = input.controllers[side]
+    if (!c) continue
+    tracked[side] = controllerWrist(c, side, pool[side])
+    grasp[side] = { trigger: c.trigger, squeeze: c.squeeze }
   }
-  return joints
+  return { tracked, grasp }
 }
 
-function solveAndFilter(chain, endLink, targetPos, targetQuat, filter) {
-  solveCCDIK(chain, endLink, targetPos, targetQuat, 20)
-  const solved = chain.map(j => j.angle || 0)
-  const filtered = filter.addData(solved)
-  chain.forEach((j, i) => {
-    if (j.setJointValue && i < filtered.length) j.setJointValue(filtered[i])
+function tintArm(robot, side, on) {
+  robot.joints?.[ARM_CHAIN[side][0]]?.traverse((o) => {
+    if (o.isMesh && o.material?.emissive) o.material.emissive.setHex(on ? BLOCKED_TINT : 0x000000)
   })
 }
 
-function blendToSafe(chain, safe) {
-  chain.forEach((j, i) => {
-    if (!j.setJointValue || i >= safe.length) return
-    j.setJointValue((j.angle || 0) + (safe[i] - (j.angle || 0)) * 0.5)
-  })
-}
+// ── Tracking HUD ──────────────────────────────────────────────────────────
 
-function saveAngles(chain, buf) {
-  chain.forEach((j, i) => { if (i < buf.length) buf[i] = j.angle || 0 })
+// Held for lost tracking or a jump: red; for confidence or reach only: amber
+function hudColor({ ok, faults }) {
+  if (ok) return '#00ff88'
+  return faults.includes('lost') || faults.includes('jump') ? '#ff4444' : '#ffaa00'
 }
 
-function curlToAngle(joint, curl) {
-  if (!joint?.limit) return 0
-  const { lower, upper } = joint.limit
-  return Math.abs(lower) > Math.abs(upper) ? lower * curl : upper * curl
+function hudText(status) {
+  const held = ['left', 'right'].filter(side => !status[side].ok && status[side].faults.length)
+  return held.map(side => `${side[0].toUpperCase()}: ${status[side].faults.join(', ')}`).join('  ')
 }
 
-function applyFingerAngles(robot, side, data) {
-  if (!robot.joints || !data) return
-  const p = side + '_hand_'
-
-  const t0 = robot.joints[p + 'thumb_0_joint']
-  if (t0?.limit) {
-    const range = Math.min(Math.abs(t0.limit.lower), Math.abs(t0.limit.upper))
-    t0.setJointValue(clamp(data.thumb.abduction * range, t0.limit.lower, t0.limit.upper))
-  }
-
-  const t1 = robot.joints[p + 'thumb_1_joint']
-  const t2 = robot.joints[p + 'thumb_2_joint']
-  if (t1) t1.setJointValue(curlToAngle(t1, data.thumb.curl[0]))
-  if (t2) t2.setJointValue(curlToAngle(t2, data.thumb.curl[1]))
-
-  for (const finger of ['index', 'middle']) {
-    const j0 = robot.joints[p + finger + '_0_joint']
-    const j1 = robot.joints[p + finger + '_1_joint']
-    if (j0) j0.setJointValue(curlToAngle(j0, data[finger].curl[0]))
-    if (j1) j1.setJointValue(curlToAngle(j1, data[finger].curl[1]))
-  }
-}
-
-// ── Tracking HUD ──────────────────────────────────────────────────────────
-
-export function TrackingHUD() {
-  const ref = useRef()
-  const { gl } = useThree()
+/** One dot per hand (see TrackingMonitor) and the faults of any held side. */
+export function TrackingHUD({ tracking }) {
+  const left = useRef()
+  const right = useRef()
+  const [text, setText] = useState('')
 
   useFrame((_, __, xrFrame) => {
-    if (!xrFrame || !ref.current) return
-    const session = gl.xr.getSession()
-    if (!session) return
-    let l = false, r = false
-    for (const src of session.inputSources) {
-      if (src.hand) {
-        if (src.handedness === 'left') l = true
-        if (src.handedness === 'right') r = true
-      }
-    }
-    ref.current.material?.color.set(l && r ? '#00ff88' : l || r ? '#ffaa00' : '#ff4444')
+    if (!xrFrame || !tracking) return
+    const status = { left: tracking.status('left'), right: tracking.status('right') }
+    left.current?.material.color.set(hudColor(status.left))
+    right.current?.material.color.set(hudColor(status.right))
+    const next = hudText(status)
+    if (next !== text) setText(next)
   })
 
   return (
-    <mesh ref={ref} position={[0.28, -0.25, -0.5]}>
-      <sphereGeometry args={[0.005, 6, 6]} />
-      <meshBasicMaterial color="#ff4444" />
-    </mesh>
+    <group position={[0.28, -0.25, -0.5]}>
+      <mesh ref={left} position={[-0.008, 0, 0]}>
+        <sphereGeometry args={[0.005, 6, 6]} />
+        <meshBasicMaterial color="#ff4444" />
+      </mesh>
+      <mesh ref={right} position={[0.008, 0, 0]}>
+        <sphereGeometry args={[0.005, 6, 6]} />
+        <meshBasicMaterial color="#ff4444" />
+      </mesh>
+      {text && <WorldLabel text={text} position={[0, -0.02, 0]} width={0.16} height={0.014} color="#ffaa00" />}
+    </group>
   )
 }
@@ -0,0 +1,69 @@
+import { useEffect, useState } from 'react'
+import * as THREE from 'three'
+
+const PX_PER_M = 2048
+
+/**
+ * Canvas-backed text texture. Redraws in place when the text or colors change.
+ */
+export function useLabelTexture(text, width, height, { color = '#00d4ff', background = '#16213e' } = {}) {
+  const [texture] = useState(() => {
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(32, Math.round(width * PX_PER_M))
+    canvas.height = Math.max(16, Math.round(height * PX_PER_M))
+    const t = new THREE.CanvasTexture(canvas)
+    t.colorSpace = THREE.SRGBColorSpace
+    return t
+  })
+
+  useEffect(() => {
+    const canvas = texture.image
+    const ctx = canvas.getContext('2d')
+    ctx.fillStyle = background
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+    ctx.fillStyle = color
+    ctx.font = `600 ${Math.round(canvas.height * 0.5)}px system-ui, sans-serif`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width * 0.92)
+    texture.needsUpdate = true
+  }, [texture, text, color, background])
+
+  useEffect(() => () => texture.dispose(), [texture])
+  return texture
+}
+
+/**
+ * Flat labelled button for in-VR panels. Works with XR hand/controller rays
+ * and with the mouse on desktop through r3f pointer events.
+ */
+export function WorldButton({ label, position, width = 0.07, height = 0.035, active = false, onClick }) {
+  const [hover, setHover] = useState(false)
+  const texture = useLabelTexture(label, width, height, {
+    color: active ? '#0a0a0a' : '#00d4ff',
+    background: active ? '#00d4ff' : hover ? '#1f3a5e' : '#16213e',
+  })
+
+  return (
+    <mesh
+      position={position}
+      onClick={(e) => { e.stopPropagation(); onClick?.(e) }}
+      onPointerOver={() => setHover(true)}
+      onPointerOut={() => setHover(false)}
+    >
+      <planeGeometry args={[width, height]} />
+      <meshBasicMaterial map={texture} toneMapped={false} />
+    </mesh>
+  )
+}
+
+export function WorldLabel({ text, position, width = 0.2, height = 0.03, color = '#ffffff', background = '#0a0a0aee' }) {
+  const texture = useLabelTexture(text, width, height, { color, background })
+
+  return (
+    <mesh position={position}>
+      <planeGeometry args={[width, height]} />
+      <meshBasicMaterial map={texture} transparent toneMapped={false} />
+    </mesh>
+  )
+}
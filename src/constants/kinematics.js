@@ -25,3 +25,72 @@ export const XR_JOINT_NAMES = [
   'pinky-finger-phalanx-distal',
   'pinky-finger-tip',
 ]
+
+export const ARM_CHAIN = {
+  left: [
+    'left_shoulder_pitch_joint', 'left_shoulder_roll_joint', 'left_shoulder_yaw_joint',
+    'left_elbow_joint',
+    'left_wrist_roll_joint', 'left_wrist_pitch_joint', 'left_wrist_yaw_joint',
+  ],
+  right: [
+    'right_shoulder_pitch_joint', 'right_shoulder_roll_joint', 'right_shoulder_yaw_joint',
+    'right_elbow_joint',
+    'right_wrist_roll_joint', 'right_wrist_pitch_joint', 'right_wrist_yaw_joint',
+  ],
+}
+
+export const HAND_LINK = { left: 'left_hand_palm_link', right: 'right_hand_palm_link' }
+
+// Torso joints, pelvis outward. Only driven in whole-upper-body IK mode.
+export const WAIST_CHAIN = ['waist_yaw_joint', 'waist_roll_joint', 'waist_pitch_joint']
+
+// The URDF allows ±150° of waist yaw; teleoperation only needs a lean and a turn
+export const WAIST_LIMITS = {
+  waist_yaw_joint:   { lower: -0.8, upper: 0.8 },
+  waist_roll_joint:  { lower: -0.25, upper: 0.25 },
+  waist_pitch_joint: { lower: -0.15, upper: 0.45 },
+}
+
+// Arm limits tighter than the URDF's, keeping the arms clear of the torso
+export const COLLISION_OVERRIDES = {
+  left_shoulder_roll_joint:   { lower: -0.2 },
+  right_shoulder_roll_joint:  { upper:  0.2 },
+  left_shoulder_pitch_joint:  { lower: -2.0, upper: 2.0 },
+  right_shoulder_pitch_joint: { lower: -2.0, upper: 2.0 },
+  left_shoulder_yaw_joint:    { lower: -1.5, upper: 1.5 },
+  right_shoulder_yaw_joint:   { lower: -1.5, upper: 1.5 },
+  left_elbow_joint:           { lower: 0.1 },
+  right_elbow_joint:          { lower: 0.1 },
+}
+
+// Dex3 joint order as used by the Unitree hand SDK: thumb 0-2, middle 0-1, index 0-1
+export const HAND_JOINTS = {
+  left: [
+    'left_hand_thumb_0_joint', 'left_hand_thumb_1_joint', 'left_hand_thumb_2_joint',
+    'left_hand_middle_0_joint', 'left_hand_middle_1_joint',
+    'left_hand_index_0_joint', 'left_hand_index_1_joint',
+  ],
+  right: [
+    'right_hand_thumb_0_joint', 'right_hand_thumb_1_joint', 'right_hand_thumb_2_joint',
+    'right_hand_middle_0_joint', 'right_hand_middle_1_joint',
+    'right_hand_index_0_joint', 'right_hand_index_1_joint',
+  ],
+}
+
+// Links whose contact force is reported, in HAND_JOINTS finger order
+export const FINGERTIP_LINKS = {
+  left: ['left_hand_thumb_2_link', 'left_hand_middle_1_link', 'left_hand_index_1_link'],
+  right: ['right_hand_thumb_2_link', 'right_hand_middle_1_link', 'right_hand_index_1_link'],
+}
+
+// State vector layout shared by the recorder, exporter and replay. Appended
+// to only, so indices stay valid for episodes recorded before an addition.
+export const RECORDED_JOINTS = [
+  ...ARM_CHAIN.left, ...ARM_CHAIN.right,
+  ...HAND_JOINTS.left, ...HAND_JOINTS.right,
+  ...WAIST_CHAIN,
+]
+
+// Home configuration a scene reset returns the robot to. Every joint at zero
+// puts the G1's upper arms down with the forearms pointing forward, hands open.
+export const HOME_POSE = Object.fromEntries(RECORDED_JOINTS.map(n => [n, 0]))
@@ -0,0 +1,20 @@
+import { OfflineRenderer } from './systems/OfflineRenderer.js'
+import { D435 } from './systems/RobotCameras.js'
+
+// Entry point of render.html, driven over CDP by scripts/render-episode.mjs
+let renderer = null
+
+window.renderTool = {
+  async load(episode, { width, height, cameras, meshFormat }) {
+    renderer = new OfflineRenderer({ width, height, cameras })
+    await renderer.load(episode, { baseUrl: '/models/', meshFormat })
+    // Vertical FOV is the D435's at any size; pixels stay square
+    const f = D435.fy * height / D435.height
+    return {
+      frames: renderer.frameCount,
+      intrinsics: { width, height, fx: f, fy: f, cx: width / 2, cy: height / 2 },
+    }
+  },
+  setSeed: (seed) => renderer.randomize(seed),
+  render: (i) => renderer.renderFrame(i),
+}
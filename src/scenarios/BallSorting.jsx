@@ -0,0 +1,133 @@
+import { RigidBody, CuboidCollider } from '@react-three/rapier'
+import { TABLE_X, TABLE_Z, TABLE_TOP } from './Table.jsx'
+import { SortingTracker } from '../systems/SortingTracker.js'
+
+export const BALL_RADIUS = 0.025
+export const SORT_TASK = 'Sort the balls: red balls into the red basket, yellow balls into the yellow basket'
+
+const COLORS = { red: '#cc3333', yellow: '#e8c020' }
+
+export const BALLS = [
+  { id: 'ball_red_0', color: 'red' },
+  { id: 'ball_red_1', color: 'red' },
+  { id: 'ball_red_2', color: 'red' },
+  { id: 'ball_yellow_0', color: 'yellow' },
+  { id: 'ball_yellow_1', color: 'yellow' },
+  { id: 'ball_yellow_2', color: 'yellow' },
+]
+
+// Basket interior is BASKET_W × BASKET_W × BASKET_H; walls are WALL thick
+const BASKET_W = 0.16
+const BASKET_H = 0.08
+const WALL = 0.015
+
+export const BASKETS = [
+  { id: 'basket_red', accepts: 'red', x: TABLE_X - 0.33, z: TABLE_Z - 0.12 },
+  { id: 'basket_yellow', accepts: 'yellow', x: TABLE_X + 0.33, z: TABLE_Z - 0.12 },
+].map(b => ({
+  ...b,
+  center: [b.x, TABLE_TOP + WALL + BASKET_H / 2, b.z],
+  half: [BASKET_W / 2, BASKET_H / 2, BASKET_W / 2],
+}))
+
+// Floor and four walls as [x, y, z, hx, hy, hz] relative to the basket's base on the table
+const OUTER = BASKET_W + WALL * 2
+const WALL_Y = WALL + BASKET_H / 2
+const BASKET_FLOOR = [0, WALL / 2, 0, OUTER / 2, WALL / 2, OUTER / 2]
+const BASKET_WALLS = [
+  [0, WALL_Y, -(BASKET_W + WALL) / 2, OUTER / 2, BASKET_H / 2, WALL / 2],
+  [0, WALL_Y, (BASKET_W + WALL) / 2, OUTER / 2, BASKET_H / 2, WALL / 2],
+  [-(BASKET_W + WALL) / 2, WALL_Y, 0, WALL / 2, BASKET_H / 2, BASKET_W / 2],
+  [(BASKET_W + WALL) / 2, WALL_Y, 0, WALL / 2, BASKET_H / 2, BASKET_W / 2],
+]
+const WALL_OPACITY = 0.75
+
+/**
+ * Open box built from five cuboid colliders so balls can settle inside it.
+ * Walls are thick relative to the ball speed and the balls run with CCD.
+ */
+function Basket({ id, accepts, x, z }) {
+  const color = COLORS[accepts]
+  const [fx, fy, fz, fhx, fhy, fhz] = BASKET_FLOOR
+
+  return (
+    <RigidBody type="fixed" colliders={false} position={[x, TABLE_TOP, z]} userData={{ id }}>
+      <CuboidCollider args={[fhx, fhy, fhz]} position={[fx, fy, fz]} />
+      <mesh position={[fx, fy, fz]}>
+        <boxGeometry args={[fhx * 2, fhy * 2, fhz * 2]} />
+        <meshStandardMaterial color={color} roughness={0.8} />
+      </mesh>
+      {BASKET_WALLS.map(([px, py, pz, hx, hy, hz], i) => (
+        <group key={i}>
+          <CuboidCollider args={[hx, hy, hz]} position={[px, py, pz]} />
+          <mesh position={[px, py, pz]}>
+            <boxGeometry args={[hx * 2, hy * 2, hz * 2]} />
+            <meshStandardMaterial color={color} roughness={0.8} transparent opacity={WALL_OPACITY} />
+          </mesh>
+        </group>
+      ))}
+    </RigidBody>
+  )
+}
+
+function Baskets() {
+  return BASKETS.map(b => <Basket key={b.id} {...b} />)
+}
+
+const BASKET_BOXES = BASKETS.flatMap(b => [BASKET_FLOOR, ...BASKET_WALLS].map(([px, py, pz, hx, hy, hz], i) => ({
+  position: [b.x + px, TABLE_TOP + py, b.z + pz],
+  size: [hx * 2, hy * 2, hz * 2],
+  color: COLORS[b.accepts],
+  roughness: 0.8,
+  opacity: i === 0 ? 1 : WALL_OPACITY,
+})))
+
+function sortingProgress(tracker) {
+  return { labels: { ...tracker.labels }, partial_success: tracker.score.partial }
+}
+
+/**
+ * Six balls in two colors and two baskets. Per-ball basket labels are written
+ * to the episode metadata as they change; the outcome carries the partial score.
+ */
+export const ballSorting = {
+  id: 'ball_sorting',
+  title: 'Ball sorting',
+  task: SORT_TASK,
+  objects: BALLS.map(b => ({
+    id: b.id,
+    shape: 'ball',
+    radius: BALL_RADIUS,
+    color: COLORS[b.color],
+    material: { roughness: 0.35, metalness: 0.05 },
+    body: { ccd: true, density: 300, friction: 0.8, restitution: 0.2, angularDamping: 1.5, linearDamping: 0.2 },
+  })),
+  Fixtures: Baskets,
+  fixtureBoxes: BASKET_BOXES,
+  // Relative to the table centre, between the baskets
+  spawn: { region: { x: [-0.16, 0.16], z: [-0.08, 0.18] }, minSeparation: BALL_RADIUS * 3 },
+  createPredicate: ({ stableSteps = 30, timeout = 180 } = {}) => new SortingTracker({
+    baskets: BASKETS, balls: BALLS, stableSteps, timeout,
+  }),
+  step: (tracker, bodies, dt) => {
+    const { changed, outcome } = tracker.step(bodies, dt)
+    return { outcome, progress: changed ? sortingProgress(tracker) : null }
+  },
+  progress: sortingProgress,
+  staticMetadata: {
+    baskets: Object.fromEntries(BASKETS.map(b => [b.id, { accepts: b.accepts, center: b.center }])),
+  },
+  statusText: (tracker, outcome) => {
+    const { correct, total } = tracker.score
+    if (!outcome) return `Sort the balls by color · ${correct}/${total}`
+    return outcome.success ? 'Success: all balls sorted' : `Failed: time is up (${correct}/${total})`
+  },
+  metadataSchema: {
+    task: 'string',
+    scenario: 'string',
+    layout: '{ [ball_id]: { x, z, yaw } } spawn offsets from the table centre',
+    baskets: '{ [basket_id]: { accepts: color, center: [x, y, z] } }',
+    labels: '{ [ball_id]: basket_id | null } where each ball settled',
+    partial_success: 'number, fraction of balls in the matching basket',
+  },
+}
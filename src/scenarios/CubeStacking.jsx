@@ -0,0 +1,40 @@
+import { TABLE_TOP } from './Table.jsx'
+import { StackDetector } from '../systems/StackDetector.js'
+
+export const CUBE_SIZE = 0.05
+export const STACK_ORDER = ['cube_red', 'cube_green', 'cube_blue']
+export const CUBE_TASK = 'Stack the cubes: red at the bottom, green in the middle, blue on top'
+
+const CUBE_COLORS = { cube_red: '#cc3333', cube_green: '#33aa55', cube_blue: '#3366cc' }
+
+/**
+ * "Stack red, green, blue": success is a stable, aligned stack in STACK_ORDER.
+ */
+export const cubeStacking = {
+  id: 'cube_stacking',
+  title: 'Cube stacking',
+  task: CUBE_TASK,
+  objects: STACK_ORDER.map(id => ({
+    id,
+    shape: 'box',
+    size: CUBE_SIZE,
+    color: CUBE_COLORS[id],
+    material: { roughness: 0.3, metalness: 0.1 },
+    // Wooden block, ~75 g
+    body: { ccd: true, density: 600, friction: 0.6 },
+  })),
+  // Relative to the table centre (table is 1.0 × 0.6 m)
+  spawn: { region: { x: [-0.25, 0.25], z: [-0.12, 0.12] }, minSeparation: CUBE_SIZE * 2.5 },
+  createPredicate: ({ alignTolerance = 0.02, stableSteps = 30, timeout = 120 } = {}) => new StackDetector({
+    order: STACK_ORDER, size: CUBE_SIZE, tableTop: TABLE_TOP, alignTolerance, stableSteps, timeout,
+  }),
+  step: (detector, bodies, dt) => ({ outcome: detector.step(bodies, dt), progress: null }),
+  statusText: (_predicate, outcome) => outcome
+    ? outcome.success ? 'Success: stack complete' : 'Failed: time is up'
+    : 'Stack red → green → blue',
+  metadataSchema: {
+    task: 'string',
+    scenario: 'string',
+    layout: '{ [cube_id]: { x, z, yaw } } spawn offsets from the table centre',
+  },
+}
@@ -0,0 +1,182 @@
+import { useEffect, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { RigidBody, useAfterPhysicsStep } from '@react-three/rapier'
+import * as THREE from 'three'
+import { Table, TABLE_BOXES, TABLE_X, TABLE_Z, TABLE_TOP } from './Table.jsx'
+import { WorldLabel } from '../components/WorldUI.jsx'
+import { sampleLayout } from '../systems/SpawnSampler.js'
+import { SCENE_COLLISION_GROUPS } from '../systems/PhysicsManager.js'
+
+const SPAWN_CLEARANCE = 0.005
+
+const _spawnQuat = new THREE.Quaternion()
+const _yAxis = new THREE.Vector3(0, 1, 0)
+
+function spawnPosition(def, spawn) {
+  const half = def.shape === 'ball' ? def.radius : def.size / 2
+  return [TABLE_X + spawn.x, TABLE_TOP + half + SPAWN_CLEARANCE, TABLE_Z + spawn.z]
+}
+
+// Puts a body back at rest on its spawn point
+function respawn(body, def, spawn) {
+  const [x, y, z] = spawnPosition(def, spawn)
+  body.setTranslation({ x, y, z }, true)
+  body.setRotation(_spawnQuat.setFromAxisAngle(_yAxis, spawn.yaw), true)
+  body.setLinvel({ x: 0, y: 0, z: 0 }, true)
+  body.setAngvel({ x: 0, y: 0, z: 0 }, true)
+}
+
+// The scene as SimulationCore.setScene takes it
+function simulatedScene(scenario, layout) {
+  return {
+    boxes: [...TABLE_BOXES, ...(scenario.fixtureBoxes ?? [])].map(({ position, size }) => ({ position, size })),
+    objects: scenario.objects.map(({ id, shape, size, radius, body }) => ({ id, shape, size, radius, body })),
+    spawns: simulatedSpawns(scenario, layout),
+  }
+}
+
+function simulatedSpawns(scenario, layout) {
+  return scenario.objects.map((def, i) => ({ position: spawnPosition(def, layout[i]), yaw: layout[i].yaw }))
+}
+
+function ObjectMesh({ def }) {
+  return (
+    <mesh>
+      {def.shape === 'ball'
+        ? <sphereGeometry args={[def.radius, 20, 14]} />
+        : <boxGeometry args={[def.size, def.size, def.size]} />}
+      <meshStandardMaterial color={def.color} {...def.material} />
+    </mesh>
+  )
+}
+
+function ScenarioObject({ def, spawn, bodyRef }) {
+  return (
+    <RigidBody
+      ref={bodyRef}
+      type="dynamic"
+      colliders={def.shape === 'ball' ? 'ball' : 'cuboid'}
+      position={spawnPosition(def, spawn)}
+      rotation={[0, spawn.yaw, 0]}
+      userData={{ id: def.id }}
+      collisionGroups={SCENE_COLLISION_GROUPS}
+      {...def.body}
+    >
+      <ObjectMesh def={def} />
+    </RigidBody>
+  )
+}
+
+// An object simulated in the worker, shown at its interpolated pose
+function MirroredObject({ def, sim, index }) {
+  const ref = useRef()
+  useFrame(() => {
+    const body = sim.bodies[index]
+    if (!body || !ref.current) return
+    ref.current.position.copy(body.translation())
+    ref.current.quaternion.copy(body.rotation())
+  })
+  return (
+    <group ref={ref}>
+      <ObjectMesh def={def} />
+    </group>
+  )
+}
+
+/**
+ * Mounts a registered scenario: table, fixtures and randomized objects, and
+ * steps its success predicate after every physics step. When a recording
+ * starts the predicate is reset and the task metadata is written to the
+ * episode; predicate updates and the final outcome follow as they happen.
+ *
+ * The layout is drawn from resets.random(), so the seed recorded with it
+ * reproduces it; on every resets.reset() the objects are put back at rest on
+ * a layout drawn for the new seed.
+ *
+ * With a SimulationClient in sim, the objects live in the simulation worker:
+ * they are shown from its states and the predicate steps once per state.
+ */
+export function ScenarioRunner({ scenario, recorder, config, onOutcome, resets, sim, random = Math.random }) {
+  const sample = () => sampleLayout(scenario.objects.length, { ...scenario.spawn, random: resets ? resets.random() : random })
+  const [initialLayout] = useState(sample)
+  const [predicate] = useState(() => scenario.createPredicate(config))
+  const [outcome, setOutcome] = useState(null)
+  const [, setVersion] = useState(0)
+  const bodies = useRef({})
+  const layout = useRef(initialLayout)
+
+  useEffect(() => {
+    sim?.loadScene(simulatedScene(scenario, layout.current))
+  }, [sim, scenario])
+
+  useEffect(() => resets?.subscribe(() => {
+    layout.current = sample()
+    if (sim) {
+      sim.respawn(simulatedSpawns(scenario, layout.current))
+    } else {
+      scenario.objects.forEach((def, i) => {
+        const body = bodies.current[def.id]
+        if (body) respawn(body, def, layout.current[i])
+      })
+    }
+    predicate.reset()
+    setOutcome(null)
+  }), [resets, scenario, predicate, sim])
+
+  useEffect(() => recorder?.subscribe((e) => {
+    if (e.type !== 'start') return
+    predicate.reset()
+    setOutcome(null)
+    recorder.annotate({
+      task: scenario.task,
+      scenario: scenario.id,
+      seed: resets?.seed ?? null,
+      layout: Object.fromEntries(scenario.objects.map((o, i) => [o.id, layout.current[i]])),
+      metadata_schema: scenario.metadataSchema,
+      ...scenario.staticMetadata,
+      ...scenario.progress?.(predicate),
+    })
+  }), [recorder, predicate, scenario, resets])
+
+  const stepPredicate = (stepBodies, dt) => {
+    const { outcome: result, progress } = scenario.step(predicate, stepBodies, dt)
+    if (progress) {
+      recorder?.annotate(progress)
+      setVersion(v => v + 1)
+    }
+    if (result) {
+      recorder?.mark(result)
+      setOutcome(result)
+      onOutcome?.(result)
+    }
+  }
+
+  useAfterPhysicsStep(world => stepPredicate(bodies.current, world.timestep))
+
+  useEffect(() => sim?.subscribe(() => stepPredicate(sim.stateBodies, 1 / sim.controlHz)), [sim, predicate, recorder, onOutcome])
+
+  const Fixtures = scenario.Fixtures
+
+  return (
+    <>
+      <Table />
+      {Fixtures && <Fixtures />}
+      {scenario.objects.map((def, i) => sim ? (
+        <MirroredObject key={def.id} def={def} sim={sim} index={i} />
+      ) : (
+        <ScenarioObject
+          key={def.id}
+          def={def}
+          spawn={initialLayout[i]}
+          bodyRef={(b) => { if (b) bodies.current[def.id] = b; else delete bodies.current[def.id] }}
+        />
+      ))}
+      <WorldLabel
+        text={scenario.statusText(predicate, outcome)}
+        position={[TABLE_X, TABLE_TOP + 0.62, TABLE_Z - 0.37]}
+        width={0.4}
+        color={outcome ? (outcome.success ? '#00ff88' : '#ff4444') : '#ffffff'}
+      />
+    </>
+  )
+}
@@ -0,0 +1,40 @@
+import { RigidBody } from '@react-three/rapier'
+
+export const TABLE_X = 0
+export const TABLE_Y = 0.78
+export const TABLE_Z = -0.38
+export const TABLE_W = 1.0
+export const TABLE_D = 0.6
+export const TABLE_THICK = 0.03
+export const TABLE_TOP = TABLE_Y + TABLE_THICK / 2
+
+const LEG_OFFSETS = [
+  [-TABLE_W / 2 + 0.04, -TABLE_D / 2 + 0.04],
+  [ TABLE_W / 2 - 0.04, -TABLE_D / 2 + 0.04],
+  [-TABLE_W / 2 + 0.04,  TABLE_D / 2 - 0.04],
+  [ TABLE_W / 2 - 0.04,  TABLE_D / 2 - 0.04],
+]
+
+// Top first, then legs; world-space boxes shared with the offline renderer
+export const TABLE_BOXES = [
+  { position: [TABLE_X, TABLE_Y, TABLE_Z], size: [TABLE_W, TABLE_THICK, TABLE_D], color: '#8B6914', roughness: 0.7 },
+  ...LEG_OFFSETS.map(([dx, dz]) => ({
+    position: [TABLE_X + dx, TABLE_Y / 2, TABLE_Z + dz],
+    size: [0.04, TABLE_Y - TABLE_THICK, 0.04],
+    color: '#6B4914',
+    roughness: 0.8,
+  })),
+]
+
+export function Table() {
+  return (
+    <RigidBody type="fixed" colliders="cuboid" userData={{ id: 'table' }}>
+      {TABLE_BOXES.map(({ position, size, color, roughness }, i) => (
+        <mesh key={i} position={position}>
+          <boxGeometry args={size} />
+          <meshStandardMaterial color={color} roughness={roughness} />
+        </mesh>
+      ))}
+    </RigidBody>
+  )
+}
@@ -0,0 +1,37 @@
+import { cubeStacking } from './CubeStacking.jsx'
+import { ballSorting } from './BallSorting.jsx'
+
+/**
+ * Scenario registry. A scenario definition declares:
+ *   id, title, task             identifiers and the instruction shown to the operator
+ *   objects                     dynamic bodies: { id, shape: 'box' | 'ball', size | radius, color, material?, body? }
+ *   Fixtures?                   component with static props (baskets, shelves…); the table is always present
+ *   fixtureBoxes?               the same props as world-space boxes { position, size, color, roughness?, opacity? },
+ *                               for code outside React (scripts/render-episode.mjs, the simulation worker)
+ *   spawn                       { region: { x, z } relative to the table centre, minSeparation }
+ *   createPredicate(config)     success predicate, with reset()
+ *   step(predicate, bodies, dt) one physics step of the predicate → { outcome, progress }: outcome the first
+ *                               time one is reached, progress the metadata fields that changed, or null
+ *   progress?(predicate)        the progress metadata as it stands, written when a recording starts
+ *   statusText(predicate, outcome)
+ *   staticMetadata?, metadataSchema
+ */
+
+export const DEFAULT_SCENARIO = cubeStacking.id
+
+const registry = new Map()
+
+export function registerScenario(def) {
+  registry.set(def.id, def)
+}
+
+export function getScenario(id) {
+  return registry.get(id) ?? registry.get(DEFAULT_SCENARIO)
+}
+
+export function listScenarios() {
+  return [...registry.values()]
+}
+
+registerScenario(cubeStacking)
+registerScenario(ballSorting)
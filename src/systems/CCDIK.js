@@ -11,6 +11,8 @@ const _endQuat = new THREE.Quaternion()
 const _deltaQuat = new THREE.Quaternion()
 const _orientAxis = new THREE.Vector3()
 
+export const IK_ITERATIONS = 20
+
 const MAX_ANGLE_STEP = 0.15
 const REGULARIZATION = 0.005
 const SMOOTH_COST = 0.08
@@ -23,7 +25,7 @@ const DAMPING = 0.4
  *
  * wristStartIdx: index of the first wrist joint in the chain (default 4 for 7-DoF arm)
  */
-export function solveCCDIK(joints, endEffector, targetPos, targetQuat, iterations = 20, wristStartIdx = 4) {
+export function solveCCDIK(joints, endEffector, targetPos, targetQuat, iterations = IK_ITERATIONS, wristStartIdx = 4) {
   const n = joints.length
 
   for (let iter = 0; iter < iterations; iter++) {
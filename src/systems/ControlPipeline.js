@@ -0,0 +1,322 @@
+import * as THREE from 'three'
+import { getIKSolver, upperBodyProblem, UPPER_BODY_IK } from './IKSolvers.js'
+import { retargetHand, packRetarget, RetargetingFilter, handJointAngle, XR_TO_URDF, DEFAULT_RETARGET_MODE } from './HandRetargeting.js'
+import { VectorRetargeter } from './VectorRetargeting.js'
+import { profileRanges } from './RetargetCalibration.js'
+import { graspSynergy } from './ControllerTeleop.js'
+import { ExponentialSmoother, QuaternionSmoother } from './ImpedanceControl.js'
+import { WeightedMovingFilter } from './WeightedMovingFilter.js'
+import { JointController } from './JointController.js'
+import { ARM_CHAIN, HAND_LINK, HAND_JOINTS, WAIST_CHAIN, HOME_POSE } from '../constants/kinematics.js'
+
+// Above this contact force (N) on any link it moves, a finger stops closing:
+// the kinematic finger squeezes the object instead of pushing through it
+const MAX_GRIP_FORCE = 15
+const FILTER_WEIGHTS = [0.4, 0.3, 0.2, 0.1]
+
+const _correctedQuat = new THREE.Quaternion()
+const _hand = new Array(7)
+
+export function emptyCommands() {
+  return { wrist: null, hand: null, retarget: null, xr: null, ik: null, blocked: false, tracking: null }
+}
+
+/**
+ * The teleoperation control loop for one robot: hand retargeting, wrist
+ * smoothing, arm or whole-upper-body IK with its joint filters, the servo
+ * model and self-collision refusal.
+ *
+ * control() turns tracked hands into finger angles and joint targets, and
+ * servo(now) moves the arms toward the targets and refuses self-colliding
+ * poses. URDFRobot calls both once per rendered frame; SimulationCore calls
+ * control() at the control rate and servo() on every physics step.
+ */
+export class ControlPipeline {
+  constructor(robot, { servo = 'limited', ik = 'ccd', upperBody = false, retarget = DEFAULT_RETARGET_MODE, profile = null } = {}) {
+    this.robot = robot
+    this.ik = ik
+    this.upperBody = upperBody
+    this.retarget = retarget
+    this.profile = profile
+    const smoother = () => ({ pos: new ExponentialSmoother(0.3), quat: new QuaternionSmoother(0.3) })
+    this.smooth = { left: smoother(), right: smoother() }
+    this.jointFilter = {
+      left: new WeightedMovingFilter(FILTER_WEIGHTS, 7),
+      right: new WeightedMovingFilter(FILTER_WEIGHTS, 7),
+      body: new WeightedMovingFilter(FILTER_WEIGHTS, WAIST_CHAIN.length + 14),
+    }
+    this.retargetFilter = { left: new RetargetingFilter(0.4), right: new RetargetingFilter(0.4) }
+    this.vector = { left: new VectorRetargeter(robot, 'left'), right: new VectorRetargeter(robot, 'right') }
+    this.chains = {
+      left: ARM_CHAIN.left.map(n => robot.joints?.[n]).filter(Boolean),
+      right: ARM_CHAIN.right.map(n => robot.joints?.[n]).filter(Boolean),
+      waist: WAIST_CHAIN.map(n => robot.joints?.[n]).filter(Boolean),
+    }
+    const chainController = names => new JointController(
+      names.map(n => robot.joints?.[n]).filter(Boolean),
+      robot.userData.dynamics,
+      { mode: servo },
+    )
+    this.controllers = {
+      left: chainController(ARM_CHAIN.left),
+      right: chainController(ARM_CHAIN.right),
+      waist: chainController(WAIST_CHAIN),
+    }
+    this.safe = { left: new Float64Array(7), right: new Float64Array(7), waist: new Float64Array(WAIST_CHAIN.length) }
+    this.blocked = { left: false, right: false }
+    // Filtered joint targets the servo moves toward, per chain; null holds the chain
+    this.targets = { left: null, right: null, waist: null }
+    this.commands = { left: emptyCommands(), right: emptyCommands(), body: null }
+  }
+
+  /** Any of { servo, ik, upperBody, retarget, profile }; switching upperBody resets the filters. */
+  configure({ servo, ik, upperBody, retarget, profile } = {}) {
+    if (servo !== undefined) for (const c of Object.values(this.controllers)) c.mode = servo
+    if (ik !== undefined) this.ik = ik
+    if (retarget !== undefined) this.retarget = retarget
+    if (profile !== undefined) this.profile = profile
+    if (upperBody !== undefined && upperBody !== this.upperBody) {
+      this.upperBody = upperBody
+      this.reset()
+    }
+  }
+
+  /** Clears every filter, smoother and servo state. */
+  reset() {
+    for (const side of ['left', 'right']) {
+      this.smooth[side].pos.reset()
+      this.smooth[side].quat.reset()
+      this.retargetFilter[side].reset()
+      this.vector[side].reset()
+    }
+    for (const f of Object.values(this.jointFilter)) f.reset()
+    for (const c of Object.values(this.controllers)) c.reset()
+    this.targets = { left: null, right: null, waist: null }
+  }
+
+  /** Back to HOME_POSE with everything reset and HOME_POSE as the last safe pose. */
+  home() {
+    for (const [name, angle] of Object.entries(HOME_POSE)) this.robot.joints?.[name]?.setJointValue(angle)
+    this.reset()
+    for (const side of ['left', 'right']) {
+      ARM_CHAIN[side].forEach((n, i) => { this.safe[side][i] = HOME_POSE[n] ?? 0 })
+      this.blocked[side] = false
+    }
+    WAIST_CHAIN.forEach((n, i) => { this.safe.waist[i] = HOME_POSE[n] ?? 0 })
+  }
+
+  /**
+   * One control update. tracked: { left, right } XR joints (see readXRJoints)
+   * or null outside a session; held: { left, right } sides whose tracking
+   * failed, which keep their last commanded pose; forces: link contact
+   * forces for the grip limit; ikScale: fraction of the solvers' iterations;
+   * profiler: a FrameProfiler to time the sections on; grasp: { left, right }
+   * { trigger, squeeze } for sides driven by a controller, whose fingers
+   * follow graspSynergy instead of the tracked joints. Returns the commands,
+   * as recorded.
+   */
+  control(tracked, { held, forces, ikScale = 1, profiler, grasp } = {}) {
+    const robot = this.robot
+    const cmds = { left: emptyCommands(), right: emptyCommands(), body: null }
+    this.commands = cmds
+    this.targets = { left: null, right: null, waist: null }
+
+    profiler?.begin('retarget')
+    for (const side of ['left', 'right']) {
+      const xrJoints = tracked?.[side]
+      if (held?.[side]) {
+        cmds[side].xr = xrJoints
+        this.controllers[side].halt()
+        continue
+      }
+      if (!xrJoints?.['wrist']) continue
+
+      _correctedQuat.copy(xrJoints['wrist'].quaternion).multiply(XR_TO_URDF[side])
+      const sm = this.smooth[side]
+      const position = sm.pos.update(xrJoints['wrist'].position).clone()
+      const quaternion = sm.quat.update(_correctedQuat).clone()
+
+      const cmd = cmds[side]
+      let raw
+      if (grasp?.[side]) {
+        const { trigger, squeeze } = grasp[side]
+        raw = graspSynergy(trigger, squeeze)
+        cmd.retarget = { mode: 'synergy', trigger, squeeze }
+      } else {
+        // The vector mode fits fingertip vectors, starting from the curl mapping
+        const curl = retargetHand(xrJoints, profileRanges(this.profile, side))
+        const vector = this.retarget === 'vector' ? this.vector[side] : null
+        const solved = vector?.valid ? vector.solve(xrJoints, curl) : null
+        raw = solved ? solved.data : curl
+        cmd.retarget = solved ? { mode: 'vector', seed: solved.seed, iterations: solved.iterations } : { mode: 'curl' }
+      }
+      applyFingerAngles(robot, side, this.retargetFilter[side].update(raw), forces)
+
+      cmd.wrist = { position, quaternion }
+      cmd.hand = packRetarget(raw)
+      cmd.xr = xrJoints
+    }
+    profiler?.end('retarget')
+
+    // Arm IK runs once both wrist targets are known: in whole-upper-body
+    // mode the arms share the waist and are solved together
+    profiler?.begin('ik')
+    if (this.upperBody) {
+      cmds.body = this.solveBody(cmds, ikScale)
+    } else {
+      for (const side of ['left', 'right']) {
+        const chain = this.chains[side]
+        const endLink = robot.links?.[HAND_LINK[side]]
+        if (!cmds[side].wrist || chain.length === 0 || !endLink) continue
+        const { position, quaternion } = cmds[side].wrist
+        cmds[side].ik = this.solveArm(side, endLink, position, quaternion, ikScale)
+      }
+      // Outside whole-upper-body mode the torso is brought back upright
+      if (WAIST_CHAIN.some(n => robot.joints?.[n]?.angle)) this.targets.waist = WAIST_CHAIN.map(() => 0)
+    }
+    profiler?.end('ik')
+    return cmds
+  }
+
+  // The IK solves in place on the joints; the chain is put back to where it
+  // was and the servo then moves it toward the filtered solution
+  solveArm(side, endLink, targetPos, targetQuat, scale) {
+    const chain = this.chains[side]
+    const { solve, iterations: full } = getIKSolver(this.ik)
+    const iterations = Math.max(1, Math.round(full * scale))
+    const seed = chain.map(j => j.angle || 0)
+    solve(chain, endLink, targetPos, targetQuat, iterations)
+    const solved = chain.map(j => j.angle || 0)
+    this.targets[side] = this.jointFilter[side].addData(solved)
+    chain.forEach((j, i) => j.setJointValue?.(seed[i]))
+    return { solver: this.ik, seed, solved, iterations }
+  }
+
+  // Whole-upper-body counterpart of solveArm; seed and solved follow
+  // upperBodyProblem's WAIST_CHAIN + left + right layout
+  solveBody(cmds, scale) {
+    const problem = upperBodyProblem(this.robot, { left: cmds.left.wrist, right: cmds.right.wrist })
+    if (!problem?.sides.length) return null
+    const { name, solve } = UPPER_BODY_IK
+    const iterations = Math.max(1, Math.round(UPPER_BODY_IK.iterations * scale))
+    const seed = problem.joints.map(j => j.angle || 0)
+    solve(problem.active, problem.tasks, iterations)
+    const solved = problem.joints.map(j => j.angle || 0)
+    const filtered = this.jointFilter.body.addData(solved)
+    problem.joints.forEach((j, i) => j.setJointValue?.(seed[i]))
+
+    const w = WAIST_CHAIN.length
+    const l = ARM_CHAIN.left.length
+    this.targets.waist = filtered.subarray(0, w)
+    if (problem.sides.includes('left')) this.targets.left = filtered.subarray(w, w + l)
+    if (problem.sides.includes('right')) this.targets.right = filtered.subarray(w + l)
+    return { solver: name, sides: problem.sides, seed, solved, iterations }
+  }
+
+  /**
+   * Moves every chain with a target toward it over the time since the last
+   * call (now in ms), then refuses arm poses that collide with the body.
+   * pm: the PhysicsManager, for self-collision. Returns this.blocked.
+   */
+  servo(now, pm, profiler) {
+    const { targets, controllers } = this
+    profiler?.begin('ik')
+    if (targets.waist) controllers.waist.update(targets.waist, now)
+    for (const side of ['left', 'right']) {
+      if (targets[side]) controllers[side].update(targets[side], now)
+    }
+    profiler?.end('ik')
+    profiler?.begin('collision')
+    // The waist carries both arms, so either can be pushed into the body: a
+    // refused pose then takes the waist back too, and the waist's safe pose
+    // is only kept once both arms are clear
+    const waist = this.upperBody && targets.waist
+      ? { chain: this.chains.waist, safe: this.safe.waist, controller: controllers.waist }
+      : null
+    let clear = true
+    for (const side of ['left', 'right']) {
+      if (!targets[side] && !waist) continue
+      const hit = resolveSelfCollision(this.robot, side, this.chains[side], pm, this.safe[side], controllers[side], waist)
+      this.commands[side].blocked = hit
+      this.blocked[side] = hit
+      if (hit) clear = false
+    }
+    if (waist && clear) saveAngles(waist.chain, waist.safe)
+    profiler?.end('collision')
+    return this.blocked
+  }
+}
+
+// ── Self-collision ───────────────────────────────────────────────────────────
+
+function blendToSafe(chain, safe) {
+  chain.forEach((j, i) => {
+    if (!j.setJointValue || i >= safe.length) return
+    j.setJointValue((j.angle || 0) + (safe[i] - (j.angle || 0)) * 0.5)
+  })
+}
+
+function saveAngles(chain, buf) {
+  chain.forEach((j, i) => { if (i < buf.length) buf[i] = j.angle || 0 })
+}
+
+/**
+ * Refuses arm poses that intersect the body or the other arm: the chain falls
+ * back halfway toward the last safe pose, or all the way if halfway still
+ * collides. waist: { chain, safe, controller } when the waist moved with the
+ * arm, falling back along with it. Returns true when the pose was refused.
+ */
+function resolveSelfCollision(robot, side, chain, pm, safe, controller, waist) {
+  if (!pm || !pm.selfCollides(robot, side)) {
+    saveAngles(chain, safe)
+    return false
+  }
+  blendToSafe(chain, safe)
+  if (waist) blendToSafe(waist.chain, waist.safe)
+  if (pm.selfCollides(robot, side)) {
+    chain.forEach((j, i) => j.setJointValue?.(safe[i]))
+    waist?.chain.forEach((j, i) => j.setJointValue?.(waist.safe[i]))
+  }
+  pm.placeColliders(robot)
+  controller?.halt()
+  waist?.controller.halt()
+  return true
+}
+
+// ── Fingers ──────────────────────────────────────────────────────────────────
+
+const _drivenLinks = new WeakMap()
+
+function drivenLinks(joint) {
+  let names = _drivenLinks.get(joint)
+  if (!names) {
+    names = []
+    joint.traverse((o) => { if (o.isURDFLink) names.push(o.name) })
+    _drivenLinks.set(joint, names)
+  }
+  return names
+}
+
+function setFingerJoint(joint, target, forces) {
+  if (!joint) return
+  if (forces && joint.limit) {
+    const { lower, upper } = joint.limit
+    const closing = Math.abs(lower) > Math.abs(upper) ? -1 : 1
+    const squeezing = (target - (joint.angle || 0)) * closing > 0
+    if (squeezing && drivenLinks(joint).some(l => (forces[l] ?? 0) > MAX_GRIP_FORCE)) return
+  }
+  joint.setJointValue(target)
+}
+
+function applyFingerAngles(robot, side, data, forces) {
+  if (!robot.joints || !data) return
+  packRetarget(data, _hand)
+  HAND_JOINTS[side].forEach((name, i) => {
+    const joint = robot.joints[name]
+    if (!joint?.limit) return
+    const angle = handJointAngle(joint, i, _hand[i])
+    // Abduction swings the thumb sideways and never squeezes
+    if (i === 0) joint.setJointValue(angle)
+    else setFingerJoint(joint, angle, forces)
+  })
+}
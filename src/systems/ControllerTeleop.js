@@ -0,0 +1,125 @@
+import * as THREE from 'three'
+
+/**
+ * Operator input modes: hand tracking, or Quest controllers held in the
+ * hands, which keep working under occlusion and poor lighting.
+ */
+export const INPUT_MODES = { hands: 'hand tracking', controllers: 'controllers' }
+export const DEFAULT_INPUT_MODE = 'hands'
+
+// The XR wrist joint in the controller's grip space, for a relaxed hand
+// around the grip (the WebXR emulator's hand and grip poses). Grip -Z runs
+// along the closed fist, so the wrist's -Z (toward the fingers) is grip -Y.
+// The right hand mirrors the left across the grip's YZ plane.
+const GRIP_TO_WRIST = {
+  left: {
+    position: new THREE.Vector3(-0.0363, 0.065, 0.0027),
+    quaternion: new THREE.Quaternion(-0.5, 0.5, 0.5, 0.5),
+  },
+  right: {
+    position: new THREE.Vector3(0.0363, 0.065, 0.0027),
+    quaternion: new THREE.Quaternion(-0.5, -0.5, -0.5, 0.5),
+  },
+}
+
+/**
+ * Dex3 grasp synergies as normalized DoFs (the retargetHand layout). pinch
+ * brings the thumb and index pads to a 1 cm gap with the middle finger open
+ * (fitted with Dex3Hand); power closes every finger around the thumb, which
+ * sits between index and middle. The fingers still stop at the grip force limit.
+ */
+export const GRASP_SYNERGIES = {
+  pinch: { thumb: { abduction: -0.35, curl: [0.55, 0.1] }, index: { curl: [1, 0] }, middle: { curl: [0, 0] } },
+  power: { thumb: { abduction: 0, curl: [1, 1] }, index: { curl: [1, 1] }, middle: { curl: [1, 1] } },
+}
+
+/**
+ * Finger DoFs for the controller's analog inputs (0-1): the trigger closes
+ * the pinch, the grip the power grasp. Each curl follows whichever grasp
+ * closes it further; the thumb abduction blends between the two.
+ */
+export function graspSynergy(trigger, squeeze) {
+  const { pinch, power } = GRASP_SYNERGIES
+  const curl = (a, b) => a.map((v, i) => Math.max(v * trigger, b[i] * squeeze))
+  const total = trigger + squeeze
+  const closing = Math.max(trigger, squeeze)
+  const abduction = total > 0 ? closing * (pinch.thumb.abduction * trigger + power.thumb.abduction * squeeze) / total : 0
+  return {
+    thumb: { abduction, curl: curl(pinch.thumb.curl, power.thumb.curl) },
+    index: { curl: curl(pinch.index.curl, power.index.curl) },
+    middle: { curl: curl(pinch.middle.curl, power.middle.curl) },
+  }
+}
+
+/**
+ * The wrist pose a controller's grip pose stands for, as an XR joint map
+ * holding only the wrist (see HandInputTap.read); pooled per side like the
+ * hand joints, so readers copy what they keep.
+ */
+export function controllerWrist(controller, side, pool) {
+  const offset = GRIP_TO_WRIST[side]
+  const j = pool.wrist ?? (pool.wrist = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), radius: 0 })
+  j.quaternion.copy(controller.grip.quaternion).multiply(offset.quaternion)
+  j.position.copy(offset.position).applyQuaternion(controller.grip.quaternion).add(controller.grip.position)
+  return { wrist: j }
+}
+
+// ── Haptics ────────────────────────────────────────────────────────────────
+
+// A fingertip force rising through this (N) is a contact; falling below
+// RELEASE_FORCE ends it
+const CONTACT_FORCE = 0.5
+const RELEASE_FORCE = 0.2
+const CONTACT_PULSE = { intensity: 0.35, ms: 25 }
+// An arm refused for self-collision: stronger, repeated while it lasts
+const BLOCKED_PULSE = { intensity: 0.8, ms: 60 }
+const BLOCKED_REPEAT_MS = 250
+
+function sideState() {
+  return { touching: false, blocked: false, lastBlockedPulse: -Infinity }
+}
+
+/**
+ * Controller rumble for what the robot's hands feel: a short tick when a
+ * fingertip first touches something, a strong buzz when an arm's motion is
+ * refused for self-collision. update() runs once per frame with the
+ * controllers from HandInputTap.read.
+ */
+export class ControllerHaptics {
+  constructor() {
+    this.sides = { left: sideState(), right: sideState() }
+  }
+
+  reset() {
+    this.sides = { left: sideState(), right: sideState() }
+  }
+
+  /** fingertip: { left, right } forces (N); blocked: { left, right }. */
+  update(controllers, { fingertip, blocked }, now = performance.now()) {
+    for (const side of ['left', 'right']) {
+      const s = this.sides[side]
+      const actuator = controllers?.[side]?.source.gamepad?.hapticActuators?.[0]
+      const force = Math.max(0, ...(fingertip?.[side] ?? []))
+
+      if (!s.touching && force > CONTACT_FORCE) {
+        s.touching = true
+        pulse(actuator, CONTACT_PULSE)
+      } else if (s.touching && force < RELEASE_FORCE) {
+        s.touching = false
+      }
+
+      const hit = !!blocked?.[side]
+      if (hit && (!s.blocked || now - s.lastBlockedPulse >= BLOCKED_REPEAT_MS)) {
+        s.lastBlockedPulse = now
+        pulse(actuator, BLOCKED_PULSE)
+      }
+      s.blocked = hit
+    }
+  }
+}
+
+function pulse(actuator, { intensity, ms }) {
+  // pulse() is the WebXR Gamepads form; playEffect() the newer Gamepad one
+  if (actuator?.pulse) actuator.pulse(intensity, ms)
+  else actuator?.playEffect?.('dual-rumble', { duration: ms, strongMagnitude: intensity, weakMagnitude: intensity })
+}
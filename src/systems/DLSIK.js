@@ -0,0 +1,215 @@
+import * as THREE from 'three'
+
+const _endPos = new THREE.Vector3()
+const _endQuat = new THREE.Quaternion()
+const _jointPos = new THREE.Vector3()
+const _jointQuat = new THREE.Quaternion()
+const _axis = new THREE.Vector3()
+const _lever = new THREE.Vector3()
+const _col = new THREE.Vector3()
+const _errPos = new THREE.Vector3()
+const _errQuat = new THREE.Quaternion()
+
+export const DLS_ITERATIONS = 12
+
+// λ of the damped pseudo-inverse; keeps steps bounded near singularities
+const DAMPING = 0.04
+// Metres of position error one radian of orientation error is worth
+const ORIENTATION_WEIGHT = 0.25
+const POSTURE_GAIN = 0.1
+// Joints closer than this to a limit (rad) are progressively frozen
+const LIMIT_MARGIN = 0.15
+const MIN_LIMIT_SCALE = 0.05
+const MAX_ANGLE_STEP = 0.2
+
+// Natural elbow-down arm posture (left side; roll and yaw mirror on the right).
+// Joints not listed here, the waist included, rest at 0.
+const REST_POSTURE = {
+  shoulder_pitch: 0,
+  shoulder_roll: 0.2,
+  shoulder_yaw: 0,
+  elbow: 0.8,
+  wrist_roll: 0,
+  wrist_pitch: 0,
+  wrist_yaw: 0,
+}
+
+// Waist joints carry the whole upper body: they cost more to move than arm
+// joints (column weight) and are pulled harder back toward neutral
+const ARM_COST = { weight: 1, gain: POSTURE_GAIN }
+const WAIST_COST = { weight: 0.4, gain: 0.3 }
+// Iteration continues past task convergence until the waist is this close to neutral
+const WAIST_SETTLED = 0.01
+
+function jointCost(joint) {
+  return /^waist_/.test(joint.name) ? WAIST_COST : ARM_COST
+}
+
+function waistSettled(joints) {
+  return joints.every(j => jointCost(j) !== WAIST_COST || Math.abs(restAngle(j) - (j.angle || 0)) < WAIST_SETTLED)
+}
+
+function restAngle(joint) {
+  const m = /^(left|right)_(.+)_joint$/.exec(joint.name)
+  if (!m) return 0
+  const v = REST_POSTURE[m[2]] ?? 0
+  return m[1] === 'right' && /roll|yaw/.test(m[2]) ? -v : v
+}
+
+// Column scale that fades a joint out of the solve as it approaches the limit
+// it is being pushed toward, so the redundancy is used to stay clear of it.
+function limitScale(joint, q) {
+  if (!joint.limit) return 1
+  const room = Math.min(q - joint.limit.lower, joint.limit.upper - q)
+  return Math.max(MIN_LIMIT_SCALE, Math.min(1, room / LIMIT_MARGIN))
+}
+
+// In-place Cholesky solve of the symmetric positive-definite n×n system A x = b.
+function solveSPD(A, b, n) {
+  for (let j = 0; j < n; j++) {
+    let d = A[j * n + j]
+    for (let k = 0; k < j; k++) d -= A[j * n + k] * A[j * n + k]
+    d = Math.sqrt(Math.max(d, 1e-12))
+    A[j * n + j] = d
+    for (let i = j + 1; i < n; i++) {
+      let s = A[i * n + j]
+      for (let k = 0; k < j; k++) s -= A[i * n + k] * A[j * n + k]
+      A[i * n + j] = s / d
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    let s = b[i]
+    for (let k = 0; k < i; k++) s -= A[i * n + k] * b[k]
+    b[i] = s / A[i * n + i]
+  }
+  for (let i = n - 1; i >= 0; i--) {
+    let s = b[i]
+    for (let k = i + 1; k < n; k++) s -= A[k * n + i] * b[k]
+    b[i] = s / A[i * n + i]
+  }
+  return b
+}
+
+
+function ancestorSet(object) {
+  const out = new Set()
+  for (let o = object.parent; o; o = o.parent) out.add(o)
+  return out
+}
+
+// Pose error of one task written into e at offset; returns position and angle error
+function taskError(task, e, k) {
+  task.end.getWorldPosition(_endPos)
+  task.end.getWorldQuaternion(_endQuat)
+
+  _errPos.subVectors(task.position, _endPos)
+  e[k] = _errPos.x; e[k + 1] = _errPos.y; e[k + 2] = _errPos.z
+  let angleErr = 0
+  if (task.quaternion) {
+    _errQuat.copy(task.quaternion).multiply(_endQuat.invert()).normalize()
+    if (_errQuat.w < 0) { _errQuat.x *= -1; _errQuat.y *= -1; _errQuat.z *= -1; _errQuat.w *= -1 }
+    const half = Math.acos(Math.min(1, _errQuat.w))
+    angleErr = half * 2
+    const s = half > 1e-9 ? (angleErr / Math.sin(half)) * ORIENTATION_WEIGHT : 2 * ORIENTATION_WEIGHT
+    e[k + 3] = _errQuat.x * s; e[k + 4] = _errQuat.y * s; e[k + 5] = _errQuat.z * s
+  }
+  return _errPos.length() < 0.002 && angleErr < 0.03
+}
+
+/**
+ * Damped-least-squares IK for one or more end-effector tasks sharing a joint set.
+ *
+ * tasks: [{ end, position, quaternion }]; a task only sees the joints that are
+ * ancestors of its end link, so arms sharing the waist are solved together.
+ * Each iteration solves the stacked weighted pose error (position, plus
+ * orientation scaled by ORIENTATION_WEIGHT) through the damped pseudo-inverse
+ * of the geometric Jacobian. Joints near a limit are faded out of the solve,
+ * waist joints are made costlier to move than arm joints, and a posture term
+ * toward the rest pose is projected into the Jacobian's null space so it never
+ * fights the end-effector tasks. Joint angles are written in place.
+ */
+export function solveDLS(joints, tasks, iterations = DLS_ITERATIONS) {
+  const n = joints.length
+  const rows = tasks.map(t => (t.quaternion ? 6 : 3))
+  const m = rows.reduce((a, b) => a + b, 0)
+  const J = new Float64Array(m * n)
+  const A = new Float64Array(m * m)
+  const e = new Float64Array(m)
+  const y = new Float64Array(m)
+  const scale = new Float64Array(n)
+  const z = new Float64Array(n)
+  const dq = new Float64Array(n)
+  const reaches = tasks.map(t => ancestorSet(t.end))
+
+  for (let iter = 0; iter < iterations; iter++) {
+    let converged = true
+    for (let t = 0, k = 0; t < tasks.length; k += rows[t], t++) {
+      if (!taskError(tasks[t], e, k)) converged = false
+    }
+    if (converged && waistSettled(joints)) return
+
+    // Scaled Jacobian J·S; columns are a × (p - o) and a for revolute joints
+    J.fill(0)
+    for (let i = 0; i < n; i++) {
+      const joint = joints[i]
+      const q = joint.angle || 0
+      const { weight, gain } = jointCost(joint)
+      scale[i] = limitScale(joint, q) * weight
+      z[i] = gain * (restAngle(joint) - q) / scale[i]
+
+      joint.getWorldPosition(_jointPos)
+      joint.getWorldQuaternion(_jointQuat)
+      _axis.copy(joint.axis).applyQuaternion(_jointQuat).normalize()
+
+      const s = scale[i]
+      for (let t = 0, k = 0; t < tasks.length; k += rows[t], t++) {
+        if (!reaches[t].has(joint)) continue
+        tasks[t].end.getWorldPosition(_endPos)
+        _lever.subVectors(_endPos, _jointPos)
+        _col.crossVectors(_axis, _lever)
+        J[k * n + i] = _col.x * s; J[(k + 1) * n + i] = _col.y * s; J[(k + 2) * n + i] = _col.z * s
+        if (rows[t] === 6) {
+          J[(k + 3) * n + i] = _axis.x * ORIENTATION_WEIGHT * s
+          J[(k + 4) * n + i] = _axis.y * ORIENTATION_WEIGHT * s
+          J[(k + 5) * n + i] = _axis.z * ORIENTATION_WEIGHT * s
+        }
+      }
+    }
+
+    // A = J Jᵀ + λ² I
+    for (let r = 0; r < m; r++) {
+      for (let c = 0; c <= r; c++) {
+        let s = 0
+        for (let k = 0; k < n; k++) s += J[r * n + k] * J[c * n + k]
+        A[r * m + c] = A[c * m + r] = s + (r === c ? DAMPING * DAMPING : 0)
+      }
+    }
+
+    // Task step plus null-space posture step: Jᵀ A⁻¹ (e - J z) + z
+    for (let r = 0; r < m; r++) {
+      let s = 0
+      for (let k = 0; k < n; k++) s += J[r * n + k] * z[k]
+      y[r] = e[r] - s
+    }
+    solveSPD(A, y, m)
+
+    for (let i = 0; i < n; i++) {
+      let s = z[i]
+      for (let r = 0; r < m; r++) s += J[r * n + i] * y[r]
+      dq[i] = Math.max(-MAX_ANGLE_STEP, Math.min(MAX_ANGLE_STEP, s * scale[i]))
+    }
+
+    for (let i = 0; i < n; i++) {
+      const joint = joints[i]
+      if (!joint.setJointValue) continue
+      const lo = joint.limit?.lower ?? -Math.PI
+      const hi = joint.limit?.upper ?? Math.PI
+      joint.setJointValue(Math.max(lo, Math.min(hi, (joint.angle || 0) + dq[i])))
+    }
+  }
+}
+
+/** Single-chain solve with the same call shape as solveCCDIK. */
+export function solveDLSIK(joints, endEffector, targetPos, targetQuat, iterations = DLS_ITERATIONS) {
+  solveDLS(joints, [{ end: endEffector, position: targetPos, quaternion: targetQuat }], iterations)
+}
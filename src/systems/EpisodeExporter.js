@@ -0,0 +1,438 @@
+import { RECORDED_JOINTS, HAND_JOINTS, FINGERTIP_LINKS, XR_JOINT_NAMES } from '../constants/kinematics.js'
+import { HAND_JOINT_STRIDE, HAND_JOINT_FIELDS, CONTROLLER_FIELDS } from './HandInputTap.js'
+import { TRACKING_FAULTS } from './TrackingMonitor.js'
+
+// Episodes are written as a LeRobot-style dataset packed into one zip:
+//   meta/info.json                           header (features, joint order, limits, objects, lighting)
+//   meta/episodes.jsonl                      one line per episode
+//   meta/tasks.jsonl                         task_index → task text
+//   data/chunk-000/episode_000000.npz        columnar tables, one .npy per field
+//   hand_input/chunk-000/episode_000000.npz  raw hand and controller input at the XR frame rate, if recorded
+// npz is read directly by numpy (np.load) and is trivial to produce without a
+// native Parquet/HDF5 library, so the writer runs unchanged in the Quest browser.
+
+export const CODEBASE_VERSION = 'v2.0'
+export const ROBOT_TYPE = 'unitree_g1_dex3'
+const CHUNK_SIZE = 1000
+
+const POSE_NAMES = ['x', 'y', 'z', 'qx', 'qy', 'qz', 'qw']
+const ACTION_NAMES = [
+  ...POSE_NAMES.map(n => 'left_wrist.' + n),
+  ...POSE_NAMES.map(n => 'right_wrist.' + n),
+  ...HAND_JOINTS.left,
+  ...HAND_JOINTS.right,
+]
+const CONTACT_NAMES = [...FINGERTIP_LINKS.left, ...FINGERTIP_LINKS.right]
+const HAND_WIDTH = XR_JOINT_NAMES.length * HAND_JOINT_STRIDE
+const HAND_NAMES = ['left', 'right'].flatMap(side =>
+  XR_JOINT_NAMES.flatMap(joint => HAND_JOINT_FIELDS.map(f => `${side}.${joint}.${f}`)))
+
+// ── CRC32 / zip (stored, no compression) ───────────────────────────────────
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    t[n] = c >>> 0
+  }
+  return t
+})()
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8)
+  return (c ^ 0xFFFFFFFF) >>> 0
+}
+
+const _encoder = new TextEncoder()
+
+function zip(files) {
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const { name, data } of files) {
+    const nameBytes = _encoder.encode(name)
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034B50, true)
+    local.setUint16(4, 20, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, nameBytes.length, true)
+    locals.push(new Uint8Array(local.buffer), nameBytes, data)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014B50, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, nameBytes.length, true)
+    central.setUint32(42, offset, true)
+    centrals.push(new Uint8Array(central.buffer), nameBytes)
+
+    offset += 30 + nameBytes.length + data.length
+  }
+
+  const centralSize = centrals.reduce((s, b) => s + b.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054B50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  return concat([...locals, ...centrals, new Uint8Array(end.buffer)])
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((s, b) => s + b.length, 0))
+  let o = 0
+  for (const p of parts) { out.set(p, o); o += p.length }
+  return out
+}
+
+// ── npy ────────────────────────────────────────────────────────────────────
+
+const NPY_DTYPES = { float32: '<f4', int64: '<i8', uint8: '|u1' }
+
+function npy(typed, dtype, shape) {
+  const shapeStr = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`
+  let header = `{'descr': '${NPY_DTYPES[dtype]}', 'fortran_order': False, 'shape': ${shapeStr}, }`
+  const pad = 64 - ((10 + header.length + 1) % 64)
+  header += ' '.repeat(pad % 64) + '\n'
+
+  const pre = new Uint8Array(10)
+  pre.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0])
+  new DataView(pre.buffer).setUint16(8, header.length, true)
+  return concat([pre, _encoder.encode(header), new Uint8Array(typed.buffer, typed.byteOffset, typed.byteLength)])
+}
+
+function npzOf(columns) {
+  return zip(columns.map(c => ({ name: c.name + '.npy', data: npy(c.data, c.dtype, c.shape) })))
+}
+
+// ── Columns ────────────────────────────────────────────────────────────────
+
+function objectIds(episode) {
+  const ids = episode.environment?.objects?.map(o => o.id)
+  return ids?.length ? ids : Object.keys(episode.samples[0]?.objects ?? {})
+}
+
+// Camera frames recorded with RobotCameras, described in metadata.cameras.
+// Taken from the first episode so every episode gets the same columns.
+function cameraSpec(episode) {
+  const c = episode.metadata?.cameras
+  return c?.width && c?.height ? { width: c.width, height: c.height, names: Object.keys(c.mounts ?? {}) } : null
+}
+
+function decodeFrame(b64, out, offset) {
+  const bin = atob(b64)
+  for (let i = 0; i < bin.length; i++) out[offset + i] = bin.charCodeAt(i)
+}
+
+// Frames arrive at the camera rate, slower than samples: each row holds the
+// latest frame so far (black before the first).
+function imageColumns(samples, cameras) {
+  if (!cameras) return []
+  const n = samples.length
+  const size = cameras.width * cameras.height * 3
+  return cameras.names.map((name) => {
+    const data = new Uint8Array(n * size)
+    samples.forEach((s, i) => {
+      const frame = s.images?.[name]
+      if (frame) decodeFrame(frame, data, i * size)
+      else if (i > 0) data.copyWithin(i * size, (i - 1) * size, i * size)
+    })
+    return { name: `observation.images.${name}`, dtype: 'uint8', shape: [n, cameras.height, cameras.width, 3], data }
+  })
+}
+
+function faultMask(faults) {
+  let mask = 0
+  for (const f of faults ?? []) {
+    const bit = TRACKING_FAULTS.indexOf(f)
+    if (bit >= 0) mask |= 1 << bit
+  }
+  return mask
+}
+
+function setRaw(out, values, offset, width) {
+  if (!values) return
+  for (let i = 0; i < width; i++) out[offset + i] = values[i] ?? NaN
+}
+
+// Raw input frames (Recorder.attachInput), only when the first episode has them.
+// observation.hand_joints holds the newest frame at each sample (NaN before
+// the first and where a joint had no pose); the full stream is returned as
+// its own table.
+function hasHandInput(episode) {
+  return episode.samples.some(s => s.hand_input)
+}
+
+function handColumns(samples) {
+  const n = samples.length
+  const data = new Float32Array(n * HAND_WIDTH * 2).fill(NaN)
+  let last = null
+  samples.forEach((s, i) => {
+    const frames = s.hand_input?.frames
+    if (frames?.length) last = frames[frames.length - 1]
+    if (!last) return
+    setRaw(data, last.left, i * HAND_WIDTH * 2, HAND_WIDTH)
+    setRaw(data, last.right, i * HAND_WIDTH * 2 + HAND_WIDTH, HAND_WIDTH)
+  })
+  return [{ name: 'observation.hand_joints', dtype: 'float32', shape: [n, HAND_WIDTH * 2], data }]
+}
+
+function handStream(samples) {
+  const rows = samples.flatMap((s, i) => (s.hand_input?.frames ?? []).map(f => [f, i]))
+  const n = rows.length
+  const timestamp = new Float32Array(n)
+  const sampleIndex = new BigInt64Array(n)
+  const nc = CONTROLLER_FIELDS.length
+  const left = new Float32Array(n * HAND_WIDTH).fill(NaN)
+  const right = new Float32Array(n * HAND_WIDTH).fill(NaN)
+  const leftController = new Float32Array(n * nc).fill(NaN)
+  const rightController = new Float32Array(n * nc).fill(NaN)
+  rows.forEach(([f, i], k) => {
+    timestamp[k] = f.t
+    sampleIndex[k] = BigInt(i)
+    setRaw(left, f.left, k * HAND_WIDTH, HAND_WIDTH)
+    setRaw(right, f.right, k * HAND_WIDTH, HAND_WIDTH)
+    setRaw(leftController, f.controllers?.left, k * nc, nc)
+    setRaw(rightController, f.controllers?.right, k * nc, nc)
+  })
+  const shape = [n, XR_JOINT_NAMES.length, HAND_JOINT_STRIDE]
+  return [
+    { name: 'timestamp', dtype: 'float32', shape: [n], data: timestamp },
+    { name: 'frame_index', dtype: 'int64', shape: [n], data: sampleIndex },
+    { name: 'left', dtype: 'float32', shape, data: left },
+    { name: 'right', dtype: 'float32', shape, data: right },
+    { name: 'left_controller', dtype: 'float32', shape: [n, nc], data: leftController },
+    { name: 'right_controller', dtype: 'float32', shape: [n, nc], data: rightController },
+  ]
+}
+
+// Every distinct input source seen during the episode
+function handSources(samples) {
+  const seen = new Map()
+  for (const s of samples) {
+    for (const src of s.hand_input?.sources ?? []) seen.set(JSON.stringify(src), src)
+  }
+  return [...seen.values()]
+}
+
+function buildColumns(episode, episodeIndex, taskIndex, globalOffset, cameras, hands) {
+  const samples = episode.samples
+  const n = samples.length
+  const nq = RECORDED_JOINTS.length
+  const na = ACTION_NAMES.length
+  const ids = objectIds(episode)
+
+  const state = new Float32Array(n * nq)
+  const velocity = new Float32Array(n * nq)
+  const action = new Float32Array(n * na)
+  const valid = new Uint8Array(n * 2)
+  const blocked = new Uint8Array(n * 2)
+  const trackingValid = new Uint8Array(n * 2)
+  const trackingFaults = new Uint8Array(n * 2)
+  const dropped = new BigInt64Array(n)
+  const env = new Float32Array(n * ids.length * 7)
+  const nc = CONTACT_NAMES.length
+  const contact = new Float32Array(n * nc)
+  const timestamp = new Float32Array(n)
+  const frameIndex = new BigInt64Array(n)
+  const episodeCol = new BigInt64Array(n)
+  const indexCol = new BigInt64Array(n)
+  const taskCol = new BigInt64Array(n)
+
+  // Untracked sides hold their last command so the action stream stays continuous;
+  // action.valid marks which samples carried a live command (sides frozen for
+  // bad hand tracking carry none).
+  const held = new Float32Array(na)
+
+  samples.forEach((s, i) => {
+    state.set(s.q, i * nq)
+    velocity.set(s.qd, i * nq)
+
+    ;['left', 'right'].forEach((side, k) => {
+      const a = s.action[side]
+      if (a.wrist) held.set(a.wrist, k * 7)
+      if (a.hand) held.set(a.hand, 14 + k * 7)
+      valid[i * 2 + k] = a.wrist ? 1 : 0
+      blocked[i * 2 + k] = s.blocked?.[side] ? 1 : 0
+      const tracking = s.tracking?.[side]
+      trackingValid[i * 2 + k] = tracking?.valid === false ? 0 : 1
+      trackingFaults[i * 2 + k] = faultMask(tracking?.faults)
+    })
+    action.set(held, i * na)
+
+    dropped[i] = BigInt(s.timing?.dropped ?? 0)
+
+    if (s.contact?.left) contact.set(s.contact.left, i * nc)
+    if (s.contact?.right) contact.set(s.contact.right, i * nc + FINGERTIP_LINKS.left.length)
+
+    ids.forEach((id, k) => {
+      const pose = s.objects[id]
+      if (pose) env.set(pose, (i * ids.length + k) * 7)
+    })
+
+    timestamp[i] = s.t
+    frameIndex[i] = BigInt(s.frame)
+    episodeCol[i] = BigInt(episodeIndex)
+    indexCol[i] = BigInt(globalOffset + i)
+    taskCol[i] = BigInt(taskIndex)
+  })
+
+  return [
+    { name: 'observation.state', dtype: 'float32', shape: [n, nq], data: state },
+    { name: 'observation.velocity', dtype: 'float32', shape: [n, nq], data: velocity },
+    { name: 'observation.environment_state', dtype: 'float32', shape: [n, ids.length * 7], data: env },
+    { name: 'observation.contact_force', dtype: 'float32', shape: [n, nc], data: contact },
+    { name: 'action', dtype: 'float32', shape: [n, na], data: action },
+    { name: 'action.valid', dtype: 'uint8', shape: [n, 2], data: valid },
+    { name: 'observation.blocked', dtype: 'uint8', shape: [n, 2], data: blocked },
+    { name: 'observation.tracking_valid', dtype: 'uint8', shape: [n, 2], data: trackingValid },
+    { name: 'observation.tracking_faults', dtype: 'uint8', shape: [n, 2], data: trackingFaults },
+    { name: 'dropped_frames', dtype: 'int64', shape: [n], data: dropped },
+    ...imageColumns(samples, cameras),
+    ...(hands ? handColumns(samples) : []),
+    { name: 'timestamp', dtype: 'float32', shape: [n], data: timestamp },
+    { name: 'frame_index', dtype: 'int64', shape: [n], data: frameIndex },
+    { name: 'episode_index', dtype: 'int64', shape: [n], data: episodeCol },
+    { name: 'index', dtype: 'int64', shape: [n], data: indexCol },
+    { name: 'task_index', dtype: 'int64', shape: [n], data: taskCol },
+  ]
+}
+
+// ── Header ─────────────────────────────────────────────────────────────────
+
+function buildInfo(episodes, tasks, totalFrames, cameras, hands) {
+  const first = episodes[0]
+  const env = first.environment ?? {}
+  const ids = objectIds(first)
+  const limits = {}
+  for (const j of env.robot?.joints ?? []) limits[j.name] = { lower: j.lower, upper: j.upper }
+
+  return {
+    codebase_version: CODEBASE_VERSION,
+    robot_type: ROBOT_TYPE,
+    fps: first.rate,
+    total_episodes: episodes.length,
+    total_frames: totalFrames,
+    total_tasks: tasks.length,
+    chunks_size: CHUNK_SIZE,
+    data_path: 'data/chunk-{episode_chunk:03d}/episode_{episode_index:06d}.npz',
+    features: {
+      'observation.state': { dtype: 'float32', shape: [RECORDED_JOINTS.length], names: RECORDED_JOINTS },
+      'observation.velocity': { dtype: 'float32', shape: [RECORDED_JOINTS.length], names: RECORDED_JOINTS },
+      'observation.environment_state': {
+        dtype: 'float32',
+        shape: [ids.length * 7],
+        names: ids.flatMap(id => POSE_NAMES.map(n => `${id}.${n}`)),
+      },
+      'observation.contact_force': { dtype: 'float32', shape: [CONTACT_NAMES.length], names: CONTACT_NAMES },
+      action: { dtype: 'float32', shape: [ACTION_NAMES.length], names: ACTION_NAMES },
+      'action.valid': { dtype: 'uint8', shape: [2], names: ['left', 'right'] },
+      'observation.blocked': { dtype: 'uint8', shape: [2], names: ['left', 'right'] },
+      // 0 while bad tracking holds a side that has commanded the robot this episode
+      'observation.tracking_valid': { dtype: 'uint8', shape: [2], names: ['left', 'right'] },
+      // Bit mask over tracking_faults
+      'observation.tracking_faults': { dtype: 'uint8', shape: [2], names: ['left', 'right'] },
+      // Render frames missed since the previous sample (see FrameProfiler)
+      dropped_frames: { dtype: 'int64', shape: [1], names: null },
+      ...Object.fromEntries((cameras?.names ?? []).map(name => [`observation.images.${name}`, {
+        dtype: 'uint8',
+        shape: [cameras.height, cameras.width, 3],
+        names: ['height', 'width', 'channel'],
+      }])),
+      ...(hands && {
+        'observation.hand_joints': { dtype: 'float32', shape: [HAND_NAMES.length], names: HAND_NAMES },
+      }),
+      timestamp: { dtype: 'float32', shape: [1], names: null },
+      frame_index: { dtype: 'int64', shape: [1], names: null },
+      episode_index: { dtype: 'int64', shape: [1], names: null },
+      index: { dtype: 'int64', shape: [1], names: null },
+      task_index: { dtype: 'int64', shape: [1], names: null },
+    },
+    // Raw XR hand joints at the frame rate; frame_index is the sample each was logged with
+    ...(hands && {
+      hand_input_path: 'hand_input/chunk-{episode_chunk:03d}/episode_{episode_index:06d}.npz',
+      hand_input: { joints: XR_JOINT_NAMES, fields: HAND_JOINT_FIELDS, controller_fields: CONTROLLER_FIELDS },
+    }),
+    tracking_faults: TRACKING_FAULTS,
+    urdf_joint_order: env.robot?.joints?.map(j => j.name) ?? [],
+    joint_limits: limits,
+    objects: env.objects ?? [],
+    lighting: env.lighting ?? null,
+  }
+}
+
+/**
+ * Packs recorded episodes into a LeRobot-style dataset zip.
+ * Each episode's task text comes from episode.metadata.task.
+ */
+export function exportEpisodes(episodes) {
+  const list = episodes.filter(e => e?.samples?.length)
+  if (list.length === 0) throw new Error('No samples to export')
+
+  const tasks = []
+  const taskIndex = (text) => {
+    let i = tasks.indexOf(text)
+    if (i < 0) { i = tasks.length; tasks.push(text) }
+    return i
+  }
+
+  const cameras = cameraSpec(list[0])
+  const hands = hasHandInput(list[0])
+  const files = []
+  const episodeLines = []
+  let offset = 0
+
+  list.forEach((episode, idx) => {
+    const task = episode.metadata?.task ?? ''
+    const columns = buildColumns(episode, idx, taskIndex(task), offset, cameras, hands)
+    const chunk = String(Math.floor(idx / CHUNK_SIZE)).padStart(3, '0')
+    const file = `chunk-${chunk}/episode_${String(idx).padStart(6, '0')}.npz`
+    files.push({ name: 'data/' + file, data: npzOf(columns) })
+    if (hands) files.push({ name: 'hand_input/' + file, data: npzOf(handStream(episode.samples)) })
+
+    episodeLines.push(JSON.stringify({
+      episode_index: idx,
+      episode_id: episode.id,
+      tasks: [task],
+      length: episode.samples.length,
+      started_at: episode.startedAt,
+      success: episode.outcome?.success ?? null,
+      outcome: episode.outcome ?? null,
+      metadata: episode.metadata,
+      ...(hands && { hand_sources: handSources(episode.samples) }),
+    }))
+    offset += episode.samples.length
+  })
+
+  const info = buildInfo(list, tasks, offset, cameras, hands)
+  const taskLines = tasks.map((task, i) => JSON.stringify({ task_index: i, task }))
+
+  return zip([
+    { name: 'meta/info.json', data: _encoder.encode(JSON.stringify(info, null, 2)) },
+    { name: 'meta/episodes.jsonl', data: _encoder.encode(episodeLines.join('\n') + '\n') },
+    { name: 'meta/tasks.jsonl', data: _encoder.encode(taskLines.join('\n') + '\n') },
+    ...files,
+  ])
+}
+
+export function downloadEpisodes(episodes, filename) {
+  const bytes = exportEpisodes(episodes)
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'application/zip' }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename ?? `${episodes[0].id}.zip`
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
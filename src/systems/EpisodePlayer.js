@@ -0,0 +1,210 @@
+import * as THREE from 'three'
+import { RECORDED_JOINTS } from '../constants/kinematics.js'
+import { verifyEpisode } from './ReplayVerifier.js'
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4]
+
+const _pa = new THREE.Vector3()
+const _pb = new THREE.Vector3()
+const _qa = new THREE.Quaternion()
+const _qb = new THREE.Quaternion()
+const _m = new THREE.Matrix4()
+const _parentInv = new THREE.Matrix4()
+const _one = new THREE.Vector3(1, 1, 1)
+const _scale = new THREE.Vector3()
+
+function lerpPose(a, b, alpha, outPos, outQuat) {
+  _pa.fromArray(a, 0)
+  _qa.fromArray(a, 3)
+  if (b && alpha > 0) {
+    _pb.fromArray(b, 0)
+    _qb.fromArray(b, 3)
+    _pa.lerp(_pb, alpha)
+    _qa.slerp(_qb, alpha)
+  }
+  outPos.copy(_pa)
+  outQuat.copy(_qa)
+}
+
+/**
+ * Plays a recorded episode back onto the robot and the scene's rigid bodies.
+ *
+ * Time advances only through update(delta), so playback is deterministic for a
+ * given sequence of calls. Between samples joint angles and object poses are
+ * interpolated; seek/step land exactly on recorded samples.
+ */
+export class EpisodePlayer {
+  constructor() {
+    this.episode = null
+    this.time = 0
+    this.playing = false
+    this.speed = 1
+    this.listeners = new Set()
+    this.overridden = new Map()
+    this.robot = null
+  }
+
+  /** URDFRobot registers the loaded robot so verify() can run outside the frame loop. */
+  attachRobot(robot) {
+    this.robot = robot
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  emit() {
+    for (const l of this.listeners) l(this)
+  }
+
+  get active() { return this.episode !== null }
+
+  get frameCount() { return this.episode?.samples.length ?? 0 }
+
+  get duration() {
+    const s = this.episode?.samples
+    return s?.length ? s[s.length - 1].t : 0
+  }
+
+  /** Index of the last sample at or before the playhead. */
+  get frame() {
+    const s = this.episode?.samples
+    if (!s?.length) return 0
+    let lo = 0, hi = s.length - 1
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1
+      if (s[mid].t <= this.time) lo = mid
+      else hi = mid - 1
+    }
+    return lo
+  }
+
+  load(episode) {
+    if (!episode?.samples?.length) throw new Error('Episode has no samples')
+    this.episode = episode
+    this.time = 0
+    this.playing = false
+    this.emit()
+  }
+
+  /** Stops playback; call release() to hand bodies taken over by apply() back to physics. */
+  unload() {
+    this.episode = null
+    this.playing = false
+    this.emit()
+  }
+
+  play() {
+    if (!this.episode) return
+    if (this.time >= this.duration) this.time = 0
+    this.playing = true
+    this.emit()
+  }
+
+  pause() {
+    this.playing = false
+    this.emit()
+  }
+
+  toggle() {
+    if (this.playing) this.pause()
+    else this.play()
+  }
+
+  setSpeed(speed) {
+    this.speed = speed
+    this.emit()
+  }
+
+  seek(frame) {
+    const s = this.episode?.samples
+    if (!s) return
+    const i = Math.max(0, Math.min(s.length - 1, Math.round(frame)))
+    this.time = s[i].t
+    this.emit()
+  }
+
+  step(delta) {
+    this.playing = false
+    this.seek(this.frame + delta)
+  }
+
+  update(delta) {
+    if (!this.playing || !this.episode) return
+    this.time += delta * this.speed
+    if (this.time >= this.duration) {
+      this.time = this.duration
+      this.playing = false
+    }
+    this.emit()
+  }
+
+  /**
+   * Drives joints, the robot base and dynamic bodies from the log.
+   * base: the object whose world pose was recorded as sample.base (URDFRobot's root group).
+   */
+  apply(robot, { base, world, rapier } = {}) {
+    const s = this.episode?.samples
+    if (!s) return
+    const i = this.frame
+    const a = s[i]
+    const b = s[i + 1]
+    const alpha = b ? (this.time - a.t) / (b.t - a.t) : 0
+
+    const joints = this.episode.jointNames ?? RECORDED_JOINTS
+    joints.forEach((name, k) => {
+      const j = robot?.joints?.[name]
+      if (!j?.setJointValue) return
+      const v = b ? a.q[k] + (b.q[k] - a.q[k]) * alpha : a.q[k]
+      j.setJointValue(v)
+    })
+
+    if (base && a.base) {
+      lerpPose(a.base, b?.base, alpha, base.position, base.quaternion)
+      if (base.parent) {
+        base.parent.updateMatrixWorld(true)
+        _parentInv.copy(base.parent.matrixWorld).invert()
+        _m.compose(base.position, base.quaternion, _one).premultiply(_parentInv)
+          .decompose(base.position, base.quaternion, _scale)
+      }
+      base.updateMatrixWorld(true)
+    }
+
+    if (world && rapier) {
+      world.forEachRigidBody((body) => {
+        const id = body.userData?.id
+        const pose = id && a.objects[id]
+        if (!pose) return
+        if (!this.overridden.has(body.handle)) {
+          this.overridden.set(body.handle, body.bodyType())
+          body.setBodyType(rapier.RigidBodyType.KinematicPositionBased, true)
+        }
+        lerpPose(pose, b?.objects[id], alpha, _pb, _qb)
+        body.setNextKinematicTranslation({ x: _pb.x, y: _pb.y, z: _pb.z })
+        body.setNextKinematicRotation({ x: _qb.x, y: _qb.y, z: _qb.z, w: _qb.w })
+      })
+    }
+  }
+
+  /** Re-runs retargeting and IK on the loaded episode; see verifyEpisode. */
+  verify(options) {
+    if (!this.robot || !this.episode) return null
+    return verifyEpisode(this.robot, this.episode, options)
+  }
+
+  /**
+   * Hands bodies taken over during playback back to the simulation.
+   * Without a world (it is being torn down) the overrides are just forgotten.
+   */
+  release(world) {
+    for (const [handle, type] of this.overridden) {
+      const body = world?.getRigidBody(handle)
+      if (!body) continue
+      body.setBodyType(type, true)
+      body.setLinvel({ x: 0, y: 0, z: 0 }, true)
+      body.setAngvel({ x: 0, y: 0, z: 0 }, true)
+    }
+    this.overridden.clear()
+  }
+}
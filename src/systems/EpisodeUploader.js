@@ -0,0 +1,274 @@
+// Streams recorder output to scripts/ingest-server.mjs over a WebSocket.
+//
+// Every message is written to an outbox (IndexedDB when available, memory
+// otherwise) before it is sent and only removed once the server acknowledges
+// it, so a dropped connection or a crashed tab loses nothing: the outbox is
+// replayed on the next connect. Outbox keys sort into send order:
+//   <episode>/begin  <episode>/c000000 …  <episode>/end
+// A discarded episode's queued messages are dropped and replaced by
+// <episode>/discard, which deletes whatever the server already stored.
+
+const DB_NAME = 'i-am-robot'
+const STORE = 'outbox'
+const MIN_RECONNECT_MS = 1000
+const MAX_RECONNECT_MS = 10000
+
+function chunkKey(episode, seq) {
+  return `${episode}/c${String(seq).padStart(6, '0')}`
+}
+
+function makeSessionId() {
+  return 's_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+}
+
+function episodeHeader(episode) {
+  const { samples, ...header } = episode
+  return header
+}
+
+// ── Outbox storage ─────────────────────────────────────────────────────────
+
+export class MemoryOutbox {
+  constructor() { this.items = new Map() }
+  async put(key, msg) { this.items.set(key, msg) }
+  async delete(key) { this.items.delete(key) }
+  async all() { return [...this.items] }
+}
+
+class IDBOutbox {
+  constructor(db) { this.db = db }
+
+  static open() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1)
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE)
+      req.onsuccess = () => resolve(new IDBOutbox(req.result))
+      req.onerror = () => reject(req.error)
+    })
+  }
+
+  tx(mode, fn) {
+    return new Promise((resolve, reject) => {
+      const t = this.db.transaction(STORE, mode)
+      const result = fn(t.objectStore(STORE))
+      t.oncomplete = () => resolve(result.result)
+      t.onerror = () => reject(t.error)
+    })
+  }
+
+  put(key, msg) { return this.tx('readwrite', s => s.put(msg, key)) }
+  delete(key) { return this.tx('readwrite', s => s.delete(key)) }
+
+  all() {
+    return new Promise((resolve, reject) => {
+      const out = []
+      const t = this.db.transaction(STORE, 'readonly')
+      const req = t.objectStore(STORE).openCursor()
+      req.onsuccess = () => {
+        const cursor = req.result
+        if (!cursor) return
+        out.push([cursor.key, cursor.value])
+        cursor.continue()
+      }
+      t.oncomplete = () => resolve(out)
+      t.onerror = () => reject(t.error)
+    })
+  }
+}
+
+export async function openOutbox() {
+  if (!globalThis.indexedDB) return new MemoryOutbox()
+  try {
+    return await IDBOutbox.open()
+  } catch (e) {
+    console.warn('[Uploader] IndexedDB unavailable, buffering in memory:', e)
+    return new MemoryOutbox()
+  }
+}
+
+// ── Uploader ───────────────────────────────────────────────────────────────
+
+export class EpisodeUploader {
+  constructor({ url, session = makeSessionId(), chunkSize = 60, WebSocketImpl = globalThis.WebSocket, outbox = null }) {
+    this.url = url
+    this.session = session
+    this.chunkSize = chunkSize
+    this.WebSocketImpl = WebSocketImpl
+    this.outbox = outbox
+    this.pending = new Map()
+    this.socket = null
+    this.connected = false
+    this.closed = false
+    this.reconnectDelay = MIN_RECONNECT_MS
+    this.reconnectTimer = null
+    this.current = null
+    this.drainWaiters = []
+    this.onStatus = null
+  }
+
+  async open() {
+    if (!this.outbox) this.outbox = await openOutbox()
+    for (const [key, msg] of await this.outbox.all()) this.pending.set(key, msg)
+    if (this.pending.size) console.log(`[Uploader] ${this.pending.size} queued messages recovered`)
+
+    if (globalThis.addEventListener) globalThis.addEventListener('online', this.reconnectNow)
+    this.connect()
+    return this
+  }
+
+  attach(recorder) {
+    return recorder.subscribe(e => this.onRecorderEvent(e))
+  }
+
+  onRecorderEvent({ type, episode, sample }) {
+    if (type === 'start') {
+      this.current = { episode: episode.id, seq: 0, buffer: [] }
+      this.enqueue(`${episode.id}/begin`, {
+        type: 'begin', session: this.session, episode: episode.id, header: episodeHeader(episode),
+      })
+    } else if (type === 'sample' && this.current) {
+      this.current.buffer.push(sample)
+      if (this.current.buffer.length >= this.chunkSize) this.sealChunk()
+    } else if (type === 'stop' && this.current) {
+      this.sealChunk()
+      this.enqueue(`${episode.id}/end`, {
+        type: 'end', session: this.session, episode: episode.id,
+        chunks: this.current.seq, header: episodeHeader(episode),
+      })
+      this.current = null
+    } else if (type === 'discard') {
+      for (const key of [...this.pending.keys()]) if (key.startsWith(`${episode.id}/`)) this.remove(key)
+      this.enqueue(`${episode.id}/discard`, { type: 'discard', session: this.session, episode: episode.id })
+      this.current = null
+    }
+  }
+
+  sealChunk() {
+    const c = this.current
+    if (!c.buffer.length) return
+    const seq = c.seq++
+    this.enqueue(chunkKey(c.episode, seq), {
+      type: 'chunk', session: this.session, episode: c.episode, seq, samples: c.buffer,
+    })
+    c.buffer = []
+  }
+
+  enqueue(key, msg) {
+    this.pending.set(key, msg)
+    this.outbox?.put(key, msg).catch(e => console.error('[Uploader] outbox write failed:', e))
+    this.send(msg)
+    this.notify()
+  }
+
+  remove(key) {
+    if (!this.pending.delete(key)) return
+    this.outbox?.delete(key).catch(e => console.error('[Uploader] outbox delete failed:', e))
+    this.notify()
+    if (this.pending.size === 0) {
+      for (const resolve of this.drainWaiters.splice(0)) resolve()
+    }
+  }
+
+  send(msg) {
+    if (!this.connected) return false
+    this.socket.send(JSON.stringify(msg))
+    return true
+  }
+
+  flush() {
+    const keys = [...this.pending.keys()].sort()
+    for (const key of keys) if (!this.send(this.pending.get(key))) return
+  }
+
+  connect() {
+    if (this.closed || this.socket) return
+    let socket
+    try {
+      socket = new this.WebSocketImpl(this.url)
+    } catch (e) {
+      console.warn('[Uploader] connect failed:', e)
+      this.scheduleReconnect()
+      return
+    }
+    this.socket = socket
+
+    socket.onopen = () => {
+      this.connected = true
+      this.reconnectDelay = MIN_RECONNECT_MS
+      this.notify()
+      this.flush()
+    }
+    socket.onmessage = (e) => {
+      try {
+        this.handleMessage(JSON.parse(typeof e.data === 'string' ? e.data : e.data.toString()))
+      } catch (err) {
+        console.error('[Uploader] bad server message:', err)
+      }
+    }
+    socket.onclose = () => {
+      this.socket = null
+      this.connected = false
+      this.notify()
+      this.scheduleReconnect()
+    }
+    socket.onerror = () => {}
+  }
+
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) return
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this.connect()
+    }, this.reconnectDelay)
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_MS)
+  }
+
+  reconnectNow = () => {
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = null
+    this.reconnectDelay = MIN_RECONNECT_MS
+    this.connect()
+  }
+
+  handleMessage(msg) {
+    const ep = msg.episode
+    if (msg.type === 'resume') {
+      this.remove(`${ep}/begin`)
+      for (const seq of msg.have) this.remove(chunkKey(ep, seq))
+    } else if (msg.type === 'ack') {
+      this.remove(chunkKey(ep, msg.seq))
+    } else if (msg.type === 'complete') {
+      this.remove(`${ep}/end`)
+    } else if (msg.type === 'discarded') {
+      this.remove(`${ep}/discard`)
+    } else if (msg.type === 'missing') {
+      const resend = msg.seqs.filter(seq => this.pending.has(chunkKey(ep, seq)))
+      if (resend.length === 0) {
+        console.error(`[Uploader] ${ep}: chunks ${msg.seqs.join(',')} lost, episode left incomplete`)
+        this.remove(`${ep}/end`)
+        return
+      }
+      for (const seq of resend) this.send(this.pending.get(chunkKey(ep, seq)))
+      this.send(this.pending.get(`${ep}/end`))
+    } else if (msg.type === 'error') {
+      console.error('[Uploader] server error:', msg.message)
+    }
+  }
+
+  notify() {
+    this.onStatus?.({ connected: this.connected, queued: this.pending.size })
+  }
+
+  /** Resolves once every queued message has been acknowledged. */
+  drained() {
+    if (this.pending.size === 0) return Promise.resolve()
+    return new Promise(resolve => this.drainWaiters.push(resolve))
+  }
+
+  close() {
+    this.closed = true
+    clearTimeout(this.reconnectTimer)
+    if (globalThis.removeEventListener) globalThis.removeEventListener('online', this.reconnectNow)
+    this.socket?.close()
+  }
+}
@@ -0,0 +1,269 @@
+// Sections timed every frame, in pipeline order, with their panel labels
+export const PROFILE_SECTIONS = {
+  input: 'XR input',
+  retarget: 'Retargeting',
+  ik: 'IK',
+  collision: 'Self-collision',
+  physics_sync: 'Physics sync',
+  physics: 'Physics step',
+  record: 'Recording',
+  render: 'Render',
+}
+
+/**
+ * Quality levels the adaptive mode steps through, best first. ik scales the
+ * IK solvers' iteration counts, cameraRate the robot cameras' render rate,
+ * and colliders picks the decomposed hulls or one hull per link (see
+ * PhysicsManager.setDetail).
+ */
+export const QUALITY_LEVELS = [
+  { name: 'full', ik: 1, cameraRate: 1, colliders: 'detailed' },
+  { name: 'reduced', ik: 0.6, cameraRate: 0.5, colliders: 'detailed' },
+  { name: 'low', ik: 0.4, cameraRate: 0.5, colliders: 'coarse' },
+  { name: 'minimal', ik: 0.25, cameraRate: 0.25, colliders: 'coarse' },
+]
+
+// Refresh rate assumed when the XR session reports none (Quest 3 default)
+export const DEFAULT_HZ = 72
+// A frame longer than this many refresh periods missed a vsync
+const DROP_THRESHOLD = 1.5
+// Longer gaps are pauses (entering VR, a hidden tab), not dropped frames
+const MAX_GAP_S = 1
+// Frames kept for the rolling statistics
+const WINDOW_FRAMES = 180
+// Dropped frames shown on the panel are counted over this long (s)
+export const REPORT_S = 10
+// Adaptive mode: DROP_LIMIT dropped frames within DROP_WINDOW_S steps quality
+// down; RECOVER_S without a drop, with CPU time under HEADROOM of the frame
+// budget, steps it back up. No change follows another within SETTLE_S.
+const DROP_WINDOW_S = 1
+const DROP_LIMIT = 3
+const RECOVER_S = 10
+const HEADROOM = 0.6
+const SETTLE_S = 2
+// Smoothing of the per-frame CPU time the recovery looks at
+const CPU_EMA = 0.05
+
+function perSection(value) {
+  return Object.fromEntries(Object.keys(PROFILE_SECTIONS).map(s => [s, value()]))
+}
+
+function round(ms) {
+  return Math.round(ms * 1000) / 1000
+}
+
+/**
+ * Frame-time budget profiler. Subsystems bracket their work with
+ * begin(section) / end(section); frame(dt) is called once per frame and
+ * closes the frame before it, counting it as dropped when it overran the
+ * refresh period. stats() feeds the in-VR panel, takeSample() the recorder,
+ * and startEpisode() / endEpisode() the episode metadata.
+ *
+ * With adaptive on, sustained dropped frames step down QUALITY_LEVELS and a
+ * long calm stretch steps back up; every change is kept in the episode.
+ */
+export class FrameProfiler {
+  constructor({ adaptive = true, windowFrames = WINDOW_FRAMES } = {}) {
+    this.adaptive = adaptive
+    this.level = 0
+    this.hz = DEFAULT_HZ
+    this.size = windowFrames
+    this.cursor = 0
+    this.count = 0
+    this.times = perSection(() => new Float32Array(windowFrames))
+    this.intervals = new Float32Array(windowFrames)
+    this.current = perSection(() => 0)
+    this.started = perSection(() => null)
+    this.drops = []
+    this.totalDropped = 0
+    this.cpuAvg = 0
+    this.lastChange = -Infinity
+    this.calmSince = 0
+    this.episode = null
+    this.sample = { frames: 0, dropped: 0, maxFrameMs: 0 }
+    this.listeners = new Set()
+  }
+
+  /** listener({ level, quality, adaptive, reason }). Returns an unsubscribe function. */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  emit(reason) {
+    const event = { level: this.level, quality: this.quality, adaptive: this.adaptive, reason }
+    for (const l of this.listeners) l(event)
+  }
+
+  get quality() { return QUALITY_LEVELS[this.level] }
+
+  begin(section, now = performance.now()) {
+    this.started[section] = now
+  }
+
+  end(section, now = performance.now()) {
+    const t0 = this.started[section]
+    if (t0 === null) return
+    this.current[section] += now - t0
+    this.started[section] = null
+  }
+
+  /**
+   * Closes the previous frame. dt: its length (s), as r3f's delta; hz: the
+   * display refresh rate it was meant to hit.
+   */
+  frame(dt, hz = DEFAULT_HZ, now = performance.now()) {
+    const current = this.current
+    this.hz = hz
+    if (!(dt > 0) || dt > MAX_GAP_S) {
+      for (const s in current) current[s] = 0
+      return
+    }
+
+    const period = 1000 / hz
+    const ms = dt * 1000
+    const dropped = ms > period * DROP_THRESHOLD ? Math.round(ms / period) - 1 : 0
+    let cpu = 0
+    for (const s in current) {
+      this.times[s][this.cursor] = current[s]
+      cpu += current[s]
+    }
+    this.intervals[this.cursor] = ms
+    this.cursor = (this.cursor + 1) % this.size
+    this.count = Math.min(this.count + 1, this.size)
+    this.cpuAvg += (cpu - this.cpuAvg) * CPU_EMA
+
+    const t = now / 1000
+    if (dropped) {
+      this.drops.push({ t, n: dropped })
+      this.totalDropped += dropped
+    }
+    while (this.drops.length && this.drops[0].t < t - REPORT_S) this.drops.shift()
+
+    const s = this.sample
+    s.frames++
+    s.dropped += dropped
+    s.maxFrameMs = Math.max(s.maxFrameMs, ms)
+
+    const ep = this.episode
+    if (ep) {
+      ep.frames++
+      ep.dropped += dropped
+      ep.worstFrameMs = Math.max(ep.worstFrameMs, ms)
+      for (const k in current) {
+        ep.sums[k] += current[k]
+        ep.max[k] = Math.max(ep.max[k], current[k])
+      }
+    }
+
+    for (const k in current) current[k] = 0
+    if (this.adaptive) this.adapt(t, dropped, period)
+  }
+
+  adapt(t, dropped, period) {
+    if (dropped || this.cpuAvg > period * HEADROOM) this.calmSince = t
+    if (t - this.lastChange < SETTLE_S) return
+    let recent = 0
+    for (const d of this.drops) if (d.t >= t - DROP_WINDOW_S) recent += d.n
+    if (recent >= DROP_LIMIT && this.level < QUALITY_LEVELS.length - 1) {
+      this.setLevel(this.level + 1, `${recent} frames dropped`, t)
+    } else if (this.level > 0 && t - this.calmSince >= RECOVER_S && t - this.lastChange >= RECOVER_S) {
+      this.setLevel(this.level - 1, 'headroom', t)
+    }
+  }
+
+  setLevel(level, reason, t = performance.now() / 1000) {
+    if (level === this.level) return
+    this.level = level
+    this.lastChange = t
+    this.calmSince = t
+    this.episode?.changes.push({ t: round(t - this.episode.start / 1000), quality: this.quality.name, reason })
+    this.emit(reason)
+  }
+
+  /** Turning adaptive mode off goes back to full quality. */
+  setAdaptive(on) {
+    this.adaptive = on
+    if (!on) this.setLevel(0, 'adaptive off')
+    else this.emit('adaptive on')
+  }
+
+  /**
+   * Rolling statistics over the last frames: { hz, budgetMs, frameMs, maxFrameMs,
+   * cpuMs, dropped (last REPORT_S), totalDropped, quality, adaptive,
+   * sections: { name: { mean, max } } } in ms.
+   */
+  stats() {
+    const n = this.count
+    const mean = (a) => { let s = 0; for (let i = 0; i < n; i++) s += a[i]; return n ? s / n : 0 }
+    const max = (a) => { let m = 0; for (let i = 0; i < n; i++) m = Math.max(m, a[i]); return m }
+    const sections = {}
+    let cpu = 0
+    for (const s of Object.keys(PROFILE_SECTIONS)) {
+      sections[s] = { mean: mean(this.times[s]), max: max(this.times[s]) }
+      cpu += sections[s].mean
+    }
+    return {
+      hz: this.hz,
+      budgetMs: 1000 / this.hz,
+      frameMs: mean(this.intervals),
+      maxFrameMs: max(this.intervals),
+      cpuMs: cpu,
+      dropped: this.drops.reduce((s, d) => s + d.n, 0),
+      totalDropped: this.totalDropped,
+      quality: this.quality.name,
+      adaptive: this.adaptive,
+      sections,
+    }
+  }
+
+  /**
+   * Frames closed since the last call, for one recorded sample:
+   * { frames, dropped, maxFrameMs, quality }.
+   */
+  takeSample() {
+    const s = this.sample
+    const out = { frames: s.frames, dropped: s.dropped, maxFrameMs: round(s.maxFrameMs), quality: this.quality.name }
+    this.sample = { frames: 0, dropped: 0, maxFrameMs: 0 }
+    return out
+  }
+
+  /** start: the recorder's start time, on the performance clock (ms). */
+  startEpisode(start = performance.now()) {
+    this.episode = {
+      start,
+      frames: 0,
+      dropped: 0,
+      worstFrameMs: 0,
+      sums: perSection(() => 0),
+      max: perSection(() => 0),
+      quality: this.quality.name,
+      changes: [],
+    }
+    this.sample = { frames: 0, dropped: 0, maxFrameMs: 0 }
+  }
+
+  /**
+   * Timing summary for episode metadata: { hz, frames, dropped, worstFrameMs,
+   * adaptive, quality: { start, end, changes: [{ t, quality, reason }] },
+   * sections: { name: { meanMs, maxMs } } }; t in episode seconds.
+   */
+  endEpisode() {
+    const ep = this.episode
+    if (!ep) return null
+    this.episode = null
+    const sections = {}
+    for (const s of Object.keys(PROFILE_SECTIONS)) {
+      sections[s] = { meanMs: round(ep.frames ? ep.sums[s] / ep.frames : 0), maxMs: round(ep.max[s]) }
+    }
+    return {
+      hz: this.hz,
+      frames: ep.frames,
+      dropped: ep.dropped,
+      worstFrameMs: round(ep.worstFrameMs),
+      adaptive: this.adaptive,
+      quality: { start: ep.quality, end: this.quality.name, changes: ep.changes },
+      sections,
+    }
+  }
+}
@@ -0,0 +1,122 @@
+import * as THREE from 'three'
+
+/**
+ * Session commands, each a pinch of the thumb against one finger of the
+ * command hand, with the palm turned up. hold is how long (s) the pinch must
+ * be kept before the command fires; discarding takes longest.
+ */
+export const GESTURES = {
+  toggle_recording: { finger: 'index-finger-tip', hold: 0.6, label: 'index: rec / save' },
+  discard: { finger: 'middle-finger-tip', hold: 1.2, label: 'middle: discard' },
+  reset_scene: { finger: 'ring-finger-tip', hold: 0.8, label: 'ring: reset' },
+  next_scenario: { finger: 'pinky-finger-tip', hold: 0.8, label: 'pinky: next' },
+}
+
+const FINGERTIPS = Object.values(GESTURES).map(g => g.finger)
+// Thumb-to-fingertip distances (m): closed pinch, and fingers clearly apart
+const PINCH_CLOSED = 0.015
+const FINGER_OPEN = 0.04
+// Palm normal within this of straight up. Grasping is done palm down or
+// sideways, so objects are never held this way.
+const PALM_UP_COS = Math.cos(THREE.MathUtils.degToRad(35))
+// The wrist must be nearly still while a command is held (m/s)
+const MAX_WRIST_SPEED = 0.25
+// Longest frame gap (s) counted toward a hold
+const MAX_DT = 0.1
+
+const _up = new THREE.Vector3(0, 1, 0)
+const _normal = new THREE.Vector3()
+
+// WebXR wrist frame: -Z toward the fingers, +Y out of the back of the hand
+function palmUp(wrist) {
+  return _normal.set(0, -1, 0).applyQuaternion(wrist.quaternion).dot(_up) > PALM_UP_COS
+}
+
+// The single fingertip pinched against the thumb, or null
+function pinchedFinger(joints) {
+  const thumb = joints['thumb-tip']?.position
+  if (!thumb || FINGERTIPS.some(f => !joints[f])) return null
+  let pinched = null
+  for (const f of FINGERTIPS) {
+    const d = joints[f].position.distanceTo(thumb)
+    if (d < PINCH_CLOSED) {
+      if (pinched) return null
+      pinched = f
+    } else if (d < FINGER_OPEN) {
+      return null
+    }
+  }
+  return pinched
+}
+
+/**
+ * Recognises GESTURES on one hand from readXRJoints() output.
+ *
+ *   const gestures = new GestureRecognizer({ hand: 'left' })
+ *   gestures.subscribe(name => ...)       // fires once per completed hold
+ *   gestures.update(xrJoints, now, { busy })
+ *
+ * A command fires only after its pinch was held, palm up and still, for the
+ * whole hold time, and not again until the pinch is released. busy (e.g. the
+ * robot hand is touching something) cancels any hold in progress.
+ */
+export class GestureRecognizer {
+  constructor({ hand = 'left' } = {}) {
+    this.hand = hand
+    this.listeners = new Set()
+    this.pending = null
+    this.latched = false
+    this.prev = null
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /** Hold in progress as { name, progress 0..1 }, or null. */
+  get progress() {
+    if (!this.pending || this.latched) return null
+    const { name, held } = this.pending
+    return { name, progress: Math.min(1, held / GESTURES[name].hold) }
+  }
+
+  /** True from the start of a hold until the pinch is released, command fired or not. */
+  get active() {
+    return this.pending !== null
+  }
+
+  reset() {
+    this.pending = null
+    this.latched = false
+    this.prev = null
+  }
+
+  update(joints, now = performance.now(), { busy = false } = {}) {
+    const wrist = joints?.wrist
+    const t = now / 1000
+    const dt = this.prev ? t - this.prev.t : 0
+    const speed = wrist && dt > 0 ? wrist.position.distanceTo(this.prev.position) / dt : 0
+    this.prev = wrist ? { t, position: wrist.position.clone() } : null
+
+    const finger = wrist && !busy && speed <= MAX_WRIST_SPEED && palmUp(wrist) ? pinchedFinger(joints) : null
+    const name = finger && Object.keys(GESTURES).find(n => GESTURES[n].finger === finger)
+    if (!name) {
+      this.pending = null
+      this.latched = false
+      return
+    }
+    if (this.pending?.name !== name) {
+      this.pending = { name, held: 0 }
+      this.latched = false
+      return
+    }
+    if (this.latched) return
+
+    this.pending.held += Math.min(dt, MAX_DT)
+    if (this.pending.held >= GESTURES[name].hold) {
+      this.latched = true
+      for (const l of this.listeners) l(name)
+    }
+  }
+}
@@ -0,0 +1,142 @@
+import * as THREE from 'three'
+import { XR_JOINT_NAMES } from '../constants/kinematics.js'
+
+// Floats per joint in a raw hand frame: position, quaternion, radius
+export const HAND_JOINT_STRIDE = 8
+export const HAND_JOINT_FIELDS = ['x', 'y', 'z', 'qx', 'qy', 'qz', 'qw', 'radius']
+// Per controller: grip pose, then the xr-standard trigger and squeeze values
+export const CONTROLLER_FIELDS = ['x', 'y', 'z', 'qx', 'qy', 'qz', 'qw', 'trigger', 'squeeze']
+
+/**
+ * Raw operator input, read once per XR frame: every XR_JOINT_NAMES joint of
+ * both hands with position, orientation and radius, the grip pose and
+ * analog inputs of held controllers, and the metadata of every XR input
+ * source. Control reads the pooled state returned by read(); everything
+ * else subscribes and gets a frame it may keep:
+ *
+ *   { t,                             performance.now() (ms) of the read
+ *     left, right,                   Float32Array(XR_JOINT_NAMES × HAND_JOINT_STRIDE),
+ *                                    NaN where a joint has no pose, or null for no hand
+ *     controllers: { left, right },  Float32Array(CONTROLLER_FIELDS) or null
+ *     sources: [{ handedness, targetRayMode, profiles, hand, gamepad }] }
+ *
+ * Poses are in the XR reference space, not the world group's frame.
+ */
+export class HandInputTap {
+  constructor() {
+    this.pool = { left: {}, right: {} }
+    this.controllerPool = { left: controllerState(), right: controllerState() }
+    this.sourceInfo = new WeakMap()
+    this.latest = null
+    this.listeners = new Set()
+  }
+
+  /** listener(frame) after every read. Returns an unsubscribe function. */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * Reads the input for this frame. Returns { hands, controllers }, each
+   * { left, right } and null for a side without one: hands map joint name →
+   * { position, quaternion, radius }; controllers are { grip: { position,
+   * quaternion }, trigger, squeeze, source }. Both are reused every frame:
+   * readers copy what they keep.
+   */
+  read(xrFrame, session, refSpace, now = performance.now()) {
+    const hands = { left: null, right: null }
+    const controllers = { left: null, right: null }
+    const frame = { t: now, left: null, right: null, controllers: { left: null, right: null }, sources: [] }
+    for (const source of session.inputSources) {
+      frame.sources.push(this.describe(source))
+      const side = source.handedness
+      if (side !== 'left' && side !== 'right') continue
+      if (source.hand) {
+        hands[side] = readXRJoints(xrFrame, source, refSpace, this.pool[side])
+        frame[side] = packHand(hands[side])
+      } else if (source.gripSpace && source.gamepad) {
+        controllers[side] = readController(xrFrame, source, refSpace, this.controllerPool[side])
+        frame.controllers[side] = controllers[side] && packController(controllers[side])
+      }
+    }
+    this.latest = frame
+    for (const l of this.listeners) l(frame)
+    return { hands, controllers }
+  }
+
+  // Input sources are stable objects for the session; their metadata is built once
+  describe(source) {
+    let info = this.sourceInfo.get(source)
+    if (!info) {
+      info = {
+        handedness: source.handedness,
+        targetRayMode: source.targetRayMode,
+        profiles: [...(source.profiles ?? [])],
+        hand: !!source.hand,
+        gamepad: !!source.gamepad,
+      }
+      this.sourceInfo.set(source, info)
+    }
+    return info
+  }
+}
+
+// Joint poses are written into the side's pool, reused every frame
+function readXRJoints(xrFrame, source, refSpace, pool) {
+  const joints = {}
+  for (const name of XR_JOINT_NAMES) {
+    const space = source.hand.get(name)
+    if (!space) continue
+    const pose = xrFrame.getJointPose(space, refSpace)
+    if (!pose) continue
+    const p = pose.transform.position
+    const o = pose.transform.orientation
+    const j = pool[name] ?? (pool[name] = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), radius: 0 })
+    j.position.set(p.x, p.y, p.z)
+    j.quaternion.set(o.x, o.y, o.z, o.w)
+    j.radius = pose.radius ?? 0
+    joints[name] = j
+  }
+  return joints
+}
+
+function controllerState() {
+  return { grip: { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() }, trigger: 0, squeeze: 0, source: null }
+}
+
+// xr-standard mapping: button 0 is the trigger, button 1 the grip
+function readController(xrFrame, source, refSpace, state) {
+  const pose = xrFrame.getPose(source.gripSpace, refSpace)
+  if (!pose) return null
+  const p = pose.transform.position
+  const o = pose.transform.orientation
+  state.grip.position.set(p.x, p.y, p.z)
+  state.grip.quaternion.set(o.x, o.y, o.z, o.w)
+  state.trigger = source.gamepad.buttons[0]?.value ?? 0
+  state.squeeze = source.gamepad.buttons[1]?.value ?? 0
+  state.source = source
+  return state
+}
+
+function packController(c) {
+  const out = new Float32Array(CONTROLLER_FIELDS.length)
+  c.grip.position.toArray(out, 0)
+  c.grip.quaternion.toArray(out, 3)
+  out[7] = c.trigger
+  out[8] = c.squeeze
+  return out
+}
+
+function packHand(joints) {
+  const out = new Float32Array(XR_JOINT_NAMES.length * HAND_JOINT_STRIDE).fill(NaN)
+  XR_JOINT_NAMES.forEach((name, i) => {
+    const j = joints[name]
+    if (!j) return
+    const o = i * HAND_JOINT_STRIDE
+    j.position.toArray(out, o)
+    j.quaternion.toArray(out, o + 3)
+    out[o + 7] = j.radius
+  })
+  return out
+}
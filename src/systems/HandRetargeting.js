@@ -7,29 +7,75 @@ function clamp(v, min, max) {
   return Math.max(min, Math.min(max, v))
 }
 
-function measureCurl(metacarpal, proximal, tip) {
+// Tip distance over finger length: ~0.92 straight, lower as the finger curls
+function curlRatio(metacarpal, proximal, tip) {
   const len = metacarpal.distanceTo(proximal) + proximal.distanceTo(tip)
-  if (len < 0.001) return 0
-  return clamp((0.92 - metacarpal.distanceTo(tip) / len) / 0.35, 0, 1)
+  if (len < 0.001) return null
+  return metacarpal.distanceTo(tip) / len
 }
 
-function measureJointBend(A, B, C) {
+// Bend at B in radians, 0 when A-B-C is straight
+function jointBend(A, B, C) {
   _v0.copy(A).sub(B).normalize()
   _v1.copy(C).sub(B).normalize()
-  return clamp((Math.PI - Math.acos(clamp(_v0.dot(_v1), -1, 1))) / (Math.PI * 0.35), 0, 1)
+  return Math.PI - Math.acos(clamp(_v0.dot(_v1), -1, 1))
 }
 
 /**
- * Maps Quest 3 hand joints to normalized Dex 3.1 curl/abduction factors.
- * Output is 0-1 normalized; the caller maps to actual URDF joint limits.
+ * Hand retargeting modes, selectable at runtime: 'curl' measures each finger
+ * on its own (retargetHand), 'vector' fits the Dex3 fingertip vectors to the
+ * operator's (VectorRetargeter), which closes pinches more precisely.
  */
-export function retargetHand(joints) {
-  const result = {
-    thumb:  { abduction: 0, curl: [0, 0] },
-    index:  { curl: [0, 0] },
-    middle: { curl: [0, 0] },
-  }
-  if (!joints) return result
+export const RETARGET_MODES = { curl: 'finger curl', vector: 'pinch vectors' }
+export const DEFAULT_RETARGET_MODE = 'curl'
+
+// Frame correction: WebXR wrist has -Z=fingers, +Y=back-of-hand.
+// URDF palm has +X=fingers. Left palm faces -Y, right palm faces +Y
+// (confirmed by mirrored finger curl limits in the URDF).
+// Left:  Ry(π/2) aligns fingers (-Z→+X) and keeps Y axis.
+// Right: Rz(π)·Ry(π/2) also flips the palm normal axis.
+export const XR_TO_URDF = {
+  left: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2),
+  right: new THREE.Quaternion().multiplyQuaternions(
+    new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.PI),
+    new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2),
+  ),
+}
+
+/** Dex 3.1 DoFs in HAND_JOINTS / packRetarget order. */
+export const RETARGET_DOFS = [
+  'thumb_abduction', 'thumb_curl_0', 'thumb_curl_1',
+  'middle_curl_0', 'middle_curl_1', 'index_curl_0', 'index_curl_1',
+]
+
+// Thumb bends have a smaller range than the fingers': full curl at 1/1.5 of theirs
+const FINGER_BEND = Math.PI * 0.35
+const THUMB_BEND = FINGER_BEND / 1.5
+
+/**
+ * Hand measurement → normalized DoF value, per DoF: `open` maps to 0 and
+ * `closed` to 1 (thumb abduction: relaxed → 0, stretched out → 1, and down to
+ * -1 when tucked in). These fit an average hand; RetargetCalibration fits
+ * them per operator.
+ */
+export const DEFAULT_RANGES = {
+  thumb_abduction: { open: 0.9, closed: 1.55 },
+  thumb_curl_0: { open: 0, closed: THUMB_BEND },
+  thumb_curl_1: { open: 0, closed: THUMB_BEND },
+  middle_curl_0: { open: 0.92, closed: 0.57 },
+  middle_curl_1: { open: 0, closed: FINGER_BEND },
+  index_curl_0: { open: 0.92, closed: 0.57 },
+  index_curl_1: { open: 0, closed: FINGER_BEND },
+}
+
+/**
+ * Raw geometric measurements behind each DoF, in RETARGET_DOFS order: thumb
+ * abduction angle (rad), thumb joint bends (rad), and per finger the curl
+ * ratio and distal bend (rad). null where joints are missing.
+ */
+export function measureHand(joints) {
+  const m = new Array(RETARGET_DOFS.length).fill(null)
+  if (!joints) return m
 
   const get = (name) => joints[name]?.position
 
@@ -47,20 +93,17 @@ export function retargetHand(joints) {
   if (wrist && thumbMeta && thumbProx && thumbDist && thumbTip && indexMeta && indexProx) {
     _v0.copy(thumbProx).sub(thumbMeta).normalize()
     _v1.copy(indexProx).sub(indexMeta).normalize()
-    const angle = Math.acos(clamp(_v0.dot(_v1), -1, 1))
-    result.thumb.abduction = clamp((angle - 0.9) / 0.65, -1, 1)
-
-    // Thumb curl: direct joint bend measurement (×1.5 compensates for thumb's smaller flex range)
-    result.thumb.curl[0] = clamp(measureJointBend(thumbMeta, thumbProx, thumbDist) * 1.5, 0, 1)
-    result.thumb.curl[1] = clamp(measureJointBend(thumbProx, thumbDist, thumbTip) * 1.5, 0, 1)
+    m[0] = Math.acos(clamp(_v0.dot(_v1), -1, 1))
+    m[1] = jointBend(thumbMeta, thumbProx, thumbDist)
+    m[2] = jointBend(thumbProx, thumbDist, thumbTip)
   }
 
   // Index finger
   const indexMid  = get('index-finger-phalanx-intermediate')
   const indexDist = get('index-finger-phalanx-distal')
   if (indexMeta && indexProx && indexMid && indexDist && indexTip) {
-    result.index.curl[0] = measureCurl(indexMeta, indexProx, indexTip)
-    result.index.curl[1] = measureJointBend(indexMid, indexDist, indexTip)
+    m[5] = curlRatio(indexMeta, indexProx, indexTip)
+    m[6] = jointBend(indexMid, indexDist, indexTip)
   }
 
   // Middle finger
@@ -69,11 +112,30 @@ export function retargetHand(joints) {
   const middleDist = get('middle-finger-phalanx-distal')
   const middleTip  = get('middle-finger-tip')
   if (middleMeta && middleProx && middleMid && middleDist && middleTip) {
-    result.middle.curl[0] = measureCurl(middleMeta, middleProx, middleTip)
-    result.middle.curl[1] = measureJointBend(middleMid, middleDist, middleTip)
+    m[3] = curlRatio(middleMeta, middleProx, middleTip)
+    m[4] = jointBend(middleMid, middleDist, middleTip)
   }
 
-  return result
+  return m
+}
+
+/**
+ * Maps Quest 3 hand joints to normalized Dex 3.1 curl/abduction factors.
+ * Output is 0-1 normalized; the caller maps to actual URDF joint limits.
+ * ranges: per-DoF { open, closed } (DEFAULT_RANGES or an operator's profile).
+ */
+export function retargetHand(joints, ranges = DEFAULT_RANGES) {
+  const m = measureHand(joints)
+  const v = (i, lo = 0) => {
+    if (m[i] === null) return 0
+    const { open, closed } = ranges[RETARGET_DOFS[i]]
+    return clamp((m[i] - open) / (closed - open), lo, 1)
+  }
+  return {
+    thumb:  { abduction: v(0, -1), curl: [v(1), v(2)] },
+    index:  { curl: [v(5), v(6)] },
+    middle: { curl: [v(3), v(4)] },
+  }
 }
 
 export class RetargetingFilter {
@@ -105,3 +167,30 @@ export class RetargetingFilter {
 
   reset() { this.last = null }
 }
+
+/**
+ * Flattens a retargeting result into HAND_JOINTS order
+ * (thumb abduction, thumb curl ×2, middle curl ×2, index curl ×2).
+ */
+export function packRetarget(data, out = new Array(7)) {
+  out[0] = data.thumb.abduction
+  out[1] = data.thumb.curl[0]
+  out[2] = data.thumb.curl[1]
+  out[3] = data.middle.curl[0]
+  out[4] = data.middle.curl[1]
+  out[5] = data.index.curl[0]
+  out[6] = data.index.curl[1]
+  return out
+}
+
+/**
+ * Joint angle for a normalized DoF value (dof: index in HAND_JOINTS order).
+ * Thumb abduction spans ± the smaller of its limits; curls run from 0 to the
+ * limit on the closing side.
+ */
+export function handJointAngle(joint, dof, value) {
+  if (!joint?.limit) return 0
+  const { lower, upper } = joint.limit
+  if (dof === 0) return clamp(value * Math.min(Math.abs(lower), Math.abs(upper)), lower, upper)
+  return Math.abs(lower) > Math.abs(upper) ? lower * value : upper * value
+}
@@ -0,0 +1,46 @@
+import { solveCCDIK, IK_ITERATIONS } from './CCDIK.js'
+import { solveDLS, solveDLSIK, DLS_ITERATIONS } from './DLSIK.js'
+import { ARM_CHAIN, HAND_LINK, WAIST_CHAIN } from '../constants/kinematics.js'
+
+/**
+ * Interchangeable arm IK solvers. Every solver takes
+ * (joints, endEffector, targetPos, targetQuat, iterations) and writes the
+ * joint angles in place.
+ */
+export const IK_SOLVERS = {
+  ccd: { solve: solveCCDIK, iterations: IK_ITERATIONS },
+  dls: { solve: solveDLSIK, iterations: DLS_ITERATIONS },
+}
+
+export const DEFAULT_IK_SOLVER = 'ccd'
+
+export function getIKSolver(name) {
+  return IK_SOLVERS[name] ?? IK_SOLVERS[DEFAULT_IK_SOLVER]
+}
+
+/**
+ * Whole-upper-body mode: waist and both arm chains in one problem, since the
+ * arms share the waist. solve(joints, tasks, iterations) with tasks
+ * [{ end, position, quaternion }]; see solveDLS.
+ */
+export const UPPER_BODY_IK = { name: 'dls_upper_body', solve: solveDLS, iterations: DLS_ITERATIONS }
+
+/**
+ * Sets up a whole-upper-body solve for the given wrist targets
+ * ({ left, right }, each { position, quaternion } or null). `joints` is the
+ * fixed WAIST_CHAIN + left arm + right arm layout used for seeds and recorded
+ * solutions; `active` leaves out arms without a target so they hold still.
+ */
+export function upperBodyProblem(robot, targets) {
+  const chain = names => names.map(n => robot.joints?.[n])
+  const waist = chain(WAIST_CHAIN)
+  const joints = [...waist, ...chain(ARM_CHAIN.left), ...chain(ARM_CHAIN.right)]
+  if (joints.some(j => !j)) return null
+  const sides = ['left', 'right'].filter(s => targets[s] && robot.links?.[HAND_LINK[s]])
+  return {
+    joints,
+    sides,
+    active: [...waist, ...sides.flatMap(s => chain(ARM_CHAIN[s]))],
+    tasks: sides.map(s => ({ end: robot.links[HAND_LINK[s]], ...targets[s] })),
+  }
+}
@@ -0,0 +1,211 @@
+import * as THREE from 'three'
+
+// Servo model that sits between the IK output and setJointValue, so recorded
+// joint trajectories respect what the G1's actuators can do. urdf-loader only
+// keeps position limits; velocity, effort and link masses are read from the
+// URDF text with parseDynamics().
+//
+// mode 'limited' (default): move toward the target as fast as the velocity
+//   limit and the effort-limited acceleration allow, braking in time to stop
+//   on the target.
+// mode 'pd': simulate a gravity-compensated PD servo (kp, kd per joint),
+//   integrated at SERVO_DT.
+//
+// In both modes the motor torque, gravity compensation included, is
+// saturated at the effort limit. What is left for acceleration depends on
+// the direction: gravity helps one way and resists the other, so a joint at
+// its holding limit can still hold or move with gravity.
+
+const GRAVITY = 9.81
+// Reflected rotor inertia added to every joint (kg·m²); keeps wrist joints,
+// which carry almost no link mass, from getting unbounded acceleration
+const ARMATURE = 0.01
+const SERVO_DT = 0.001
+// Gaps longer than this (tracking lost, tab hidden) restart from rest
+const STALE_S = 0.1
+const MAX_DT = 0.05
+
+// Gains used by Unitree's G1 arm controller (xr_teleoperate)
+const PD_GAINS = {
+  default: { kp: 80, kd: 3 },
+  wrist: { kp: 40, kd: 1.5 },
+}
+
+const _axis = new THREE.Vector3()
+const _origin = new THREE.Vector3()
+const _com = new THREE.Vector3()
+const _r = new THREE.Vector3()
+const _q = new THREE.Quaternion()
+
+function parseVec(attr) {
+  return attr ? attr.trim().split(/\s+/).map(Number) : [0, 0, 0]
+}
+
+/**
+ * Reads what urdf-loader drops: joint velocity/effort limits and link
+ * inertials. Returns { joints: { name: { velocity, effort } },
+ * links: { name: { mass, com: [x, y, z] } } }.
+ */
+export function parseDynamics(urdfText) {
+  const doc = new DOMParser().parseFromString(urdfText, 'text/xml')
+  const joints = {}
+  const links = {}
+
+  for (const j of doc.querySelectorAll('robot > joint')) {
+    const limit = j.querySelector('limit')
+    if (!limit) continue
+    joints[j.getAttribute('name')] = {
+      velocity: parseFloat(limit.getAttribute('velocity')) || Infinity,
+      effort: parseFloat(limit.getAttribute('effort')) || Infinity,
+    }
+  }
+
+  for (const l of doc.querySelectorAll('robot > link')) {
+    const inertial = l.querySelector('inertial')
+    const mass = parseFloat(inertial?.querySelector('mass')?.getAttribute('value'))
+    if (!mass) continue
+    links[l.getAttribute('name')] = { mass, com: parseVec(inertial.querySelector('origin')?.getAttribute('xyz')) }
+  }
+
+  return { joints, links }
+}
+
+function subtreeLinks(joint, dynamics) {
+  const out = []
+  joint.traverse((o) => {
+    const d = o.isURDFLink && dynamics.links[o.name]
+    if (d) out.push({ link: o, mass: d.mass, com: new THREE.Vector3().fromArray(d.com) })
+  })
+  return out
+}
+
+/**
+ * Per-joint servo for one kinematic chain.
+ *
+ *   const ctrl = new JointController(chain, robot.userData.dynamics, { mode: 'pd' })
+ *   ctrl.update(ikTargets, performance.now())   // writes joint angles
+ *
+ * Joint angles are read back from the joints each update, so anything else
+ * that moves them (replay, resets) is picked up; only velocity is internal.
+ */
+export class JointController {
+  constructor(joints, dynamics, { mode = 'limited', gains = PD_GAINS } = {}) {
+    this.joints = joints
+    this.mode = mode
+    this.states = joints.map((j) => {
+      const d = dynamics?.joints?.[j.name] ?? {}
+      const g = /wrist/.test(j.name) ? gains.wrist : gains.default
+      return {
+        velocityLimit: d.velocity ?? Infinity,
+        effortLimit: d.effort ?? Infinity,
+        kp: g.kp,
+        kd: g.kd,
+        links: dynamics ? subtreeLinks(j, dynamics) : [],
+        qd: 0,
+      }
+    })
+    this.lastTime = null
+  }
+
+  reset() {
+    this.halt()
+    this.lastTime = null
+  }
+
+  /** Zeroes joint velocities, e.g. after the chain was moved from outside. */
+  halt() {
+    for (const s of this.states) s.qd = 0
+  }
+
+  /** Effective inertia about the joint axis and gravity torque, in the current pose. */
+  loadAt(i) {
+    const joint = this.joints[i]
+    const s = this.states[i]
+    joint.getWorldPosition(_origin)
+    joint.getWorldQuaternion(_q)
+    _axis.copy(joint.axis).applyQuaternion(_q).normalize()
+
+    let inertia = ARMATURE
+    let gravity = 0
+    for (const { link, mass, com } of s.links) {
+      link.localToWorld(_com.copy(com))
+      _r.subVectors(_com, _origin)
+      const along = _r.dot(_axis)
+      inertia += mass * (_r.lengthSq() - along * along)
+      // τ = (r × m·g)·axis with g = (0, -GRAVITY, 0)
+      gravity += mass * GRAVITY * (_r.z * _axis.x - _r.x * _axis.z)
+    }
+    return { inertia, gravity }
+  }
+
+  /**
+   * Moves each joint toward targets[i] over the real time elapsed since the
+   * last call. Returns the angles written to the joints.
+   */
+  update(targets, now) {
+    let dt = this.lastTime === null ? 0 : (now - this.lastTime) / 1000
+    this.lastTime = now
+    if (dt > STALE_S) {
+      for (const s of this.states) s.qd = 0
+      dt = 0
+    }
+    dt = Math.min(dt, MAX_DT)
+
+    const out = new Array(this.joints.length)
+    this.joints.forEach((joint, i) => {
+      const s = this.states[i]
+      const q0 = joint.angle || 0
+      if (dt === 0 || !joint.setJointValue) { out[i] = q0; return }
+
+      const { inertia, gravity } = this.loadAt(i)
+      // Net torque on the joint is motor + gravity with |motor| ≤ effort
+      const low = gravity - s.effortLimit
+      const high = gravity + s.effortLimit
+      const target = clampToLimits(joint, targets[i])
+
+      const q = this.mode === 'pd'
+        ? this.stepPD(s, q0, target, dt, inertia, low, high)
+        : this.stepLimited(s, q0, target, dt, low / inertia, high / inertia)
+
+      joint.setJointValue(q)
+      const applied = joint.angle || 0
+      if (applied !== q) s.qd = 0
+      out[i] = applied
+    })
+    return out
+  }
+
+  // aLow ≤ acceleration ≤ aHigh, from the torque window in update()
+  stepLimited(s, q, target, dt, aLow, aHigh) {
+    const err = target - q
+    const dist = Math.abs(err)
+    // Braking toward the target takes the acceleration against the motion
+    const dv = Math.max(0, err > 0 ? -aLow : aHigh) * dt
+    // Fastest speed that still brakes to rest at the target in whole steps of dt
+    const brake = dv === Infinity ? Infinity
+      : dv > 0 ? dv * (Math.sqrt(0.25 + (2 * dist) / (dv * dt)) - 0.5) : 0
+    const reach = Math.min(dist / dt, s.velocityLimit, brake)
+    const desired = Math.sign(err) * reach
+    s.qd = Math.max(s.qd + aLow * dt, Math.min(s.qd + aHigh * dt, desired))
+    return q + s.qd * dt
+  }
+
+  // The PD term is the torque beyond gravity compensation; low..high is the
+  // net torque window from update()
+  stepPD(s, q, target, dt, inertia, low, high) {
+    const steps = Math.ceil(dt / SERVO_DT)
+    const h = dt / steps
+    for (let k = 0; k < steps; k++) {
+      const tau = Math.max(low, Math.min(high, s.kp * (target - q) - s.kd * s.qd))
+      s.qd += (tau / inertia) * h
+      s.qd = Math.max(-s.velocityLimit, Math.min(s.velocityLimit, s.qd))
+      q += s.qd * h
+    }
+    return q
+  }
+}
+
+function clampToLimits(joint, v) {
+  if (!joint.limit || joint.jointType === 'continuous') return v
+  return Math.max(joint.limit.lower, Math.min(joint.limit.upper, v))
+}
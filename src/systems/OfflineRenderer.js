@@ -0,0 +1,172 @@
+import * as THREE from 'three'
+import { loadRobotModel, ROBOT_BASE_QUAT } from './RobotModel.js'
+import { RobotCameras, CAMERA_MOUNTS } from './RobotCameras.js'
+import { EpisodePlayer } from './EpisodePlayer.js'
+import { seededRandom } from './SeededRandom.js'
+import { getScenario } from '../scenarios/index.js'
+import { TABLE_BOXES } from '../scenarios/Table.jsx'
+
+// Ranges sampled per seed
+const SUN_ELEVATION = [THREE.MathUtils.degToRad(25), THREE.MathUtils.degToRad(85)]
+const SUN_INTENSITY = [1, 6]
+const AMBIENT_INTENSITY = [0.3, 2.5]
+// Objects keep their identifying colour: only small hue/lightness shifts
+const OBJECT_HUE_JITTER = 0.03
+const OBJECT_LIGHTNESS_JITTER = 0.1
+
+function range(random, [lo, hi]) {
+  return lo + (hi - lo) * random()
+}
+
+function boxMesh({ position, size, color, roughness = 0.7, opacity = 1 }) {
+  const mesh = new THREE.Mesh(
+    new THREE.BoxGeometry(...size),
+    new THREE.MeshStandardMaterial({ color, roughness, transparent: opacity < 1, opacity }),
+  )
+  mesh.position.fromArray(position)
+  mesh.userData.baseColor = color
+  return mesh
+}
+
+function objectMesh(def) {
+  const geometry = def.shape === 'ball'
+    ? new THREE.SphereGeometry(def.radius, 20, 14)
+    : new THREE.BoxGeometry(def.size, def.size, def.size)
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color: def.color, ...def.material }))
+  mesh.userData.baseColor = def.color
+  return mesh
+}
+
+function jitterColor(mesh, random) {
+  const hsl = {}
+  new THREE.Color(mesh.userData.baseColor).getHSL(hsl)
+  mesh.material.color.setHSL(
+    (hsl.h + (random() * 2 - 1) * OBJECT_HUE_JITTER + 1) % 1,
+    THREE.MathUtils.clamp(hsl.s * range(random, [0.8, 1.2]), 0, 1),
+    THREE.MathUtils.clamp(hsl.l + (random() * 2 - 1) * OBJECT_LIGHTNESS_JITTER, 0.05, 0.95),
+  )
+}
+
+/**
+ * Re-renders a recorded episode through the robot cameras, headless.
+ *
+ * The scene is rebuilt from the episode's scenario (table, fixtures, objects)
+ * and driven by the logged joint angles, base pose and object poses; nothing
+ * is simulated. randomize(seed) resamples lighting, table/floor/object
+ * materials and the background, deterministically per seed.
+ */
+export class OfflineRenderer {
+  constructor({ width = 320, height = 240, cameras = Object.keys(CAMERA_MOUNTS) } = {}) {
+    this.width = width
+    this.height = height
+    this.cameraNames = cameras
+    this.renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true })
+    this.renderer.setPixelRatio(1)
+    this.renderer.setSize(width, height, false)
+    this.renderer.toneMapping = THREE.NoToneMapping
+    this.cams = new RobotCameras({ width, height })
+    this.player = new EpisodePlayer()
+    this.scene = new THREE.Scene()
+    this.rig = new THREE.Group()
+    this.objects = {}
+    this.robot = null
+  }
+
+  async load(episode, { baseUrl, meshFormat = 'manifest' }) {
+    this.player.load(episode)
+    this.robot = await loadRobotModel(baseUrl, { meshFormat })
+    this.robot.quaternion.copy(ROBOT_BASE_QUAT)
+    // Standing height used by URDFRobot, for episodes that logged no base pose
+    this.rig.position.y = 0.75
+    this.rig.add(this.robot)
+    this.scene.add(this.rig)
+
+    this.sun = new THREE.DirectionalLight('#ffffff', 4)
+    this.ambient = new THREE.AmbientLight('#ffffff', 2)
+    this.hemi = new THREE.HemisphereLight('#aaccee', '#555555', 1.5)
+    this.scene.add(this.sun, this.sun.target, this.ambient, this.hemi)
+
+    this.floor = new THREE.Mesh(new THREE.PlaneGeometry(30, 30), new THREE.MeshStandardMaterial({ color: '#3a4a5a', roughness: 0.9 }))
+    this.floor.rotation.x = -Math.PI / 2
+    this.floor.position.y = -0.01
+    this.scene.add(this.floor)
+
+    const scenario = getScenario(episode.metadata?.scenario)
+    this.table = TABLE_BOXES.map(boxMesh)
+    this.fixtures = (scenario.fixtureBoxes ?? []).map(boxMesh)
+    this.scene.add(...this.table, ...this.fixtures)
+    for (const def of scenario.objects) {
+      this.objects[def.id] = objectMesh(def)
+      this.scene.add(this.objects[def.id])
+    }
+    this.scene.background = new THREE.Color('#607080')
+  }
+
+  get frameCount() { return this.player.frameCount }
+
+  /** Resamples the scene's appearance; returns the sampled parameters. */
+  randomize(seed) {
+    const random = seededRandom(seed)
+    const azimuth = random() * Math.PI * 2
+    const elevation = range(random, SUN_ELEVATION)
+    this.sun.position.set(
+      Math.cos(elevation) * Math.cos(azimuth),
+      Math.sin(elevation),
+      Math.cos(elevation) * Math.sin(azimuth),
+    ).multiplyScalar(10)
+    this.sun.intensity = range(random, SUN_INTENSITY)
+    this.sun.color.setHSL(range(random, [0.05, 0.15]), range(random, [0, 0.4]), 0.9)
+    this.ambient.intensity = range(random, AMBIENT_INTENSITY)
+    this.hemi.intensity = range(random, AMBIENT_INTENSITY)
+
+    const tableColor = new THREE.Color().setHSL(random(), range(random, [0.1, 0.6]), range(random, [0.2, 0.7]))
+    const tableRoughness = range(random, [0.3, 0.95])
+    for (const m of this.table) {
+      m.material.color.copy(tableColor)
+      m.material.roughness = tableRoughness
+    }
+    for (const m of Object.values(this.objects)) {
+      jitterColor(m, random)
+      m.material.roughness = range(random, [0.15, 0.9])
+      m.material.metalness = range(random, [0, 0.3])
+    }
+    for (const m of this.fixtures) jitterColor(m, random)
+
+    this.floor.material.color.setHSL(random(), range(random, [0, 0.4]), range(random, [0.1, 0.6]))
+    this.scene.background.setHSL(random(), range(random, [0, 0.5]), range(random, [0.15, 0.85]))
+
+    return {
+      seed,
+      sun: { azimuth, elevation, intensity: this.sun.intensity, color: '#' + this.sun.color.getHexString() },
+      ambient: this.ambient.intensity,
+      hemisphere: this.hemi.intensity,
+      table: { color: '#' + tableColor.getHexString(), roughness: tableRoughness },
+      objects: Object.fromEntries(Object.entries(this.objects).map(([id, m]) => [id, '#' + m.material.color.getHexString()])),
+      floor: '#' + this.floor.material.color.getHexString(),
+      background: '#' + this.scene.background.getHexString(),
+    }
+  }
+
+  /** Poses the scene at sample i and renders each camera; returns { name: PNG data URL }. */
+  renderFrame(i) {
+    this.player.seek(i)
+    this.player.apply(this.robot, { base: this.rig })
+    const sample = this.player.episode.samples[this.player.frame]
+    for (const [id, mesh] of Object.entries(this.objects)) {
+      const pose = sample.objects?.[id]
+      mesh.visible = !!pose
+      if (!pose) continue
+      mesh.position.fromArray(pose, 0)
+      mesh.quaternion.fromArray(pose, 3)
+    }
+    this.scene.updateMatrixWorld(true)
+    this.cams.place(this.robot)
+
+    const images = {}
+    for (const name of this.cameraNames) {
+      this.renderer.render(this.scene, this.cams.cameras[name])
+      images[name] = this.renderer.domElement.toDataURL('image/png')
+    }
+    return images
+  }
+}
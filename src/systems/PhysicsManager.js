@@ -1,4 +1,5 @@
 import * as THREE from 'three'
+import { FINGERTIP_LINKS } from '../constants/kinematics.js'
 
 const ARM_PREFIXES = [
   'left_shoulder_pitch', 'left_shoulder_roll', 'left_shoulder_yaw',
@@ -14,10 +15,29 @@ const SKIP_LINKS = new Set([
   'logo_link', 'waist_support_link',
 ])
 
-const ARM_GROUP = 0x0001
-const BODY_GROUP = 0x0002
+// Link pairs never checked for self-collision besides parent and child links:
+// ones that touch in the zero pose by construction. The G1's hulls need none;
+// initSelfCollision warns about pairs that would belong here.
+const SELF_COLLISION_ALLOWED = []
+
+const ROBOT_GROUP = 0x0001
+const SCENE_GROUP = 0x0004
 const MAX_COLLIDER_VERTS = 512
 
+// Scene objects are members of SCENE_GROUP and collide with everything.
+// Robot links only interact with SCENE_GROUP in the simulation; self-collision
+// between robot links is checked explicitly with selfCollides().
+export const SCENE_COLLISION_GROUPS = (SCENE_GROUP << 16) | 0xFFFF
+
+// Dex3 pads are rubber: high friction, and the higher coefficient wins
+// against whatever the object uses, so grasps hold through friction alone.
+const HAND_FRICTION = 1.2
+// Contact prediction distance for hand bodies, so a finger that moves several
+// millimetres in one step still meets the object instead of passing through it.
+const HAND_SOFT_CCD = 0.01
+// Cap on contact points kept per step for display
+const MAX_CONTACT_POINTS = 64
+
 const _pos = new THREE.Vector3()
 const _quat = new THREE.Quaternion()
 
@@ -25,13 +45,70 @@ function isArmLink(name) {
   return ARM_PREFIXES.some(p => name.startsWith(p))
 }
 
+function isHandLink(name) {
+  return name.startsWith('left_hand_') || name.startsWith('right_hand_')
+}
+
+function sideOf(name) {
+  return name.startsWith('left_') ? 'left' : name.startsWith('right_') ? 'right' : null
+}
+
+function boundingSphere(verts) {
+  const box = new THREE.Box3().setFromArray(verts)
+  const center = box.getCenter(new THREE.Vector3())
+  let r2 = 0
+  for (let i = 0; i < verts.length; i += 3) {
+    r2 = Math.max(r2, _pos.set(verts[i], verts[i + 1], verts[i + 2]).distanceToSquared(center))
+  }
+  return { center, radius: Math.sqrt(r2) }
+}
+
+// Like link.traverse, but stops at child joints: a link's hull covers only its
+// own meshes, not everything further down the chain.
+function traverseOwnMeshes(link, fn) {
+  for (const child of link.children) {
+    if (child.isURDFJoint) continue
+    fn(child)
+    traverseOwnMeshes(child, fn)
+  }
+}
+
+// Nearest ancestor of a link in the URDF tree that has colliders
+function parentLink(robot, name, entries) {
+  let o = robot.links[name]?.parent
+  while (o && !(o.isURDFLink && entries.has(o.name))) o = o.parent
+  return o?.name ?? null
+}
+
+function concat(arrays) {
+  if (arrays.length === 1) return arrays[0]
+  const out = new Float32Array(arrays.reduce((n, a) => n + a.length, 0))
+  let o = 0
+  for (const a of arrays) { out.set(a, o); o += a.length }
+  return out
+}
+
+// Whether any hull of link entry a is within dist of any hull of b;
+// penetrating requires actual overlap
+function touching(a, b, dist, penetrating = false) {
+  for (const ca of a.colliders) {
+    for (const cb of b.colliders) {
+      const contact = ca.contactCollider(cb, dist)
+      if (contact && (!penetrating || contact.distance < 0)) return true
+    }
+  }
+  return false
+}
+
+// Fallback when the robot was loaded without precomputed hulls: one hull over
+// every Nth vertex of the link's meshes
 function extractSubsampledVertices(link, maxVerts) {
   const raw = []
   const linkInv = new THREE.Matrix4()
   link.updateWorldMatrix(true, false)
   linkInv.copy(link.matrixWorld).invert()
 
-  link.traverse((child) => {
+  traverseOwnMeshes(link, (child) => {
     if (!child.isMesh || !child.geometry) return
     const posAttr = child.geometry.attributes.position
     if (!posAttr) return
@@ -60,64 +137,216 @@ function extractSubsampledVertices(link, maxVerts) {
   return new Float32Array(sampled)
 }
 
+/**
+ * Link name → convex hulls (Float32Arrays of link-frame points) for every
+ * link that gets a collider: robot.userData.collisionHulls where present,
+ * else one hull over subsampled mesh vertices. Also what the simulation
+ * worker gets in place of the meshes.
+ */
+export function collisionHulls(robot) {
+  const precomputed = robot.userData.collisionHulls
+  const hulls = {}
+  for (const [name, link] of Object.entries(robot.links)) {
+    if (SKIP_LINKS.has(name)) continue
+    if (precomputed?.[name]) {
+      hulls[name] = precomputed[name]
+      continue
+    }
+    const verts = extractSubsampledVertices(link, MAX_COLLIDER_VERTS)
+    if (verts) hulls[name] = [verts]
+  }
+  return hulls
+}
+
 export class PhysicsManager {
   constructor(rapier, world) {
     this.rapier = rapier
     this.world = world
+    // link name → { body, colliders, detailed, coarse, arm, side, bound, center };
+    // colliders are the ones in use at the current detail
     this.entries = new Map()
+    this.detail = 'detailed'
     this.colliderHandleToLink = new Map()
     this.linkNames = []
     this.armColliders = []
-    this.collidingSides = { left: false, right: false }
+    this.handColliders = []
+    this.selfPairs = { left: [], right: [] }
+    this.blockedBy = { left: null, right: null }
+    this.linkForces = {}
+    this.fingertipForces = { left: [0, 0, 0], right: [0, 0, 0] }
+    this.contactPoints = []
   }
 
+  /**
+   * One kinematic body per link, with a collider per convex hull from
+   * robot.userData.collisionHulls (see scripts/build-robot-assets.mjs), or a
+   * single hull over subsampled mesh vertices when there are none. Links
+   * split into several hulls also get one hull over all of them, used at
+   * the 'coarse' detail (see setDetail).
+   */
   init(robot) {
     const RAPIER = this.rapier
     const world = this.world
+    const precomputed = robot.userData.collisionHulls
+    const linkHulls = collisionHulls(robot)
     let created = 0
+    let hullCount = 0
 
     for (const [name, link] of Object.entries(robot.links)) {
-      if (SKIP_LINKS.has(name)) continue
+      const hulls = linkHulls[name]
+      if (!hulls) continue
 
       const arm = isArmLink(name)
+      const hand = isHandLink(name)
 
       const bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
+      if (hand) bodyDesc.setSoftCcdPrediction(HAND_SOFT_CCD)
       link.getWorldPosition(_pos)
       link.getWorldQuaternion(_quat)
       bodyDesc.setTranslation(_pos.x, _pos.y, _pos.z)
       bodyDesc.setRotation({ x: _quat.x, y: _quat.y, z: _quat.z, w: _quat.w })
       const body = world.createRigidBody(bodyDesc)
 
-      let colliderDesc = null
-      const verts = extractSubsampledVertices(link, MAX_COLLIDER_VERTS)
-      if (verts) {
-        colliderDesc = RAPIER.ColliderDesc.convexHull(verts)
+      const createHull = (verts) => {
+        const colliderDesc = RAPIER.ColliderDesc.convexHull(verts)
+        if (!colliderDesc) return null
+        colliderDesc.setCollisionGroups((ROBOT_GROUP << 16) | SCENE_GROUP)
+        if (hand) {
+          colliderDesc.setFriction(HAND_FRICTION)
+          colliderDesc.setFrictionCombineRule(RAPIER.CoefficientCombineRule.Max)
+        }
+        const collider = world.createCollider(colliderDesc, body)
+        this.colliderHandleToLink.set(collider.handle, name)
+        return collider
       }
 
-      if (!colliderDesc) {
+      const colliders = hulls.map(createHull).filter(Boolean)
+      if (!colliders.length) {
         world.removeRigidBody(body)
         continue
       }
+      // Hand links are single hulls, so handColliders never change with detail
+      for (const collider of colliders) {
+        if (arm) this.armColliders.push({ name, collider })
+        if (hand) this.handColliders.push({ name, collider })
+      }
+      const coarse = colliders.length > 1 ? createHull(concat(hulls)) : null
+      coarse?.setEnabled(false)
 
-      const membership = arm ? ARM_GROUP : BODY_GROUP
-      const filter = arm ? (BODY_GROUP | ARM_GROUP) : ARM_GROUP
-      colliderDesc.setCollisionGroups((membership << 16) | filter)
-      colliderDesc.setActiveCollisionTypes(
-        RAPIER.ActiveCollisionTypes.DEFAULT
-        | RAPIER.ActiveCollisionTypes.KINEMATIC_FIXED
-        | RAPIER.ActiveCollisionTypes.KINEMATIC_KINEMATIC
-      )
-      colliderDesc.setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS)
-
-      const collider = world.createCollider(colliderDesc, body)
-      this.entries.set(name, { body, collider, arm })
-      this.colliderHandleToLink.set(collider.handle, name)
+      this.entries.set(name, {
+        body,
+        colliders,
+        detailed: colliders,
+        coarse,
+        arm,
+        side: arm ? sideOf(name) : null,
+        bound: boundingSphere(concat(hulls)),
+        center: new THREE.Vector3(),
+      })
       this.linkNames.push(name)
-      if (arm) this.armColliders.push({ name, collider })
       created++
+      hullCount += colliders.length
     }
 
-    console.log(`[Physics] ${created} colliders (${this.armColliders.length} arm)`)
+    this.initSelfCollision(robot)
+    console.log(`[Physics] ${created} links, ${hullCount} ${precomputed ? 'precomputed' : 'subsampled'} hulls `
+      + `(${this.armColliders.length} arm, ${this.handColliders.length} hand), `
+      + `${this.selfPairs.left.length + this.selfPairs.right.length} self-collision pairs`)
+  }
+
+  // ── Self-collision ───────────────────────────────────────────────────────
+
+  /**
+   * Each arm (shoulder to fingertips) is checked against every body link and
+   * every link of the other arm, except the link it hangs from in the URDF
+   * tree and SELF_COLLISION_ALLOWED pairs. A checked pair that already
+   * touches in the pose the robot is in at init (the zero pose), at either
+   * collider detail, would always be refused and is logged.
+   */
+  initSelfCollision(robot) {
+    const skip = new Set()
+    const exclude = (a, b) => skip.add(`${a}|${b}`).add(`${b}|${a}`)
+    for (const [a, b] of SELF_COLLISION_ALLOWED) exclude(a, b)
+    for (const name of this.entries.keys()) {
+      const parent = parentLink(robot, name, this.entries)
+      if (parent) exclude(name, parent)
+    }
+
+    for (const side of ['left', 'right']) {
+      const pairs = []
+      for (const [a, ea] of this.entries) {
+        if (ea.side !== side) continue
+        for (const [b, eb] of this.entries) {
+          if (eb.side === side || skip.has(`${a}|${b}`)) continue
+          pairs.push([a, b])
+        }
+      }
+      this.selfPairs[side] = pairs
+    }
+
+    const detail = this.detail
+    const touchingAtInit = new Set()
+    for (const d of ['coarse', 'detailed']) {
+      this.setDetail(d)
+      this.placeColliders(robot)
+      for (const [a, b] of [...this.selfPairs.left, ...this.selfPairs.right]) {
+        if (touching(this.entries.get(a), this.entries.get(b), 0)) touchingAtInit.add([a, b].sort().join(' / '))
+      }
+    }
+    this.setDetail(detail)
+    if (touchingAtInit.size) {
+      console.warn(`[Physics] touching in the zero pose, add to SELF_COLLISION_ALLOWED if by construction: ${[...touchingAtInit].join(', ')}`)
+    }
+  }
+
+  /**
+   * 'detailed' uses every decomposed hull; 'coarse' one hull per link, for
+   * fewer contact pairs in the simulation and in selfCollides.
+   */
+  setDetail(detail) {
+    if (detail === this.detail) return
+    this.detail = detail
+    const coarse = detail === 'coarse'
+    for (const entry of this.entries.values()) {
+      if (!entry.coarse) continue
+      for (const c of entry.detailed) c.setEnabled(!coarse)
+      entry.coarse.setEnabled(coarse)
+      entry.colliders = coarse ? [entry.coarse] : entry.detailed
+    }
+  }
+
+  /** Moves colliders to the links' current world poses, ahead of the next step. */
+  placeColliders(robot) {
+    for (const [name, entry] of this.entries) {
+      const link = robot.links[name]
+      if (!link) continue
+      link.getWorldPosition(_pos)
+      link.getWorldQuaternion(_quat)
+      for (const collider of entry.colliders) {
+        collider.setTranslation(_pos)
+        collider.setRotation(_quat)
+      }
+      entry.center.copy(entry.bound.center).applyQuaternion(_quat).add(_pos)
+    }
+  }
+
+  /**
+   * True when any link of `side`'s arm intersects the body or the other arm in
+   * the robot's current pose. blockedBy[side] names the first offending pair.
+   */
+  selfCollides(robot, side) {
+    this.placeColliders(robot)
+    this.blockedBy[side] = null
+    for (const pair of this.selfPairs[side]) {
+      const ea = this.entries.get(pair[0])
+      const eb = this.entries.get(pair[1])
+      if (ea.center.distanceTo(eb.center) > ea.bound.radius + eb.bound.radius) continue
+      if (touching(ea, eb, 0, true)) {
+        this.blockedBy[side] = pair
+        return true
+      }
+    }
+    return false
   }
 
   syncToPhysics(robot) {
@@ -133,23 +362,47 @@ export class PhysicsManager {
     }
   }
 
-  checkCollisions() {
-    this.collidingSides.left = false
-    this.collidingSides.right = false
-
-    for (const { name, collider } of this.armColliders) {
+  /**
+   * Normal contact force (N) between each hand link and non-robot bodies over
+   * the last step of length dt. Fills linkForces (link name → N),
+   * fingertipForces ({ left, right } in FINGERTIP_LINKS order) and
+   * contactPoints ([{ link, x, y, z, force }] in world space, each manifold's
+   * force split over its points).
+   *
+   * The contact pairs are polled rather than read from CONTACT_FORCE_EVENTS:
+   * in the page, @react-three/rapier steps the world with its own EventQueue
+   * and drops events for colliders it did not create, which these are. The
+   * points for the markers would need the manifolds anyway, and polling only
+   * visits the hand colliders.
+   */
+  measureContacts(dt) {
+    const forces = this.linkForces
+    const points = this.contactPoints
+    points.length = 0
+    for (const { name } of this.handColliders) forces[name] = 0
+    for (const { name, collider } of this.handColliders) {
+      let impulse = 0
       this.world.contactPairsWith(collider, (other) => {
-        const otherName = this.colliderHandleToLink.get(other.handle)
-        if (!otherName) return
-        const otherEntry = this.entries.get(otherName)
-        if (otherEntry && !otherEntry.arm) {
-          if (name.startsWith('left_')) this.collidingSides.left = true
-          if (name.startsWith('right_')) this.collidingSides.right = true
-        }
+        if (this.colliderHandleToLink.has(other.handle)) return
+        this.world.contactPair(collider, other, (manifold) => {
+          let m = 0
+          for (let i = 0; i < manifold.numContacts(); i++) m += manifold.contactImpulse(i)
+          impulse += m
+          const n = manifold.numSolverContacts()
+          for (let i = 0; i < n && points.length < MAX_CONTACT_POINTS; i++) {
+            const p = manifold.solverContactPoint(i)
+            points.push({ link: name, x: p.x, y: p.y, z: p.z, force: dt > 0 ? m / dt / n : 0 })
+          }
+        })
       })
+      // A link split into several hulls sums over them
+      forces[name] += dt > 0 ? impulse / dt : 0
     }
 
-    return this.collidingSides
+    for (const side of ['left', 'right']) {
+      FINGERTIP_LINKS[side].forEach((name, i) => { this.fingertipForces[side][i] = forces[name] ?? 0 })
+    }
+    return this.fingertipForces
   }
 
   dispose() {
@@ -157,8 +410,13 @@ export class PhysicsManager {
       this.world.removeRigidBody(entry.body)
     }
     this.entries.clear()
+    this.detail = 'detailed'
     this.colliderHandleToLink.clear()
     this.linkNames = []
     this.armColliders = []
+    this.handColliders = []
+    this.selfPairs = { left: [], right: [] }
+    this.linkForces = {}
+    this.contactPoints = []
   }
 }
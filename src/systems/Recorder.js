@@ -0,0 +1,278 @@
+import { RECORDED_JOINTS } from '../constants/kinematics.js'
+import { describeEnvironment } from './SceneInfo.js'
+
+export const MIN_RATE = 30
+export const MAX_RATE = 50
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v))
+}
+
+function poseArray(position, quaternion) {
+  return [position.x, position.y, position.z, quaternion.x, quaternion.y, quaternion.z, quaternion.w]
+}
+
+function serializeXRJoints(joints) {
+  if (!joints) return null
+  const out = {}
+  for (const [name, j] of Object.entries(joints)) out[name] = poseArray(j.position, j.quaternion)
+  return out
+}
+
+function captureBodies(world) {
+  const objects = {}
+  if (!world) return objects
+  world.forEachRigidBody((body) => {
+    if (!body.isDynamic()) return
+    const id = body.userData?.id ?? `body_${body.handle}`
+    objects[id] = poseArray(body.translation(), body.rotation())
+  })
+  return objects
+}
+
+function serializeRaw(buf) {
+  return buf ? Array.from(buf, v => (Number.isNaN(v) ? null : v)) : null
+}
+
+function makeEpisodeId() {
+  return 'ep_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+}
+
+/**
+ * Fixed-rate state-action recorder.
+ *
+ * The render loop calls due(now) every frame and capture(now, state) only when
+ * a sample is due, so sampling stays on a fixed grid regardless of frame rate.
+ * Sample times are seconds since start() on the monotonic performance clock;
+ * `frame` is the sample index within the episode.
+ */
+export class Recorder {
+  constructor({ rate = 30 } = {}) {
+    this.rate = clamp(rate, MIN_RATE, MAX_RATE)
+    this.episode = null
+    this.startTime = 0
+    this.nextSampleAt = 0
+    this.prevQ = null
+    this.prevT = 0
+    this.handFrames = []
+    this.commanded = { left: false, right: false }
+    this.listeners = new Set()
+  }
+
+  /**
+   * listener({ type: 'start' | 'sample' | 'outcome' | 'stop' | 'discard', episode, sample })
+   * Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  emit(event) {
+    for (const l of this.listeners) l(event)
+  }
+
+  get recording() { return this.episode !== null }
+
+  /**
+   * Logs the raw hand stream of a HandInputTap: while recording, every frame
+   * read goes into the next sample's hand_input. Returns a detach function.
+   */
+  attachInput(tap) {
+    return tap.subscribe((frame) => {
+      if (this.episode) this.handFrames.push(frame)
+    })
+  }
+
+  /** Takes effect from the next start(). */
+  setRate(hz) {
+    this.rate = clamp(hz, MIN_RATE, MAX_RATE)
+  }
+
+  start(metadata = {}, now = performance.now()) {
+    this.episode = {
+      id: makeEpisodeId(),
+      rate: this.rate,
+      startedAt: new Date().toISOString(),
+      jointNames: [...RECORDED_JOINTS],
+      metadata: { ...metadata },
+      environment: null,
+      outcome: null,
+      samples: [],
+    }
+    this.startTime = now
+    this.nextSampleAt = now
+    this.prevQ = null
+    this.prevT = 0
+    this.handFrames = []
+    this.commanded = { left: false, right: false }
+    this.emit({ type: 'start', episode: this.episode })
+    return this.episode
+  }
+
+  stop() {
+    const episode = this.episode
+    if (!episode) return null
+    const last = episode.samples[episode.samples.length - 1]
+    episode.duration = last ? last.t : 0
+    this.episode = null
+    this.emit({ type: 'stop', episode })
+    return episode
+  }
+
+  /** Ends the running episode without keeping it; listeners get 'discard' instead of 'stop'. */
+  discard() {
+    const episode = this.episode
+    if (!episode) return null
+    this.episode = null
+    this.emit({ type: 'discard', episode })
+    return episode
+  }
+
+  /** Merges fields into the running episode's metadata. */
+  annotate(fields) {
+    if (!this.episode) return false
+    Object.assign(this.episode.metadata, fields)
+    return true
+  }
+
+  /**
+   * Labels the running episode with a task outcome ({ success, reason, ... }).
+   * The first label wins; later ones are ignored.
+   */
+  mark(outcome, now = performance.now()) {
+    if (!this.episode || this.episode.outcome) return false
+    this.episode.outcome = { ...outcome, t: (now - this.startTime) / 1000 }
+    this.emit({ type: 'outcome', episode: this.episode })
+    return true
+  }
+
+  takeHandFrames() {
+    const frames = this.handFrames
+    if (!frames.length) return null
+    this.handFrames = []
+    return {
+      frames: frames.map(f => ({
+        t: (f.t - this.startTime) / 1000,
+        left: serializeRaw(f.left),
+        right: serializeRaw(f.right),
+        controllers: { left: serializeRaw(f.controllers.left), right: serializeRaw(f.controllers.right) },
+      })),
+      sources: frames[frames.length - 1].sources,
+    }
+  }
+
+  due(now) {
+    return this.episode !== null && now >= this.nextSampleAt
+  }
+
+  /**
+   * state: {
+   *   robot,                       URDF robot (joint positions)
+   *   commands: { left, right, body },
+   *                                per side { wrist: { position, quaternion }, hand: packed retarget output,
+   *                                  retarget: { mode, seed, iterations } (seed and iterations for 'vector',
+   *                                  trigger and squeeze for 'synergy'),
+   *                                  xr: readXRJoints(), ik: { solver, seed, solved, iterations },
+   *                                  blocked: arm motion refused for self-collision,
+   *                                  tracking: TrackingMonitor.check() { ok, faults } or null, the side
+   *                                    held while ok is false };
+   *                                body: whole-upper-body IK { solver, sides, seed, solved, iterations } or null
+   *   head: { position, quaternion },
+   *   base: { position, quaternion }, robot root pose (IK targets are relative to it)
+   *   world,                       Rapier world (dynamic body poses)
+   *   scene,                       three.js scene (lighting, described once per episode)
+   *   contacts: { left, right },   fingertip contact force (N) in FINGERTIP_LINKS order
+   *   images: { name: base64 RGB }, robot camera frames captured since the last sample, if any
+   *   timing: FrameProfiler.takeSample(), render frames since the last sample
+   *                                { frames, dropped, maxFrameMs, quality }
+   * }
+   *
+   * With a tap attached (attachInput), sample.hand_input holds the raw hand
+   * frames read since the last sample, or null: { frames: [{ t, left, right,
+   * controllers }], sources } with t in episode seconds, each hand
+   * XR_JOINT_NAMES × HAND_JOINT_STRIDE floats (null where a joint had no
+   * pose) or null, controllers { left, right } CONTROLLER_FIELDS floats or
+   * null, and sources the input sources of the newest frame.
+   */
+  capture(now, { robot, commands, head, base, world, scene, contacts, images, timing }) {
+    const episode = this.episode
+    if (!episode) return null
+    if (!episode.environment) episode.environment = describeEnvironment({ robot, world, scene })
+
+    const period = 1000 / episode.rate
+    while (this.nextSampleAt <= now) this.nextSampleAt += period
+
+    const t = (now - this.startTime) / 1000
+    const n = RECORDED_JOINTS.length
+    const q = new Array(n)
+    const qd = new Array(n)
+    const dt = t - this.prevT
+
+    for (let i = 0; i < n; i++) {
+      q[i] = robot?.joints?.[RECORDED_JOINTS[i]]?.angle ?? 0
+      qd[i] = this.prevQ && dt > 0 ? (q[i] - this.prevQ[i]) / dt : 0
+    }
+    this.prevQ = q
+    this.prevT = t
+
+    const side = (s) => {
+      const c = commands?.[s]
+      return {
+        wrist: c?.wrist ? poseArray(c.wrist.position, c.wrist.quaternion) : null,
+        hand: c?.hand ?? null,
+      }
+    }
+
+    // Bad tracking only counts against a side that has commanded the robot
+    // this episode: the idle hand of a one-handed demo may come and go
+    const tracking = (s) => {
+      const c = commands?.[s]
+      if (c?.wrist) this.commanded[s] = true
+      return { valid: (c?.tracking?.ok ?? true) || !this.commanded[s], faults: c?.tracking?.faults ?? null }
+    }
+    const left = tracking('left')
+    const right = tracking('right')
+
+    const sample = {
+      frame: episode.samples.length,
+      t,
+      q,
+      qd,
+      action: { left: side('left'), right: side('right') },
+      xr: {
+        left: serializeXRJoints(commands?.left?.xr),
+        right: serializeXRJoints(commands?.right?.xr),
+      },
+      retarget: {
+        left: commands?.left?.retarget ?? null,
+        right: commands?.right?.retarget ?? null,
+      },
+      ik: {
+        left: commands?.left?.ik ?? null,
+        right: commands?.right?.ik ?? null,
+        body: commands?.body ?? null,
+      },
+      blocked: {
+        left: commands?.left?.blocked ?? false,
+        right: commands?.right?.blocked ?? false,
+      },
+      tracking: { left, right },
+      // False while bad tracking has an arm in use frozen
+      valid: left.valid && right.valid,
+      head: head ? poseArray(head.position, head.quaternion) : null,
+      base: base ? poseArray(base.position, base.quaternion) : null,
+      objects: captureBodies(world),
+      contact: {
+        left: contacts ? [...contacts.left] : null,
+        right: contacts ? [...contacts.right] : null,
+      },
+      images: images ?? null,
+      timing: timing ?? null,
+      hand_input: this.takeHandFrames(),
+    }
+    episode.samples.push(sample)
+    this.emit({ type: 'sample', episode, sample })
+    return sample
+  }
+}
@@ -0,0 +1,131 @@
+import * as THREE from 'three'
+import { getIKSolver, upperBodyProblem, UPPER_BODY_IK } from './IKSolvers.js'
+import { retargetHand, packRetarget } from './HandRetargeting.js'
+import { profileRanges } from './RetargetCalibration.js'
+import { VectorRetargeter } from './VectorRetargeting.js'
+import { graspSynergy } from './ControllerTeleop.js'
+import { ARM_CHAIN, HAND_LINK } from '../constants/kinematics.js'
+
+const _target = new THREE.Vector3()
+const _targetQuat = new THREE.Quaternion()
+
+function unpackPose(p) {
+  return {
+    position: new THREE.Vector3(p[0], p[1], p[2]),
+    quaternion: new THREE.Quaternion(p[3], p[4], p[5], p[6]),
+  }
+}
+
+function unpackXRJoints(xr) {
+  const joints = {}
+  for (const [name, p] of Object.entries(xr)) joints[name] = unpackPose(p)
+  return joints
+}
+
+function maxAbsDiff(a, b) {
+  let m = 0
+  for (let i = 0; i < a.length; i++) m = Math.max(m, Math.abs(a[i] - b[i]))
+  return m
+}
+
+/**
+ * Regression harness: feeds each sample's logged inputs back through
+ * retargetHand (with the operator's calibrated ranges from
+ * metadata.retargeting, the defaults for older episodes), the vector
+ * retargeter from its logged seed where it was in use, graspSynergy from
+ * the logged trigger and squeeze for controller samples, and the logged IK
+ * solver (CCD for older episodes; the joint waist + arms solve for
+ * whole-upper-body samples) and compares against the logged outputs.
+ *
+ * IK is re-run from the logged seed angles with the robot root placed at the
+ * logged base pose, so the comparison is exact up to `tolerance` (radians).
+ * The robot is restored to its previous parent and joint angles afterwards.
+ */
+export function verifyEpisode(robot, episode, { tolerance = 1e-6 } = {}) {
+  const report = {
+    frames: episode.samples.length,
+    ik: { checked: 0, failed: 0, maxError: 0, firstFailure: null },
+    retarget: { checked: 0, failed: 0, maxError: 0, firstFailure: null },
+  }
+
+  const parent = robot.parent
+  const saved = Object.entries(robot.joints)
+    .filter(([, j]) => j.jointType !== 'fixed')
+    .map(([n, j]) => [n, j.angle])
+  const rig = new THREE.Group()
+  rig.add(robot)
+  const vector = { left: new VectorRetargeter(robot, 'left'), right: new VectorRetargeter(robot, 'right') }
+
+  try {
+    for (const sample of episode.samples) {
+      if (sample.base) {
+        rig.position.fromArray(sample.base, 0)
+        rig.quaternion.fromArray(sample.base, 3)
+      }
+
+      const body = sample.ik?.body
+      if (body) {
+        const targets = {}
+        for (const side of body.sides) targets[side] = unpackPose(sample.action[side].wrist)
+        // null when this robot lacks a waist or arm joint the sample solved for
+        const problem = upperBodyProblem(robot, targets)
+        if (problem) {
+          problem.joints.forEach((j, i) => j.setJointValue(body.seed[i]))
+          rig.updateMatrixWorld(true)
+          UPPER_BODY_IK.solve(problem.active, problem.tasks, body.iterations)
+
+          const err = maxAbsDiff(problem.joints.map(j => j.angle || 0), body.solved)
+          record(report.ik, err, tolerance, sample.frame, body.sides.join('+'))
+        }
+      }
+
+      for (const side of ['left', 'right']) {
+        const ik = sample.ik?.[side]
+        const wrist = sample.action[side]?.wrist
+        if (ik && wrist) {
+          const chain = ARM_CHAIN[side].map(n => robot.joints[n])
+          chain.forEach((j, i) => j.setJointValue(ik.seed[i]))
+          rig.updateMatrixWorld(true)
+          _target.fromArray(wrist, 0)
+          _targetQuat.fromArray(wrist, 3)
+          getIKSolver(ik.solver ?? 'ccd').solve(chain, robot.links[HAND_LINK[side]], _target, _targetQuat, ik.iterations)
+
+          const err = maxAbsDiff(chain.map(j => j.angle || 0), ik.solved)
+          record(report.ik, err, tolerance, sample.frame, side)
+        }
+
+        const xr = sample.xr?.[side]
+        const hand = sample.action[side]?.hand
+        const rt = sample.retarget?.[side]
+        if (rt?.mode === 'synergy' && hand) {
+          record(report.retarget, maxAbsDiff(packRetarget(graspSynergy(rt.trigger, rt.squeeze)), hand), tolerance, sample.frame, side)
+        } else if (xr && hand) {
+          const joints = unpackXRJoints(xr)
+          const curl = retargetHand(joints, profileRanges(episode.metadata?.retargeting, side))
+          const data = rt?.mode === 'vector'
+            ? vector[side].solve(joints, curl, { seed: rt.seed, iterations: rt.iterations }).data
+            : curl
+          const err = maxAbsDiff(packRetarget(data), hand)
+          record(report.retarget, err, tolerance, sample.frame, side)
+        }
+      }
+    }
+  } finally {
+    if (parent) parent.add(robot)
+    else rig.remove(robot)
+    for (const [n, v] of saved) robot.joints[n].setJointValue(v)
+    robot.updateMatrixWorld(true)
+  }
+
+  report.passed = report.ik.failed === 0 && report.retarget.failed === 0
+  return report
+}
+
+function record(stats, err, tolerance, frame, side) {
+  stats.checked++
+  stats.maxError = Math.max(stats.maxError, err)
+  if (err > tolerance) {
+    stats.failed++
+    if (!stats.firstFailure) stats.firstFailure = { frame, side, error: err }
+  }
+}
@@ -0,0 +1,169 @@
+import { measureHand, RETARGET_DOFS, DEFAULT_RANGES } from './HandRetargeting.js'
+
+const STORAGE_PREFIX = 'i-am-robot.retarget.'
+
+// Wizard poses, in order. Each is settled into for SETTLE_S, then measured
+// over MEASURE_S with both hands tracked.
+export const CALIBRATION_POSES = [
+  { id: 'open', prompt: 'Open both hands flat, thumbs relaxed alongside' },
+  { id: 'fist', prompt: 'Make fists, thumbs wrapped over the fingers' },
+  { id: 'pinch', prompt: 'Pinch thumb tip to index tip' },
+  { id: 'thumb_out', prompt: 'Open hands, thumbs stretched out sideways' },
+]
+const SETTLE_S = 1.5
+const MEASURE_S = 1
+const MIN_SAMPLES = 20
+
+// Which poses bound each DoF: [open end, closed end]. Thumb curl closes
+// furthest in the fist or the pinch, whichever bends it more.
+const FIT = {
+  thumb_abduction: ['open', 'thumb_out'],
+  thumb_curl_0: ['open', ['fist', 'pinch']],
+  thumb_curl_1: ['open', ['fist', 'pinch']],
+  middle_curl_0: ['open', 'fist'],
+  middle_curl_1: ['open', 'fist'],
+  index_curl_0: ['open', 'fist'],
+  index_curl_1: ['open', 'fist'],
+}
+// A fitted range narrower than this share of the default is a failed pose
+const MIN_SPAN = 0.3
+// Fitted ranges are pulled in this much at each end, so the calibration pose
+// itself is comfortably inside full open / full closed
+const INSET = 0.05
+
+function median(values) {
+  const v = values.filter(x => x !== null).sort((a, b) => a - b)
+  return v.length ? v[Math.floor(v.length / 2)] : null
+}
+
+function fitRange(dof, poses) {
+  const def = DEFAULT_RANGES[dof]
+  const [openPose, closedPoses] = FIT[dof]
+  const open = poses[openPose][dof]
+  const closedCandidates = [closedPoses].flat().map(p => poses[p][dof]).filter(x => x !== null)
+  if (open === null || !closedCandidates.length) return null
+  // Furthest from open in the default's closing direction
+  const dir = Math.sign(def.closed - def.open)
+  const closed = closedCandidates.reduce((a, b) => ((b - a) * dir > 0 ? b : a))
+  const span = closed - open
+  if (span * dir < Math.abs(def.closed - def.open) * MIN_SPAN) return null
+  return { open: open + span * INSET, closed: closed - span * INSET }
+}
+
+/** The stored profile for an operator, or null. */
+export function loadProfile(operator) {
+  try {
+    const raw = globalThis.localStorage?.getItem(STORAGE_PREFIX + operator)
+    return raw ? JSON.parse(raw) : null
+  } catch (e) {
+    console.warn(`Retargeting profile for ${operator} unreadable:`, e)
+    return null
+  }
+}
+
+export function saveProfile(profile) {
+  globalThis.localStorage?.setItem(STORAGE_PREFIX + profile.operator, JSON.stringify(profile))
+}
+
+/** Per-side ranges of a profile, DEFAULT_RANGES without one. */
+export function profileRanges(profile, side) {
+  return profile?.ranges?.[side] ?? DEFAULT_RANGES
+}
+
+/**
+ * Guided calibration of the retargeting ranges. Walks the operator through
+ * CALIBRATION_POSES, takes per-DoF medians of measureHand() over each, and
+ * fits { open, closed } per Dex 3.1 DoF and hand. DoFs whose poses were not
+ * distinct enough keep the defaults and are listed in profile.unfitted.
+ *
+ *   const cal = new RetargetCalibration({ operator: 'alice' })
+ *   cal.subscribe(() => redraw(cal.status))
+ *   cal.start()
+ *   cal.update({ left, right }, now)   // readXRJoints() per side, every frame
+ *   // cal.status.profile once done
+ */
+export class RetargetCalibration {
+  constructor({ operator }) {
+    this.operator = operator
+    this.listeners = new Set()
+    this.status = { active: false, step: 0, phase: 'idle', progress: 0, prompt: '', profile: null }
+    this.samples = null
+    this.phaseStart = 0
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  emit(changes) {
+    this.status = { ...this.status, ...changes }
+    for (const l of this.listeners) l(this.status)
+  }
+
+  get active() { return this.status.active }
+
+  start(now = performance.now()) {
+    this.samples = CALIBRATION_POSES.map(() => ({ left: [], right: [] }))
+    this.phaseStart = now
+    this.emit({ active: true, step: 0, phase: 'settle', progress: 0, prompt: CALIBRATION_POSES[0].prompt, profile: null })
+  }
+
+  cancel() {
+    this.samples = null
+    this.emit({ active: false, phase: 'idle', progress: 0, prompt: '' })
+  }
+
+  update(joints, now = performance.now()) {
+    if (!this.status.active) return
+    const { step, phase } = this.status
+    const elapsed = (now - this.phaseStart) / 1000
+
+    if (phase === 'settle') {
+      if (elapsed >= SETTLE_S) {
+        this.phaseStart = now
+        this.emit({ phase: 'measure', progress: 0 })
+      } else {
+        this.status.progress = elapsed / SETTLE_S
+      }
+      return
+    }
+
+    const bucket = this.samples[step]
+    if (joints.left?.wrist && joints.right?.wrist) {
+      bucket.left.push(measureHand(joints.left))
+      bucket.right.push(measureHand(joints.right))
+    }
+    this.status.progress = Math.min(1, elapsed / MEASURE_S)
+    if (elapsed < MEASURE_S || bucket.left.length < MIN_SAMPLES) return
+
+    if (step + 1 < CALIBRATION_POSES.length) {
+      this.phaseStart = now
+      this.emit({ step: step + 1, phase: 'settle', progress: 0, prompt: CALIBRATION_POSES[step + 1].prompt })
+      return
+    }
+    const profile = this.fit()
+    this.samples = null
+    this.emit({ active: false, phase: 'done', progress: 1, prompt: '', profile })
+  }
+
+  fit() {
+    const ranges = {}
+    const unfitted = {}
+    for (const side of ['left', 'right']) {
+      const poses = {}
+      CALIBRATION_POSES.forEach((pose, i) => {
+        const rows = this.samples[i][side]
+        poses[pose.id] = Object.fromEntries(RETARGET_DOFS.map((dof, k) => [dof, median(rows.map(r => r[k]))]))
+      })
+      ranges[side] = {}
+      unfitted[side] = []
+      for (const dof of RETARGET_DOFS) {
+        const fitted = fitRange(dof, poses)
+        if (!fitted) unfitted[side].push(dof)
+        ranges[side][dof] = fitted ?? DEFAULT_RANGES[dof]
+      }
+    }
+    return { operator: this.operator, calibratedAt: new Date().toISOString(), ranges, unfitted }
+  }
+}
@@ -0,0 +1,188 @@
+import * as THREE from 'three'
+
+// RealSense D435 color stream at 640×480, factory intrinsics (fx ≈ fy ≈ 615 px)
+export const D435 = { width: 640, height: 480, fx: 615, fy: 615 }
+export const D435_VFOV = THREE.MathUtils.radToDeg(2 * Math.atan(D435.height / 2 / D435.fy))
+
+// Size of the frames written into episodes
+export const FRAME_WIDTH = 96
+export const FRAME_HEIGHT = 72
+
+// Bytes per String.fromCharCode call, well under engines' argument limits
+const ENCODE_CHUNK = 0x2000
+
+const NEAR = 0.02
+const FAR = 10
+// Wrist cameras look along the fingers, tilted this far toward the palm
+const WRIST_TILT = THREE.MathUtils.degToRad(20)
+
+// Camera basis in link coordinates: three.js cameras look down -Z with +Y up
+function basis(x, y, z) {
+  return new THREE.Matrix4().makeBasis(new THREE.Vector3(...x), new THREE.Vector3(...y), new THREE.Vector3(...z))
+}
+
+function wristMount(side) {
+  // Palm links: +X toward the fingers, back of the hand +Y on the left, -Y on the right
+  const back = side === 'left' ? 1 : -1
+  return new THREE.Matrix4()
+    .makeTranslation(-0.02, 0.05 * back, 0)
+    .multiply(basis([0, 0, back], [0, back, 0], [-1, 0, 0]))
+    .multiply(new THREE.Matrix4().makeRotationX(-WRIST_TILT))
+}
+
+/**
+ * Camera name → link it is rigidly mounted on, and the mount transform in that
+ * link's frame. d435_link follows the ROS convention (+X forward, +Z up).
+ */
+export const CAMERA_MOUNTS = {
+  head: { link: 'd435_link', mount: basis([0, -1, 0], [0, 0, 1], [-1, 0, 0]) },
+  left_wrist: { link: 'left_hand_palm_link', mount: wristMount('left') },
+  right_wrist: { link: 'right_hand_palm_link', mount: wristMount('right') },
+}
+
+const _m = new THREE.Matrix4()
+const _scale = new THREE.Vector3()
+
+function makeTarget(width, height, options) {
+  const rt = new THREE.WebGLRenderTarget(width, height, { colorSpace: THREE.SRGBColorSpace, ...options })
+  rt.texture.colorSpace = THREE.SRGBColorSpace
+  return rt
+}
+
+// Rows come back bottom-up from WebGL; returned as top-down RGB in base64.
+// rgb is scratch space for width × height × 3 bytes.
+function encodeFrame(rgba, width, height, rgb) {
+  for (let y = 0; y < height; y++) {
+    const src = (height - 1 - y) * width * 4
+    const dst = y * width * 3
+    for (let x = 0; x < width; x++) {
+      rgb[dst + x * 3] = rgba[src + x * 4]
+      rgb[dst + x * 3 + 1] = rgba[src + x * 4 + 1]
+      rgb[dst + x * 3 + 2] = rgba[src + x * 4 + 2]
+    }
+  }
+  let s = ''
+  for (let i = 0; i < rgb.length; i += ENCODE_CHUNK) s += String.fromCharCode.apply(null, rgb.subarray(i, i + ENCODE_CHUNK))
+  return btoa(s)
+}
+
+// A full-frame quad drawing a texture, for downscaling a rendered view. It
+// always has a map, so swapping maps never needs a new shader.
+function makeBlit(map) {
+  const material = new THREE.MeshBasicMaterial({ map, toneMapped: false, depthTest: false, depthWrite: false })
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material)
+  quad.frustumCulled = false
+  const scene = new THREE.Scene()
+  scene.add(quad)
+  return { scene, camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1), material, geometry: quad.geometry }
+}
+
+/**
+ * Virtual cameras on the robot's head and wrists, rendered offscreen.
+ *
+ *   const cams = new RobotCameras()
+ *   cams.render(gl, scene, robot)      // preview targets: cams.targets[name].texture
+ *   cams.captureFrames(gl)             // the same views downscaled to RGB frames for the recorder
+ *
+ * Rendering temporarily leaves WebXR so the targets get a single mono view.
+ */
+export class RobotCameras {
+  constructor({ width = D435.width, height = D435.height } = {}) {
+    this.cameras = {}
+    this.targets = {}
+    for (const name of Object.keys(CAMERA_MOUNTS)) {
+      this.cameras[name] = new THREE.PerspectiveCamera(D435_VFOV, width / height, NEAR, FAR)
+      // Mipmapped so the downscale to episode frames does not alias
+      this.targets[name] = makeTarget(width, height, { generateMipmaps: true, minFilter: THREE.LinearMipmapLinearFilter })
+    }
+    this.frameTarget = makeTarget(FRAME_WIDTH, FRAME_HEIGHT)
+    this.blit = makeBlit(this.targets.head.texture)
+    this.pixels = new Uint8Array(FRAME_WIDTH * FRAME_HEIGHT * 4)
+    this.rgb = new Uint8Array(FRAME_WIDTH * FRAME_HEIGHT * 3)
+    this.frames = null
+  }
+
+  /** Intrinsics and mounts, for the episode metadata. */
+  describe() {
+    const scale = FRAME_WIDTH / D435.width
+    return {
+      model: 'd435',
+      width: FRAME_WIDTH,
+      height: FRAME_HEIGHT,
+      fx: D435.fx * scale,
+      fy: D435.fy * scale,
+      cx: FRAME_WIDTH / 2,
+      cy: FRAME_HEIGHT / 2,
+      mounts: Object.fromEntries(Object.entries(CAMERA_MOUNTS).map(([name, m]) => [name, m.link])),
+    }
+  }
+
+  /** Moves each camera to its link; returns false if the robot lacks a mount link. */
+  place(robot) {
+    for (const [name, { link, mount }] of Object.entries(CAMERA_MOUNTS)) {
+      const l = robot?.links?.[link]
+      if (!l) return false
+      l.updateWorldMatrix(true, false)
+      _m.multiplyMatrices(l.matrixWorld, mount)
+      _m.decompose(this.cameras[name].position, this.cameras[name].quaternion, _scale)
+      this.cameras[name].updateMatrixWorld(true)
+    }
+    return true
+  }
+
+  withoutXR(gl, draw) {
+    const xr = gl.xr.enabled
+    const target = gl.getRenderTarget()
+    gl.xr.enabled = false
+    try {
+      draw()
+    } finally {
+      gl.setRenderTarget(target)
+      gl.xr.enabled = xr
+    }
+  }
+
+  render(gl, scene, robot) {
+    if (!this.place(robot)) return false
+    this.withoutXR(gl, () => {
+      for (const name of Object.keys(CAMERA_MOUNTS)) {
+        gl.setRenderTarget(this.targets[name])
+        gl.render(scene, this.cameras[name])
+      }
+    })
+    return true
+  }
+
+  /**
+   * Downscales what render() drew to FRAME_WIDTH × FRAME_HEIGHT and reads it
+   * back; the scene itself is not drawn again. Call after render().
+   */
+  captureFrames(gl) {
+    const frames = {}
+    const { scene, camera, material } = this.blit
+    this.withoutXR(gl, () => {
+      for (const name of Object.keys(CAMERA_MOUNTS)) {
+        material.map = this.targets[name].texture
+        gl.setRenderTarget(this.frameTarget)
+        gl.render(scene, camera)
+        gl.readRenderTargetPixels(this.frameTarget, 0, 0, FRAME_WIDTH, FRAME_HEIGHT, this.pixels)
+        frames[name] = encodeFrame(this.pixels, FRAME_WIDTH, FRAME_HEIGHT, this.rgb)
+      }
+    })
+    this.frames = frames
+  }
+
+  /** Frames captured since the last call, or null. */
+  takeFrames() {
+    const frames = this.frames
+    this.frames = null
+    return frames
+  }
+
+  dispose() {
+    for (const rt of Object.values(this.targets)) rt.dispose()
+    this.frameTarget.dispose()
+    this.blit.material.dispose()
+    this.blit.geometry.dispose()
+  }
+}
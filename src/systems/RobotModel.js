@@ -0,0 +1,191 @@
+import * as THREE from 'three'
+import URDFLoader from 'urdf-loader'
+import { URDFRobot, URDFLink, URDFJoint } from 'urdf-loader/src/URDFClasses.js'
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js'
+import { parseDynamics } from './JointController.js'
+import { COLLISION_OVERRIDES, WAIST_LIMITS } from '../constants/kinematics.js'
+
+const MAT_BODY = new THREE.MeshStandardMaterial({ color: 0x4a4a6e, roughness: 0.4, metalness: 0.25 })
+const MAT_ACCENT = new THREE.MeshStandardMaterial({ color: 0x6a6a9e, roughness: 0.35, metalness: 0.3 })
+
+// URDF is Z-up, X-forward; the scene is Y-up with the robot facing -Z
+export const ROBOT_BASE_QUAT = new THREE.Quaternion()
+;(() => {
+  const qx = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2)
+  const qy = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2)
+  ROBOT_BASE_QUAT.multiplyQuaternions(qy, qx)
+})()
+
+function material(path) {
+  const accent = /contour|shoulder_roll|shoulder_pitch|waist|logo/.test(path)
+  return (accent ? MAT_ACCENT : MAT_BODY).clone()
+}
+
+// Written by scripts/build-robot-assets.mjs, relative to the models directory
+const ASSETS_DIR = 'assets/'
+
+function meshLoader(format, baseUrl, manifest) {
+  if (format === 'manifest') {
+    const gltf = new GLTFLoader().setMeshoptDecoder(MeshoptDecoder)
+    const stl = meshLoader('stl', baseUrl)
+    return (path, onLoad, onError) => {
+      const entry = manifest.visual[path]
+      if (!entry) return stl(path, onLoad, onError)
+      gltf.load(baseUrl + ASSETS_DIR + entry.uri, (g) => {
+        g.scene.traverse((o) => { if (o.isMesh) o.material = material(path) })
+        onLoad(g.scene)
+      }, undefined, onError)
+    }
+  }
+  if (format === 'glb') {
+    const gltf = new GLTFLoader()
+    return (path, onLoad, onError) => gltf.load(baseUrl + path.replace(/\.STL$/i, '.glb'), (g) => {
+      g.scene.traverse((o) => { if (o.isMesh) o.material = material(path) })
+      onLoad(g.scene)
+    }, undefined, onError)
+  }
+  const stl = new STLLoader()
+  return (path, onLoad, onError) => stl.load(baseUrl + path, (geo) => {
+    geo.computeVertexNormals()
+    onLoad(new THREE.Mesh(geo, material(path)))
+  }, undefined, onError)
+}
+
+// The asset manifest and its collision hulls, or null (with a warning) when
+// they have not been built
+async function loadManifest(baseUrl) {
+  try {
+    const manifest = await fetch(baseUrl + ASSETS_DIR + 'manifest.json').then(r => (r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`))))
+    const collision = manifest.collision
+      ? await fetch(baseUrl + ASSETS_DIR + manifest.collision.uri).then(r => r.json())
+      : { links: {} }
+    const hulls = {}
+    for (const [name, list] of Object.entries(collision.links)) hulls[name] = list.map(h => new Float32Array(h))
+    return { manifest, hulls }
+  } catch (e) {
+    console.warn(`[RobotModel] No asset manifest (${e.message}); loading STL meshes. Run npm run assets.`)
+    return null
+  }
+}
+
+/**
+ * Loads g1.urdf from baseUrl with every mesh resolved, joint dynamics in
+ * robot.userData.dynamics. meshFormat 'manifest' reads the compressed
+ * visuals listed in assets/manifest.json and puts the precomputed convex
+ * hulls in robot.userData.collisionHulls (link name → [Float32Array of
+ * link-frame points]); without a manifest it falls back to 'stl'. 'glb'
+ * reads the .glb files written by scripts/convert-stl-to-glb.mjs next to the
+ * STLs. Meshes that fail to load are left empty.
+ */
+export async function loadRobotModel(baseUrl, { meshFormat = 'manifest' } = {}) {
+  const assets = meshFormat === 'manifest' ? await loadManifest(baseUrl) : null
+  if (!assets && meshFormat === 'manifest') meshFormat = 'stl'
+
+  return new Promise((resolve, reject) => {
+    const loader = new URDFLoader()
+    const load = meshLoader(meshFormat, baseUrl, assets?.manifest)
+    let pending = 0
+    let parsed = null
+
+    const tryFinalize = () => {
+      if (pending === 0 && parsed) resolve(parsed)
+    }
+
+    loader.loadMeshCb = (path, _mgr, onLoad) => {
+      pending++
+      load(path, (mesh) => {
+        const g = new THREE.Group()
+        g.add(mesh)
+        onLoad(g)
+        pending--
+        tryFinalize()
+      }, () => { onLoad(new THREE.Group()); pending--; tryFinalize() })
+    }
+
+    fetch(baseUrl + 'g1.urdf')
+      .then(r => r.text())
+      .then((text) => {
+        parsed = loader.parse(text)
+        parsed.userData.dynamics = parseDynamics(text)
+        parsed.userData.collisionHulls = assets?.hulls ?? null
+        tryFinalize()
+      })
+      .catch(reject)
+  })
+}
+
+/** Narrows joint limits to COLLISION_OVERRIDES and WAIST_LIMITS. */
+export function applyLimitOverrides(robot) {
+  for (const [name, ov] of Object.entries({ ...COLLISION_OVERRIDES, ...WAIST_LIMITS })) {
+    const j = robot.joints?.[name]
+    if (!j?.limit) continue
+    if (ov.lower !== undefined) j.limit.lower = Math.max(j.limit.lower, ov.lower)
+    if (ov.upper !== undefined) j.limit.upper = Math.min(j.limit.upper, ov.upper)
+  }
+}
+
+/**
+ * The robot's kinematic tree as plain data that survives postMessage: the
+ * root link name, joints parent-first with their origin, axis, limits and
+ * current value, and userData.dynamics. Meshes are left out; see
+ * buildKinematicRobot and PhysicsManager's collisionHulls.
+ */
+export function describeKinematics(robot) {
+  const joints = []
+  const visit = (link) => {
+    for (const joint of link.children) {
+      if (!joint.isURDFJoint) continue
+      const child = joint.children.find(c => c.isURDFLink)
+      if (!child) continue
+      joints.push({
+        name: joint.name,
+        type: joint.jointType,
+        parent: link.name,
+        child: child.name,
+        position: (joint.origPosition ?? joint.position).toArray(),
+        quaternion: (joint.origQuaternion ?? joint.quaternion).toArray(),
+        axis: joint.axis.toArray(),
+        limit: { lower: joint.limit.lower, upper: joint.limit.upper },
+        value: joint.angle ?? 0,
+      })
+      visit(child)
+    }
+  }
+  visit(robot)
+  return { name: robot.robotName, root: robot.name, joints, dynamics: robot.userData.dynamics }
+}
+
+/**
+ * Rebuilds a mesh-less robot from describeKinematics, with the same links,
+ * joints and setJointValue behaviour as the parsed one; for contexts
+ * without DOMParser, such as the simulation worker.
+ */
+export function buildKinematicRobot(desc) {
+  const robot = new URDFRobot()
+  robot.name = robot.urdfName = desc.root
+  robot.robotName = desc.name
+  robot.links = { [desc.root]: robot }
+  robot.joints = {}
+  for (const d of desc.joints) {
+    const joint = new URDFJoint()
+    joint.name = joint.urdfName = d.name
+    joint.jointType = d.type
+    joint.position.fromArray(d.position)
+    joint.quaternion.fromArray(d.quaternion)
+    joint.axis.fromArray(d.axis)
+    joint.limit.lower = d.limit.lower
+    joint.limit.upper = d.limit.upper
+    const link = new URDFLink()
+    link.name = link.urdfName = d.child
+    joint.add(link)
+    robot.links[d.parent].add(joint)
+    robot.links[d.child] = link
+    robot.joints[d.name] = joint
+    joint.setJointValue(d.value)
+  }
+  robot.frames = { ...robot.links, ...robot.joints }
+  robot.userData.dynamics = desc.dynamics
+  return robot
+}
@@ -0,0 +1,58 @@
+import * as THREE from 'three'
+
+const _pos = new THREE.Vector3()
+
+/**
+ * Static scene descriptions captured once per episode for the dataset header.
+ */
+
+export function describeRobot(robot) {
+  const joints = []
+  for (const [name, j] of Object.entries(robot?.joints ?? {})) {
+    if (j.jointType === 'fixed') continue
+    joints.push({ name, type: j.jointType, lower: j.limit.lower, upper: j.limit.upper })
+  }
+  return { name: robot?.robotName ?? 'g1', joints }
+}
+
+export function describeObjects(world) {
+  const objects = []
+  if (!world) return objects
+  world.forEachRigidBody((body) => {
+    if (!body.isDynamic()) return
+    const colliders = []
+    for (let i = 0; i < body.numColliders(); i++) {
+      const c = body.collider(i)
+      colliders.push({ friction: c.friction(), restitution: c.restitution(), density: c.density() })
+    }
+    objects.push({ id: body.userData?.id ?? `body_${body.handle}`, mass: body.mass(), colliders })
+  })
+  return objects
+}
+
+export function describeLighting(scene) {
+  const lights = []
+  if (!scene) return { background: null, lights }
+  scene.traverse((o) => {
+    if (!o.isLight) return
+    o.getWorldPosition(_pos)
+    const light = {
+      type: o.type,
+      color: '#' + o.color.getHexString(),
+      intensity: o.intensity,
+      position: [_pos.x, _pos.y, _pos.z],
+    }
+    if (o.groundColor) light.groundColor = '#' + o.groundColor.getHexString()
+    lights.push(light)
+  })
+  const background = scene.background?.isColor ? '#' + scene.background.getHexString() : null
+  return { background, lights }
+}
+
+export function describeEnvironment({ robot, world, scene }) {
+  return {
+    robot: describeRobot(robot),
+    objects: describeObjects(world),
+    lighting: describeLighting(scene),
+  }
+}
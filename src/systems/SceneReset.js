@@ -0,0 +1,42 @@
+import { seededRandom } from './SeededRandom.js'
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32)
+}
+
+/**
+ * Scene reset broadcaster. Subscribers (robot, scenario runner) put
+ * themselves back in their initial state; random() hands each of them a PRNG
+ * seeded with the current seed, so a seed always reproduces the same scene.
+ *
+ *   const resets = new SceneReset({ seed: 42 })
+ *   resets.subscribe(({ seed }) => ...)
+ *   resets.reset()             // next seed: 43, 44, … or random when unseeded
+ *   resets.reset({ seed: 7 })  // a specific scene
+ *
+ * With a starting seed every session walks the same sequence of scenes, which
+ * is what A/B comparisons between operators need.
+ */
+export class SceneReset {
+  constructor({ seed } = {}) {
+    this.fixed = seed !== undefined && seed !== null
+    this.seed = (this.fixed ? seed : randomSeed()) >>> 0
+    this.listeners = new Set()
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  random() {
+    return seededRandom(this.seed)
+  }
+
+  reset({ seed } = {}) {
+    if (seed !== undefined) this.seed = seed >>> 0
+    else this.seed = this.fixed ? (this.seed + 1) >>> 0 : randomSeed()
+    for (const l of this.listeners) l({ seed: this.seed })
+    return this.seed
+  }
+}
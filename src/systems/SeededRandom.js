@@ -0,0 +1,14 @@
+/**
+ * Deterministic PRNG (mulberry32) with the Math.random signature: the same
+ * seed always yields the same sequence of floats in [0, 1).
+ */
+export function seededRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
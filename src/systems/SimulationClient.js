@@ -0,0 +1,305 @@
+import * as THREE from 'three'
+import { describeKinematics } from './RobotModel.js'
+import { collisionHulls } from './PhysicsManager.js'
+import { emptyCommands } from './ControlPipeline.js'
+import { packXRJoints, PHYSICS_HZ, CONTROL_HZ, OBJECT_STRIDE } from './SimulationCore.js'
+
+// Poses are shown this far behind the newest state, so there is usually a
+// later one to interpolate toward: one control period plus message jitter (ms)
+const RENDER_DELAY_MS = 30
+const HISTORY = 8
+// Smoothing of the worker load shown on the performance panel
+const LOAD_EMA = 0.1
+
+const _frameInv = new THREE.Matrix4()
+const _frameQuat = new THREE.Quaternion()
+const _qa = new THREE.Quaternion()
+const _qb = new THREE.Quaternion()
+const _pos = new THREE.Vector3()
+
+/**
+ * A dynamic body simulated in the worker, with the parts of Rapier's
+ * RigidBody API that the recorder, describeObjects, the scenario predicates
+ * and EpisodePlayer use. A replay takes it over through setBodyType and the
+ * kinematic setters; pose updates from the worker resume on release.
+ */
+class MirroredBody {
+  constructor(id, handle) {
+    this.userData = { id }
+    this.handle = handle
+    this.info = null
+    this.replayed = false
+    this.position = new THREE.Vector3()
+    this.quaternion = new THREE.Quaternion()
+    this.velocity = new THREE.Vector3()
+  }
+
+  isDynamic() { return true }
+  translation() { return this.position }
+  rotation() { return this.quaternion }
+  linvel() { return this.velocity }
+  mass() { return this.info?.mass ?? 0 }
+  numColliders() { return this.info?.colliders.length ?? 0 }
+
+  collider(i) {
+    const c = this.info.colliders[i]
+    return { friction: () => c.friction, restitution: () => c.restitution, density: () => c.density }
+  }
+
+  read(buf, o) {
+    this.position.fromArray(buf, o)
+    this.quaternion.fromArray(buf, o + 3)
+    this.velocity.fromArray(buf, o + 7)
+  }
+
+  bodyType() { return this.replayed ? 'replayed' : 'simulated' }
+  setBodyType(type) { this.replayed = type !== 'simulated' }
+  setNextKinematicTranslation(t) { this.position.set(t.x, t.y, t.z) }
+  setNextKinematicRotation(q) { this.quaternion.set(q.x, q.y, q.z, q.w) }
+  setLinvel() {}
+  setAngvel() {}
+}
+
+/**
+ * Render-thread side of the simulation worker (SimulationWorker.js, which
+ * runs SimulationCore): retargeting, IK, the servo and Rapier run there on a
+ * fixed clock, and this posts operator input and shows interpolated states.
+ *
+ * It mirrors what the rest of the app reads off PhysicsManager
+ * (fingertipForces, linkForces, contactPoints) and the Rapier world (world,
+ * with MirroredBody entries), so ContactReadout, ContactFeedback, the
+ * recorder and EpisodePlayer work unchanged. Everything sent and received
+ * is in the frame of Scene's world group; contact points and the commands'
+ * wrist targets are converted to scene space on update(), the frame the
+ * in-thread pipeline and the recorded head and base poses use.
+ *
+ *   sim.loadRobot(robot, { base, options })   // once the robot is posed
+ *   sim.loadScene({ boxes, objects, spawns })
+ *   // every frame:
+ *   sim.update(worldGroup.matrixWorld); sim.applyTo(robot)
+ *   sim.input(tracked, { held, frame: worldGroup.matrixWorld, base, ikScale, colliders, grasp })
+ */
+export class SimulationClient {
+  constructor({ physicsHz = PHYSICS_HZ, controlHz = CONTROL_HZ, delayMs = RENDER_DELAY_MS } = {}) {
+    this.physicsHz = physicsHz
+    this.controlHz = controlHz
+    this.delayMs = delayMs
+    this.worker = null
+    this.jointNames = []
+    this.q = new Float64Array(0)
+    this.history = []
+    // Interpolated, for rendering and recording; stateBodies hold the newest
+    // state as it arrives, for the predicates
+    this.bodies = []
+    this.stateBodies = {}
+    this.world = {
+      forEachRigidBody: fn => this.bodies.forEach(fn),
+      getRigidBody: handle => this.bodies[handle],
+    }
+    this.commands = { left: emptyCommands(), right: emptyCommands(), body: null }
+    this.rawCommands = this.commands
+    this.blocked = { left: false, right: false }
+    this.blockedBy = { left: null, right: null }
+    this.fingertipForces = { left: [0, 0, 0], right: [0, 0, 0] }
+    this.linkForces = {}
+    this.contactPoints = []
+    this.rawPoints = []
+    this.load = { controlMs: 0, physicsMs: 0, skipped: 0 }
+    this.episode = null
+    this.listeners = new Set()
+  }
+
+  /** listener(state) for every state received from the worker. Returns an unsubscribe function. */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  post(message, transfer) {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./SimulationWorker.js', import.meta.url), { type: 'module' })
+      this.worker.onmessage = e => this.receive(e.data)
+      this.worker.onerror = e => console.error('[Simulation] worker error:', e.message)
+      this.worker.postMessage({ type: 'init', physicsHz: this.physicsHz, controlHz: this.controlHz })
+    }
+    this.worker.postMessage(message, transfer)
+  }
+
+  /**
+   * Hands the robot to the worker as it stands: joint values and limits,
+   * collision hulls, and base, the root group's pose in the world group.
+   * The worker rebuilds its world around it; options go to ControlPipeline.
+   */
+  loadRobot(robot, { base, options }) {
+    const kinematics = describeKinematics(robot)
+    this.jointNames = kinematics.joints.map(j => j.name)
+    this.q = new Float64Array(this.jointNames.length)
+    this.history = []
+    this.post({ type: 'robot', kinematics, hulls: collisionHulls(robot), base: poseOf(base), options })
+  }
+
+  /** { boxes, objects, spawns }; see SimulationCore.setScene. */
+  loadScene(scene) {
+    this.bodies = scene.objects.map((def, i) => new MirroredBody(def.id, i))
+    this.stateBodies = Object.fromEntries(scene.objects.map((def, i) => [def.id, new MirroredBody(def.id, i)]))
+    this.history = []
+    this.post({ type: 'scene', scene })
+  }
+
+  configure(options) { this.post({ type: 'configure', options }) }
+  home() { this.post({ type: 'home' }) }
+  reset() { this.post({ type: 'reset' }) }
+  respawn(spawns) { this.post({ type: 'respawn', spawns }) }
+  pause() { this.post({ type: 'pause' }) }
+
+  resume() {
+    this.history = []
+    this.post({ type: 'resume' })
+  }
+
+  /**
+   * Operator input for the next control updates. tracked: { left, right }
+   * from readXRJoints or null; frame: the world group's matrixWorld; base:
+   * the robot's root group; grasp as for ControlPipeline.control.
+   */
+  input(tracked, { held, frame, base, ikScale = 1, colliders, grasp = null }) {
+    _frameInv.copy(frame).invert()
+    const sides = {
+      left: tracked?.left?.wrist ? packXRJoints(tracked.left, _frameInv) : null,
+      right: tracked?.right?.wrist ? packXRJoints(tracked.right, _frameInv) : null,
+    }
+    const input = { sides, held, base: poseOf(base), ikScale, colliders, grasp }
+    this.post({ type: 'input', input }, [sides.left?.buffer, sides.right?.buffer].filter(Boolean))
+  }
+
+  receive(msg) {
+    if (msg.type === 'objects') {
+      msg.objects.forEach((info, i) => {
+        if (this.bodies[i]) this.bodies[i].info = info
+        if (this.stateBodies[info.id]) this.stateBodies[info.id].info = info
+      })
+      return
+    }
+    // States from before the last loadRobot or loadScene are dropped
+    if (msg.type !== 'state' || msg.q.length !== this.q.length || msg.objects.length !== this.bodies.length * OBJECT_STRIDE) return
+
+    this.history.push(msg)
+    if (this.history.length > HISTORY) this.history.shift()
+    Object.values(this.stateBodies).forEach((b, i) => b.read(msg.objects, i * OBJECT_STRIDE))
+    this.rawCommands = msg.commands
+    this.blocked = msg.blocked
+    this.blockedBy = msg.blockedBy
+    this.fingertipForces = msg.contacts.fingertip
+    this.linkForces = msg.contacts.links
+    this.rawPoints = msg.contacts.points
+
+    const load = this.load
+    const skipped = msg.skipped - load.skipped
+    load.controlMs += (msg.load.controlMs - load.controlMs) * LOAD_EMA
+    load.physicsMs += (msg.load.physicsMs - load.physicsMs) * LOAD_EMA
+    load.skipped = msg.skipped
+    const ep = this.episode
+    if (ep) {
+      ep.states++
+      ep.skipped += skipped
+      ep.controlMs += msg.load.controlMs
+      ep.physicsMs += msg.load.physicsMs
+      ep.maxPhysicsMs = Math.max(ep.maxPhysicsMs, msg.load.physicsMs)
+    }
+    for (const l of this.listeners) l(msg)
+  }
+
+  /**
+   * Interpolates joints and bodies RENDER_DELAY_MS behind now, holding the
+   * newest state when nothing later has arrived. frame: the world group's
+   * matrixWorld. Returns false before the first state.
+   */
+  update(frame, now = performance.timeOrigin + performance.now()) {
+    const h = this.history
+    if (!h.length) return false
+    const t = now - this.delayMs
+    let a = h[h.length - 1]
+    let b = null
+    for (let i = h.length - 2; i >= 0; i--) {
+      if (h[i].wall <= t) {
+        a = h[i]
+        b = h[i + 1]
+        break
+      }
+      a = h[i]
+    }
+    const alpha = b ? Math.min(1, (t - a.wall) / (b.wall - a.wall)) : 0
+
+    for (let i = 0; i < this.q.length; i++) this.q[i] = b ? a.q[i] + (b.q[i] - a.q[i]) * alpha : a.q[i]
+    this.bodies.forEach((body, i) => {
+      if (body.replayed) return
+      const o = i * OBJECT_STRIDE
+      body.read(a.objects, o)
+      if (!b) return
+      body.position.lerp(_pos.fromArray(b.objects, o), alpha)
+      body.quaternion.copy(_qa.fromArray(a.objects, o + 3)).slerp(_qb.fromArray(b.objects, o + 3), alpha)
+    })
+
+    this.contactPoints = this.rawPoints.map(c => {
+      _pos.set(c.x, c.y, c.z).applyMatrix4(frame)
+      return { ...c, x: _pos.x, y: _pos.y, z: _pos.z }
+    })
+    _frameQuat.setFromRotationMatrix(frame)
+    const { left, right, body } = this.rawCommands
+    this.commands = { left: toScene(left, frame), right: toScene(right, frame), body }
+    return true
+  }
+
+  /** Writes the interpolated joint values into the rendered robot. */
+  applyTo(robot) {
+    this.jointNames.forEach((name, i) => robot.joints?.[name]?.setJointValue(this.q[i]))
+  }
+
+  /** Worker load over the last states: { controlMs, physicsMs } per control period, skipped steps so far. */
+  stats() {
+    return { physicsHz: this.physicsHz, controlHz: this.controlHz, ...this.load }
+  }
+
+  startEpisode() {
+    this.episode = { states: 0, skipped: 0, controlMs: 0, physicsMs: 0, maxPhysicsMs: 0 }
+  }
+
+  /**
+   * Simulation summary for episode metadata: { physicsHz, controlHz,
+   * states, skippedSteps, controlMs, physicsMs, maxPhysicsMs }, times per
+   * control period.
+   */
+  endEpisode() {
+    const ep = this.episode
+    if (!ep) return null
+    this.episode = null
+    const mean = v => (ep.states ? Math.round((v / ep.states) * 1000) / 1000 : 0)
+    return {
+      physicsHz: this.physicsHz,
+      controlHz: this.controlHz,
+      states: ep.states,
+      skippedSteps: ep.skipped,
+      controlMs: mean(ep.controlMs),
+      physicsMs: mean(ep.physicsMs),
+      maxPhysicsMs: Math.round(ep.maxPhysicsMs * 1000) / 1000,
+    }
+  }
+}
+
+// A worker command with its wrist target (arrays, see SimulationCore.state)
+// in scene space; joint-space commands (ik, hand) need no conversion
+function toScene(cmd, frame) {
+  if (!cmd?.wrist) return cmd
+  const { position, quaternion } = cmd.wrist
+  return {
+    ...cmd,
+    wrist: {
+      position: new THREE.Vector3().fromArray(position).applyMatrix4(frame),
+      quaternion: new THREE.Quaternion().fromArray(quaternion).premultiply(_frameQuat),
+    },
+  }
+}
+
+function poseOf(object) {
+  return [...object.position.toArray(), ...object.quaternion.toArray()]
+}
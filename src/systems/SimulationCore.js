@@ -0,0 +1,339 @@
+import * as THREE from 'three'
+import { ControlPipeline } from './ControlPipeline.js'
+import { PhysicsManager, SCENE_COLLISION_GROUPS } from './PhysicsManager.js'
+import { buildKinematicRobot, ROBOT_BASE_QUAT } from './RobotModel.js'
+import { XR_JOINT_NAMES } from '../constants/kinematics.js'
+
+export const PHYSICS_HZ = 200
+export const CONTROL_HZ = 50
+// Floats per object in a state: position, quaternion, linear velocity
+export const OBJECT_STRIDE = 10
+// Floats per XR joint in an input: position, quaternion
+const JOINT_STRIDE = 7
+// A stall longer than this many steps is not caught up: the simulation
+// skips ahead and counts the skipped steps
+const MAX_CATCHUP_STEPS = 20
+// Same floor as Scene's PhysicsFloor
+const FLOOR_HALF = [15, 0.01, 15]
+const FLOOR_Y = -0.01
+
+const _p = new THREE.Vector3()
+const _r = new THREE.Quaternion()
+const _frameQuat = new THREE.Quaternion()
+const _q = new THREE.Quaternion()
+const _yAxis = new THREE.Vector3(0, 1, 0)
+
+/**
+ * One hand's XR joints (see readXRJoints) as XR_JOINT_NAMES × 7 floats,
+ * position then quaternion, NaN where a joint has no pose; matrix, if given,
+ * is applied to every pose first.
+ */
+export function packXRJoints(joints, matrix = null) {
+  const out = new Float32Array(XR_JOINT_NAMES.length * JOINT_STRIDE).fill(NaN)
+  if (matrix) _frameQuat.setFromRotationMatrix(matrix)
+  XR_JOINT_NAMES.forEach((name, i) => {
+    const j = joints[name]
+    if (!j) return
+    _p.copy(j.position)
+    _r.copy(j.quaternion)
+    if (matrix) {
+      _p.applyMatrix4(matrix)
+      _r.premultiply(_frameQuat)
+    }
+    _p.toArray(out, i * JOINT_STRIDE)
+    _r.toArray(out, i * JOINT_STRIDE + 3)
+  })
+  return out
+}
+
+/** Inverse of packXRJoints, into pooled vectors; null for no hand. */
+export function unpackXRJoints(buf, pool) {
+  if (!buf) return null
+  const joints = {}
+  XR_JOINT_NAMES.forEach((name, i) => {
+    const o = i * JOINT_STRIDE
+    if (Number.isNaN(buf[o])) return
+    const j = pool[name] ?? (pool[name] = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() })
+    j.position.fromArray(buf, o)
+    j.quaternion.fromArray(buf, o + 3)
+    joints[name] = j
+  })
+  return joints
+}
+
+// Commands as posted to the render thread: structured clone keeps no
+// three.js prototypes, so the wrist pose travels as arrays
+function packCommand(cmd) {
+  if (!cmd) return null
+  const wrist = cmd.wrist && { position: cmd.wrist.position.toArray(), quaternion: cmd.wrist.quaternion.toArray() }
+  return { ...cmd, wrist, xr: null }
+}
+
+function cuboid(rapier, half) {
+  return rapier.ColliderDesc.cuboid(half[0], half[1], half[2])
+}
+
+/**
+ * The robot, its control loop and the task world on a fixed clock, with no
+ * rendering: the body of the simulation worker (see SimulationWorker.js and
+ * SimulationClient), and runnable under Node.
+ *
+ * Physics steps at physicsHz; every physicsHz / controlHz steps the latest
+ * input goes through ControlPipeline.control(), and each step the servo
+ * moves the arms toward the targets before the robot colliders follow. All
+ * coordinates are in the frame of Scene's world group.
+ */
+export class SimulationCore {
+  constructor(rapier, { physicsHz = PHYSICS_HZ, controlHz = CONTROL_HZ } = {}) {
+    this.rapier = rapier
+    this.physicsHz = physicsHz
+    this.controlHz = controlHz
+    this.dt = 1 / physicsHz
+    this.controlEvery = Math.max(1, Math.round(physicsHz / controlHz))
+    // Physics steps since start, skipped ones included
+    this.tick = 0
+    this.skipped = 0
+    this.world = null
+    this.base = new THREE.Group()
+    this.robot = null
+    this.joints = []
+    this.physics = null
+    this.pipeline = null
+    this.scene = null
+    this.sceneBodies = []
+    this.objects = []
+    this.input = null
+    this.pool = { left: {}, right: {} }
+    this.load = { controlMs: 0, physicsMs: 0 }
+  }
+
+  get time() { return this.tick * this.dt }
+
+  /**
+   * (Re)builds the world around a robot: { kinematics } from
+   * describeKinematics, { hulls } from collisionHulls, base: [x, y, z, qx,
+   * qy, qz, qw] and ControlPipeline options. The scene, if set, is kept.
+   */
+  setRobot({ kinematics, hulls, base, options }) {
+    this.dispose()
+    const rapier = this.rapier
+    this.world = new rapier.World({ x: 0, y: -9.81, z: 0 })
+    this.world.timestep = this.dt
+    const floor = this.world.createRigidBody(rapier.RigidBodyDesc.fixed())
+    this.world.createCollider(cuboid(rapier, FLOOR_HALF).setTranslation(0, FLOOR_Y, 0), floor)
+
+    const robot = buildKinematicRobot(kinematics)
+    robot.userData.collisionHulls = hulls
+    robot.quaternion.copy(ROBOT_BASE_QUAT)
+    this.base.add(robot)
+    this.setBase(base)
+    this.robot = robot
+    this.joints = kinematics.joints.map(j => robot.joints[j.name])
+
+    this.physics = new PhysicsManager(rapier, this.world)
+    this.physics.init(robot)
+    this.pipeline = new ControlPipeline(robot, options)
+    if (this.scene) this.setScene(this.scene)
+  }
+
+  setBase(pose) {
+    if (!pose) return
+    this.base.position.fromArray(pose)
+    this.base.quaternion.fromArray(pose, 3)
+    this.base.updateMatrixWorld(true)
+  }
+
+  /**
+   * Task world: { boxes: [{ position, size }] } static, { objects } as in
+   * the scenario registry and { spawns: [{ position, yaw }] } per object.
+   * Replaces the previous one; kept across setRobot.
+   */
+  setScene(scene) {
+    this.scene = scene
+    if (!this.world) return
+    const rapier = this.rapier
+    const world = this.world
+    for (const body of this.sceneBodies) world.removeRigidBody(body)
+
+    const fixed = world.createRigidBody(rapier.RigidBodyDesc.fixed())
+    for (const { position, size } of scene.boxes) {
+      world.createCollider(cuboid(rapier, size.map(s => s / 2)).setTranslation(...position), fixed)
+    }
+    this.objects = scene.objects.map((def) => {
+      const { ccd, linearDamping, angularDamping, density, friction, restitution } = def.body ?? {}
+      const desc = rapier.RigidBodyDesc.dynamic().setCcdEnabled(!!ccd)
+      if (linearDamping !== undefined) desc.setLinearDamping(linearDamping)
+      if (angularDamping !== undefined) desc.setAngularDamping(angularDamping)
+      const body = world.createRigidBody(desc)
+      body.userData = { id: def.id }
+      const shape = def.shape === 'ball'
+        ? rapier.ColliderDesc.ball(def.radius)
+        : rapier.ColliderDesc.cuboid(def.size / 2, def.size / 2, def.size / 2)
+      if (density !== undefined) shape.setDensity(density)
+      if (friction !== undefined) shape.setFriction(friction)
+      if (restitution !== undefined) shape.setRestitution(restitution)
+      shape.setCollisionGroups(SCENE_COLLISION_GROUPS)
+      world.createCollider(shape, body)
+      return body
+    })
+    this.sceneBodies = [fixed, ...this.objects]
+    this.respawn(scene.spawns)
+  }
+
+  /** Each object's { id, mass, colliders }, for describeObjects. */
+  describeObjects() {
+    return this.objects.map((body) => {
+      const colliders = []
+      for (let i = 0; i < body.numColliders(); i++) {
+        const c = body.collider(i)
+        colliders.push({ friction: c.friction(), restitution: c.restitution(), density: c.density() })
+      }
+      return { id: body.userData.id, mass: body.mass(), colliders }
+    })
+  }
+
+  /** Puts every object back at rest on its spawn pose. */
+  respawn(spawns) {
+    if (this.scene) this.scene.spawns = spawns
+    this.objects.forEach((body, i) => {
+      const spawn = spawns[i]
+      if (!spawn) return
+      const [x, y, z] = spawn.position
+      body.setTranslation({ x, y, z }, true)
+      body.setRotation(_q.setFromAxisAngle(_yAxis, spawn.yaw), true)
+      body.setLinvel({ x: 0, y: 0, z: 0 }, true)
+      body.setAngvel({ x: 0, y: 0, z: 0 }, true)
+    })
+  }
+
+  configure(options) {
+    this.pipeline?.configure(options)
+  }
+
+  /**
+   * Latest operator input, used by every control update until the next:
+   * { sides: { left, right } from packXRJoints or null, held: { left, right },
+   * base, ikScale, colliders, grasp } (grasp as for ControlPipeline.control).
+   */
+  setInput(input) {
+    this.input = input
+  }
+
+  /** Robot back to HOME_POSE with its control state cleared. */
+  home() {
+    if (!this.robot) return
+    this.pipeline.home()
+    this.physics.placeColliders(this.robot)
+  }
+
+  /** Clears filters and servo state only, e.g. after a replay moved the robot. */
+  reset() {
+    this.pipeline?.reset()
+  }
+
+  /**
+   * Runs the physics steps due by `elapsed` (s since simulation time 0) and
+   * returns the state at the end of every control period completed.
+   */
+  advance(elapsed) {
+    const states = []
+    if (!this.world) return states
+    let due = Math.floor(elapsed / this.dt) - this.tick
+    if (due > MAX_CATCHUP_STEPS) {
+      this.skipped += due - MAX_CATCHUP_STEPS
+      this.tick += due - MAX_CATCHUP_STEPS
+      due = MAX_CATCHUP_STEPS
+    }
+    for (let i = 0; i < due; i++) {
+      this.step()
+      if (this.tick % this.controlEvery === 0) states.push(this.state())
+    }
+    return states
+  }
+
+  step() {
+    const { robot, physics, pipeline } = this
+    if (robot) {
+      if (this.tick % this.controlEvery === 0) {
+        const t0 = performance.now()
+        this.control()
+        this.load.controlMs += performance.now() - t0
+      }
+    }
+    const t0 = performance.now()
+    if (robot) {
+      pipeline.servo(this.time * 1000, physics)
+      physics.syncToPhysics(robot)
+    }
+    this.world.step()
+    physics?.measureContacts(this.dt)
+    this.load.physicsMs += performance.now() - t0
+    this.tick++
+  }
+
+  control() {
+    const input = this.input
+    this.setBase(input?.base)
+    if (input?.colliders) this.physics.setDetail(input.colliders)
+    const tracked = input && {
+      left: unpackXRJoints(input.sides.left, this.pool.left),
+      right: unpackXRJoints(input.sides.right, this.pool.right),
+    }
+    this.pipeline.control(tracked, {
+      held: input?.held,
+      forces: this.physics.linkForces,
+      ikScale: input?.ikScale ?? 1,
+      grasp: input?.grasp,
+    })
+  }
+
+  /**
+   * { type: 'state', t, q (describeKinematics joint order), objects
+   * (OBJECT_STRIDE per scene object), commands without xr and with wrist
+   * poses as arrays, blocked, blockedBy, contacts: { fingertip, links,
+   * points }, skipped, load } where load is the control and physics time
+   * (ms) spent on this period.
+   */
+  state() {
+    const q = new Float64Array(this.joints.length)
+    this.joints.forEach((j, i) => { q[i] = j.angle ?? 0 })
+    const objects = new Float32Array(this.objects.length * OBJECT_STRIDE)
+    this.objects.forEach((body, i) => {
+      const p = body.translation()
+      const r = body.rotation()
+      const v = body.linvel()
+      objects.set([p.x, p.y, p.z, r.x, r.y, r.z, r.w, v.x, v.y, v.z], i * OBJECT_STRIDE)
+    })
+    const pm = this.physics
+    const { left, right, body } = this.pipeline?.commands ?? {}
+    const state = {
+      type: 'state',
+      t: this.time,
+      q,
+      objects,
+      commands: { left: packCommand(left), right: packCommand(right), body: body ?? null },
+      blocked: { ...this.pipeline?.blocked },
+      blockedBy: { ...pm?.blockedBy },
+      contacts: {
+        fingertip: { left: [...(pm?.fingertipForces.left ?? [])], right: [...(pm?.fingertipForces.right ?? [])] },
+        links: { ...pm?.linkForces },
+        points: pm ? pm.contactPoints.slice() : [],
+      },
+      skipped: this.skipped,
+      load: this.load,
+    }
+    this.load = { controlMs: 0, physicsMs: 0 }
+    return state
+  }
+
+  dispose() {
+    if (this.robot) this.base.remove(this.robot)
+    this.robot = null
+    this.physics = null
+    this.pipeline = null
+    this.sceneBodies = []
+    this.objects = []
+    this.world?.free()
+    this.world = null
+  }
+}
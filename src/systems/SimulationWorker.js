@@ -0,0 +1,53 @@
+import RAPIER from '@dimforge/rapier3d-compat'
+import { SimulationCore } from './SimulationCore.js'
+
+// Simulation worker entry (see SimulationClient for the other end). Messages
+// are handled in order once Rapier's WASM is up; the clock runs from the
+// first robot on and stops while paused.
+
+const ready = RAPIER.init()
+let core = null
+let timer = null
+// performance.now() at simulation time 0
+let origin = 0
+
+function run() {
+  for (const state of core.advance((performance.now() - origin) / 1000)) {
+    // The wall-clock time the state belongs to, comparable across threads
+    state.wall = performance.timeOrigin + origin + state.t * 1000
+    self.postMessage(state, [state.q.buffer, state.objects.buffer])
+  }
+}
+
+function start() {
+  if (timer !== null || !core?.robot) return
+  origin = performance.now() - core.time * 1000
+  timer = setInterval(run, 1000 / core.physicsHz)
+}
+
+function stop() {
+  clearInterval(timer)
+  timer = null
+}
+
+function postObjects() {
+  self.postMessage({ type: 'objects', objects: core.describeObjects() })
+}
+
+const handlers = {
+  init: ({ physicsHz, controlHz }) => { core = new SimulationCore(RAPIER, { physicsHz, controlHz }) },
+  robot: (m) => { core.setRobot(m); postObjects(); start() },
+  scene: ({ scene }) => { core.setScene(scene); postObjects() },
+  input: ({ input }) => core.setInput(input),
+  configure: ({ options }) => core.configure(options),
+  home: () => core.home(),
+  reset: () => core.reset(),
+  respawn: ({ spawns }) => core.respawn(spawns),
+  pause: stop,
+  resume: start,
+}
+
+self.onmessage = async ({ data }) => {
+  await ready
+  handlers[data.type]?.(data)
+}
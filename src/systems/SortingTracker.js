@@ -0,0 +1,89 @@
+/**
+ * Tracks which basket each ball has settled in for sorting tasks.
+ *
+ * A ball counts as placed in a basket once its centre is inside the basket's
+ * interior box and it has stayed slower than settleSpeed for stableSteps
+ * consecutive physics steps. labels maps ball id → basket id (null when the
+ * ball is not in any basket). Full success is every ball settled in the
+ * basket that accepts its color; after `timeout` seconds the task fails with
+ * the partial score attached.
+ *
+ * baskets: [{ id, accepts, center: [x, y, z], half: [hx, hy, hz] }]  (axis-aligned interiors)
+ * balls:   [{ id, color }]
+ * bodies:  ball id → object with translation() and linvel() (Rapier rigid bodies)
+ */
+export class SortingTracker {
+  constructor({ baskets, balls, settleSpeed = 0.05, stableSteps = 30, timeout = 180 }) {
+    this.baskets = baskets
+    this.balls = balls
+    this.settleSpeed = settleSpeed
+    this.stableSteps = stableSteps
+    this.timeout = timeout
+    this.reset()
+  }
+
+  reset() {
+    this.elapsed = 0
+    this.outcome = null
+    this.labels = Object.fromEntries(this.balls.map(b => [b.id, null]))
+    this.candidate = Object.fromEntries(this.balls.map(b => [b.id, { basket: null, steps: 0 }]))
+  }
+
+  basketAt(p) {
+    for (const b of this.baskets) {
+      if (Math.abs(p.x - b.center[0]) <= b.half[0]
+        && Math.abs(p.y - b.center[1]) <= b.half[1]
+        && Math.abs(p.z - b.center[2]) <= b.half[2]) return b.id
+    }
+    return null
+  }
+
+  get score() {
+    const accepts = Object.fromEntries(this.baskets.map(b => [b.id, b.accepts]))
+    let placed = 0, correct = 0
+    for (const ball of this.balls) {
+      const basket = this.labels[ball.id]
+      if (!basket) continue
+      placed++
+      if (accepts[basket] === ball.color) correct++
+    }
+    return { placed, correct, total: this.balls.length, partial: correct / this.balls.length }
+  }
+
+  /**
+   * Call once per physics step. Returns { changed, outcome }: changed is true
+   * when any label moved this step, outcome is set the first time one is reached.
+   */
+  step(bodies, dt) {
+    if (this.outcome) return { changed: false, outcome: null }
+    this.elapsed += dt
+    let changed = false
+
+    for (const ball of this.balls) {
+      const body = bodies[ball.id]
+      if (!body) continue
+      const p = body.translation()
+      const v = body.linvel()
+      const c = this.candidate[ball.id]
+      const basket = this.basketAt(p)
+      const slow = Math.hypot(v.x, v.y, v.z) <= this.settleSpeed
+
+      if (basket !== c.basket) { c.basket = basket; c.steps = 0 }
+      c.steps = slow ? c.steps + 1 : 0
+
+      const settled = basket === null || c.steps >= this.stableSteps
+      if (settled && this.labels[ball.id] !== basket) {
+        this.labels[ball.id] = basket
+        changed = true
+      }
+    }
+
+    const score = this.score
+    if (score.correct === score.total) {
+      this.outcome = { success: true, reason: 'sorted', ...score, labels: { ...this.labels } }
+    } else if (this.elapsed >= this.timeout) {
+      this.outcome = { success: false, reason: 'timeout', ...score, labels: { ...this.labels } }
+    }
+    return { changed, outcome: this.outcome }
+  }
+}
@@ -0,0 +1,22 @@
+const MAX_ATTEMPTS = 200
+
+/**
+ * Rejection-samples `count` planar spawn points inside region
+ * ({ x: [min, max], z: [min, max] }) at least minSeparation apart.
+ * Returns [{ x, z, yaw }]. Falls back to the last candidate if the
+ * region is too crowded to honour the separation.
+ */
+export function sampleLayout(count, { region, minSeparation = 0, random = Math.random }) {
+  const out = []
+  const lerp = ([lo, hi], t) => lo + (hi - lo) * t
+
+  for (let i = 0; i < count; i++) {
+    let p = null
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      p = { x: lerp(region.x, random()), z: lerp(region.z, random()), yaw: (random() * 2 - 1) * Math.PI }
+      if (out.every(o => Math.hypot(o.x - p.x, o.z - p.z) >= minSeparation)) break
+    }
+    out.push(p)
+  }
+  return out
+}
@@ -0,0 +1,70 @@
+/**
+ * Success detection for stacking tasks.
+ *
+ * A stack is complete when the bodies in `order` (bottom first) sit on top of
+ * each other: the bottom one rests on the table, each next one is one `size`
+ * higher, horizontal offsets are within alignTolerance and every body is
+ * slower than maxSpeed. The condition must hold for stableSteps consecutive
+ * physics steps. After `timeout` seconds without success the task fails.
+ *
+ * Bodies are anything with translation() and linvel() (Rapier rigid bodies).
+ */
+export class StackDetector {
+  constructor({
+    order,
+    size,
+    tableTop,
+    alignTolerance = 0.02,
+    heightTolerance = 0.012,
+    maxSpeed = 0.03,
+    stableSteps = 30,
+    timeout = 120,
+  }) {
+    this.order = order
+    this.size = size
+    this.tableTop = tableTop
+    this.alignTolerance = alignTolerance
+    this.heightTolerance = heightTolerance
+    this.maxSpeed = maxSpeed
+    this.stableSteps = stableSteps
+    this.timeout = timeout
+    this.reset()
+  }
+
+  reset() {
+    this.stable = 0
+    this.elapsed = 0
+    this.outcome = null
+  }
+
+  isStacked(bodies) {
+    let below = null
+    for (let i = 0; i < this.order.length; i++) {
+      const body = bodies[this.order[i]]
+      if (!body) return false
+      const p = body.translation()
+      const v = body.linvel()
+      if (Math.hypot(v.x, v.y, v.z) > this.maxSpeed) return false
+
+      const expectedY = this.tableTop + this.size * (i + 0.5)
+      if (Math.abs(p.y - expectedY) > this.heightTolerance) return false
+      if (below && Math.hypot(p.x - below.x, p.z - below.z) > this.alignTolerance) return false
+      below = p
+    }
+    return true
+  }
+
+  /** Call once per physics step. Returns the outcome the first time one is reached. */
+  step(bodies, dt) {
+    if (this.outcome) return null
+    this.elapsed += dt
+    this.stable = this.isStacked(bodies) ? this.stable + 1 : 0
+
+    if (this.stable >= this.stableSteps) {
+      this.outcome = { success: true, reason: 'stacked', elapsed: this.elapsed }
+    } else if (this.elapsed >= this.timeout) {
+      this.outcome = { success: false, reason: 'timeout', elapsed: this.elapsed }
+    }
+    return this.outcome
+  }
+}
@@ -0,0 +1,120 @@
+import * as THREE from 'three'
+import { XR_JOINT_NAMES, ARM_CHAIN, HAND_LINK } from '../constants/kinematics.js'
+
+// Fewer tracked joints than this and the runtime is mostly guessing the hand
+const MIN_TRACKED_JOINTS = 20
+// Faster than a human wrist moves (m/s, rad/s): the pose jumped
+const MAX_WRIST_SPEED = 4
+const MAX_WRIST_ANGULAR_SPEED = 30
+// Finger joints relative to the wrist (m/s)
+const MAX_FINGER_SPEED = 3
+// Wrist targets beyond this multiple of the arm's length from the shoulder
+const REACH_MARGIN = 1.2
+// Clean frames in a row before a held side follows the hand again
+const RECOVER_FRAMES = 5
+// Samples further apart than this (s) are not compared for speed
+const MAX_GAP = 0.1
+
+// Every fault check() can report, in a fixed order (bit i of an exported
+// fault mask is TRACKING_FAULTS[i])
+export const TRACKING_FAULTS = ['lost', 'low_confidence', 'jump', 'workspace']
+
+const _a = new THREE.Vector3()
+const _b = new THREE.Vector3()
+const _inv = new THREE.Quaternion()
+
+/** Sum of the arm's segment lengths, shoulder to hand link: an upper bound on its reach. */
+export function armReach(robot, side) {
+  const links = [...ARM_CHAIN[side].map(n => robot.joints?.[n]), robot.links?.[HAND_LINK[side]]]
+  if (links.some(l => !l)) return Infinity
+  let reach = 0
+  for (let i = 1; i < links.length; i++) {
+    reach += links[i - 1].getWorldPosition(_a).distanceTo(links[i].getWorldPosition(_b))
+  }
+  return reach
+}
+
+// Finger joint positions in the wrist frame
+function fingerOffsets(joints) {
+  const wrist = joints.wrist
+  _inv.copy(wrist.quaternion).invert()
+  const out = {}
+  for (const name of XR_JOINT_NAMES) {
+    if (name === 'wrist' || !joints[name]) continue
+    out[name] = joints[name].position.clone().sub(wrist.position).applyQuaternion(_inv)
+  }
+  return out
+}
+
+function sideState() {
+  return { ok: false, clean: 0, faults: ['lost'], prev: null }
+}
+
+/**
+ * Per-hand tracking quality. check() runs once per frame and side on the raw
+ * XR joints and reports faults: 'lost', 'low_confidence' (few joints tracked),
+ * 'jump' (implausibly fast wrist or finger motion) and 'workspace' (a wrist
+ * target the arm cannot reach). A side is held
+ * (ok false) from its first fault until RECOVER_FRAMES clean frames in a row,
+ * so a single glitch cannot reach the robot.
+ */
+export class TrackingMonitor {
+  constructor({ recoverFrames = RECOVER_FRAMES } = {}) {
+    this.recoverFrames = recoverFrames
+    this.sides = { left: sideState(), right: sideState() }
+  }
+
+  reset() {
+    this.sides = { left: sideState(), right: sideState() }
+  }
+
+  /**
+   * joints: readXRJoints() output, or null when the hand is not tracked.
+   * shoulder: world position of the arm's first joint; reach: armReach();
+   * minJoints: tracked joints below which the side is 'low_confidence' (1
+   * for a controller, which only yields a wrist). Returns { ok, faults }.
+   */
+  check(side, joints, { shoulder, reach, minJoints = MIN_TRACKED_JOINTS } = {}, now = performance.now()) {
+    const s = this.sides[side]
+    const faults = []
+    const wrist = joints?.wrist
+    const t = now / 1000
+
+    if (!wrist) {
+      faults.push('lost')
+      s.prev = null
+    } else {
+      if (Object.keys(joints).length < minJoints) faults.push('low_confidence')
+
+      const fingers = fingerOffsets(joints)
+      const dt = s.prev ? t - s.prev.t : 0
+      if (dt > 0 && dt <= MAX_GAP) {
+        const speed = wrist.position.distanceTo(s.prev.position) / dt
+        const angular = wrist.quaternion.angleTo(s.prev.quaternion) / dt
+        const fingerJump = Object.entries(fingers).some(([name, p]) => {
+          const before = s.prev.fingers[name]
+          return before && p.distanceTo(before) / dt > MAX_FINGER_SPEED
+        })
+        if (speed > MAX_WRIST_SPEED || angular > MAX_WRIST_ANGULAR_SPEED || fingerJump) faults.push('jump')
+      }
+      s.prev = { t, position: wrist.position.clone(), quaternion: wrist.quaternion.clone(), fingers }
+
+      if (shoulder && reach && wrist.position.distanceTo(shoulder) > reach * REACH_MARGIN) faults.push('workspace')
+    }
+
+    if (faults.length) {
+      s.ok = false
+      s.clean = 0
+    } else if (!s.ok && ++s.clean >= this.recoverFrames) {
+      s.ok = true
+    }
+    s.faults = faults
+    return { ok: s.ok, faults }
+  }
+
+  /** Last result for a side: { ok, faults }. */
+  status(side) {
+    const { ok, faults } = this.sides[side]
+    return { ok, faults }
+  }
+}
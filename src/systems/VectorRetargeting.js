@@ -0,0 +1,254 @@
+import * as THREE from 'three'
+import { HAND_JOINTS } from '../constants/kinematics.js'
+import { XR_TO_URDF, handJointAngle } from './HandRetargeting.js'
+
+// Pad centres in the distal link frames (m), 7 mm short of the tips of the
+// Dex3 meshes. The thumbs are mirrored; the fingers are not.
+const THUMB_PAD = { left: [0, -0.045, 0], right: [0, 0.045, 0] }
+const FINGER_PAD = [0.045, 0, 0]
+
+// Dex3 fingertip spans over an average adult hand's
+export const VECTOR_SCALE = 1.2
+// Human tip distances below this (m) are pinches: the robot gap then closes
+// linearly to PINCH_GAP at contact, and the vector weighs up to 1 + PINCH_WEIGHT
+const PINCH_DISTANCE = 0.03
+const PINCH_GAP = 0.012
+const PINCH_WEIGHT = 9
+// Cost per normalized DoF² of moving away from the last solution, and of
+// leaving the curl mapping (which settles what the vectors leave free)
+const SMOOTH_WEIGHT = 1e-4
+const PRIOR_WEIGHT = 2e-5
+export const VECTOR_ITERATIONS = 6
+const FD_STEP = 1e-4
+
+// Each target vector runs from the thumb pad to a finger pad
+const VECTORS = [
+  { finger: 'index', tip: 'index-finger-tip' },
+  { finger: 'middle', tip: 'middle-finger-tip' },
+]
+// Normalized DoFs, in HAND_JOINTS order
+const N = 7
+
+const _m = new THREE.Matrix4()
+const _joint = new THREE.Matrix4()
+const _rot = new THREE.Quaternion()
+const _one = new THREE.Vector3(1, 1, 1)
+const _inv = new THREE.Quaternion()
+const _a = new THREE.Vector3()
+
+function unpack(x) {
+  return {
+    thumb: { abduction: x[0], curl: [x[1], x[2]] },
+    middle: { curl: [x[3], x[4]] },
+    index: { curl: [x[5], x[6]] },
+  }
+}
+
+function pack(data) {
+  return [
+    data.thumb.abduction, data.thumb.curl[0], data.thumb.curl[1],
+    data.middle.curl[0], data.middle.curl[1], data.index.curl[0], data.index.curl[1],
+  ]
+}
+
+// Solves A x = b in place (A n×n row-major), Gaussian elimination with pivoting
+function solveLinear(A, b, n) {
+  for (let c = 0; c < n; c++) {
+    let p = c
+    for (let r = c + 1; r < n; r++) if (Math.abs(A[r * n + c]) > Math.abs(A[p * n + c])) p = r
+    if (p !== c) {
+      for (let k = 0; k < n; k++) {
+        const t = A[c * n + k]
+        A[c * n + k] = A[p * n + k]
+        A[p * n + k] = t
+      }
+      const t = b[c]
+      b[c] = b[p]
+      b[p] = t
+    }
+    const d = A[c * n + c]
+    if (Math.abs(d) < 1e-12) return false
+    for (let r = c + 1; r < n; r++) {
+      const f = A[r * n + c] / d
+      if (!f) continue
+      for (let k = c; k < n; k++) A[r * n + k] -= f * A[c * n + k]
+      b[r] -= f * b[c]
+    }
+  }
+  for (let r = n - 1; r >= 0; r--) {
+    let s = b[r]
+    for (let k = r + 1; k < n; k++) s -= A[r * n + k] * b[k]
+    b[r] = s / A[r * n + r]
+  }
+  return true
+}
+
+/**
+ * Dex3 fingertip forward kinematics for one hand, from the loaded robot's
+ * joint origins and axes. Pad positions come out in the palm link (HAND_LINK)
+ * frame; the robot itself is never moved.
+ */
+export class Dex3Hand {
+  constructor(robot, side) {
+    const joints = HAND_JOINTS[side].map(n => robot.joints?.[n])
+    this.valid = joints.every(j => j?.limit)
+    this.joints = joints
+    // urdf-loader keeps the URDF origin in orig* once a value has been set
+    this.origins = joints.map(j => j && new THREE.Matrix4().compose(j.origPosition ?? j.position, j.origQuaternion ?? j.quaternion, _one))
+    this.chains = {
+      thumb: { dofs: [0, 1, 2], pad: new THREE.Vector3(...THUMB_PAD[side]) },
+      index: { dofs: [5, 6], pad: new THREE.Vector3(...FINGER_PAD) },
+      middle: { dofs: [3, 4], pad: new THREE.Vector3(...FINGER_PAD) },
+    }
+  }
+
+  /** Palm-frame pad position of a finger for normalized DoFs x, into target. */
+  pad(finger, x, target) {
+    const { dofs, pad } = this.chains[finger]
+    _m.identity()
+    for (const i of dofs) {
+      const j = this.joints[i]
+      _rot.setFromAxisAngle(j.axis, handJointAngle(j, i, x[i]))
+      _m.multiply(this.origins[i]).multiply(_joint.makeRotationFromQuaternion(_rot))
+    }
+    return target.copy(pad).applyMatrix4(_m)
+  }
+}
+
+// Human thumb → fingertip vector in the robot palm frame, or null
+function humanVector(joints, tip, side, target) {
+  const wrist = joints?.wrist
+  const thumb = joints?.['thumb-tip']?.position
+  const finger = joints?.[tip]?.position
+  if (!wrist || !thumb || !finger) return null
+  _inv.copy(wrist.quaternion).multiply(XR_TO_URDF[side]).invert()
+  return target.copy(finger).sub(thumb).applyQuaternion(_inv)
+}
+
+/**
+ * Vector-optimization retargeting, after dex-retargeting: finds the Dex3
+ * DoFs whose thumb → index and thumb → middle pad vectors best match the
+ * operator's thumb → fingertip vectors, scaled by VECTOR_SCALE. Close
+ * pinches are pulled to a touching gap and weighted up, so a pinch the
+ * operator closes is closed on the robot too.
+ *
+ * Damped Gauss-Newton over the 7 normalized DoFs, bounded like retargetHand,
+ * warm-started from the previous solution (the seed), with weak pulls toward
+ * the seed and toward the curl mapping (prior). Deterministic given seed and
+ * prior, so recorded seeds replay exactly.
+ *
+ *   const rt = new VectorRetargeter(robot, 'left')
+ *   const { data, seed } = rt.solve(xrJoints, retargetHand(xrJoints, ranges))
+ */
+export class VectorRetargeter {
+  constructor(robot, side, { scale = VECTOR_SCALE, iterations = VECTOR_ITERATIONS } = {}) {
+    this.side = side
+    this.hand = new Dex3Hand(robot, side)
+    this.scale = scale
+    this.iterations = iterations
+    this.last = null
+    // Per VECTORS entry: human direction, target length, pinch 0..1, weight,
+    // and the target vector aimed for in the current iteration
+    this.targets = VECTORS.map(() => ({ dir: new THREE.Vector3(), length: 0, pinch: 0, weight: 0, v: new THREE.Vector3() }))
+    this._pads = { thumb: new THREE.Vector3(), index: new THREE.Vector3(), middle: new THREE.Vector3() }
+  }
+
+  get valid() { return this.hand.valid }
+
+  reset() { this.last = null }
+
+  /**
+   * joints: readXRJoints() output; prior: retargetHand() result for the same
+   * joints. seed and iterations override the warm start and the iteration
+   * count (replay). Returns { data, seed, iterations } with data shaped like
+   * retargetHand's, or the prior when the thumb or both fingertips are
+   * untracked.
+   */
+  solve(joints, prior, { seed = this.last, iterations = this.iterations } = {}) {
+    const p = pack(prior)
+    const x0 = seed ? [...seed] : p
+    let tracked = 0
+    VECTORS.forEach((vec, k) => {
+      const t = this.targets[k]
+      t.weight = 0
+      const h = humanVector(joints, vec.tip, this.side, t.dir)
+      if (!h) return
+      tracked++
+      const d = h.length()
+      t.pinch = d < PINCH_DISTANCE ? 1 - d / PINCH_DISTANCE : 0
+      t.length = t.pinch ? PINCH_GAP + (this.scale * PINCH_DISTANCE - PINCH_GAP) * (1 - t.pinch) : this.scale * d
+      if (d > 1e-6) h.divideScalar(d)
+      t.weight = 1 + PINCH_WEIGHT * t.pinch
+    })
+    if (!tracked || !this.hand.valid) {
+      this.last = null
+      return { data: prior, seed: null, iterations: 0 }
+    }
+
+    const x = [...x0]
+    for (let it = 0; it < iterations; it++) this.step(x, x0, p)
+    this.last = x
+    return { data: unpack(x), seed: x0, iterations }
+  }
+
+  // Residuals: per target vector, robot pad vector − target, weighted (√w)
+  residuals(x, out) {
+    const pads = this._pads
+    this.hand.pad('thumb', x, pads.thumb)
+    VECTORS.forEach((vec, k) => {
+      const t = this.targets[k]
+      const w = Math.sqrt(t.weight)
+      this.hand.pad(vec.finger, x, pads[vec.finger])
+      _a.copy(pads[vec.finger]).sub(pads.thumb).sub(t.v).multiplyScalar(w)
+      out[k * 3] = _a.x
+      out[k * 3 + 1] = _a.y
+      out[k * 3 + 2] = _a.z
+    })
+    return out
+  }
+
+  // Near contact the human direction is mostly tracking noise, and the Dex3
+  // thumb cannot meet a finger from every direction, so a pinch target turns
+  // toward the robot's current direction: the gap is what gets enforced
+  aim(x) {
+    const pads = this._pads
+    this.hand.pad('thumb', x, pads.thumb)
+    VECTORS.forEach((vec, k) => {
+      const t = this.targets[k]
+      _a.copy(this.hand.pad(vec.finger, x, pads[vec.finger])).sub(pads.thumb).normalize()
+      t.v.copy(t.dir).lerp(_a, t.pinch).normalize().multiplyScalar(t.length)
+    })
+  }
+
+  step(x, seed, prior) {
+    const m = VECTORS.length * 3
+    this.aim(x)
+    const r = this.residuals(x, new Array(m))
+    const J = new Array(m * N)
+    const rh = new Array(m)
+    for (let i = 0; i < N; i++) {
+      const xi = x[i]
+      x[i] = xi + FD_STEP
+      this.residuals(x, rh)
+      x[i] = xi
+      for (let k = 0; k < m; k++) J[k * N + i] = (rh[k] - r[k]) / FD_STEP
+    }
+
+    // (JᵀJ + (s + p) I) Δ = −(Jᵀr + s (x − seed) + p (x − prior))
+    const A = new Array(N * N).fill(0)
+    const b = new Array(N).fill(0)
+    for (let i = 0; i < N; i++) {
+      for (let j = i; j < N; j++) {
+        let s = 0
+        for (let k = 0; k < m; k++) s += J[k * N + i] * J[k * N + j]
+        A[i * N + j] = A[j * N + i] = s
+      }
+      let g = 0
+      for (let k = 0; k < m; k++) g += J[k * N + i] * r[k]
+      A[i * N + i] += SMOOTH_WEIGHT + PRIOR_WEIGHT
+      b[i] = -(g + SMOOTH_WEIGHT * (x[i] - seed[i]) + PRIOR_WEIGHT * (x[i] - prior[i]))
+    }
+    if (!solveLinear(A, b, N)) return
+    for (let i = 0; i < N; i++) x[i] = Math.max(i === 0 ? -1 : 0, Math.min(1, x[i] + b[i]))
+  }
+}
@@ -12,5 +12,9 @@ export default defineConfig(({ command }) => ({
     https: true,
     host: '0.0.0.0',
     port: 5173,
+    proxy: {
+      // scripts/ingest-server.mjs, reachable from the headset over the dev server's TLS
+      '/ingest': { target: 'ws://localhost:8765', ws: true },
+    },
   },
 }))